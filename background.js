@@ -2,141 +2,105 @@
 // Handles AI analysis via local cache server (Groq key stored server-side)
 // Extracts verifiable content summaries and searches for verification
 
-// Cache bridge server URL
-const CACHE_SERVER_URL = "http://localhost:3000";
-
-// Whitelisted credible news sources
-const WHITELIST_DOMAINS = [
-    "reuters.com",
-    "apnews.com",
-    "bbc.com",
-    "bbc.co.uk",
-    "nytimes.com",
-    "theguardian.com",
-    "washingtonpost.com",
-    "npr.org",
-    "aljazeera.com",
-    "forbes.com",
-    "bloomberg.com",
-    "cnn.com",
-    "nbcnews.com",
-    "cbsnews.com",
-    "abcnews.go.com",
-    "usatoday.com",
-    "politico.com",
-    "thehill.com",
-    "axios.com",
-    "time.com",
-    "economist.com",
-    "ft.com",
-    "wsj.com",
-    "nature.com",
-    "sciencedaily.com",
-    "snopes.com",
-    "factcheck.org",
-    "politifact.com"
-];
-
-const SYSTEM_PROMPT = `You are an AI assistant that reads text and extracts a **concise summary of verifiable content**.
-
-STRICT LIMIT: Return EXACTLY or FEWER than 5 bullet points. NEVER return more than 5.
-
-Guidelines:
-1. Include only factual statements, news reports, or claims that can be verified later.
-2. Ignore opinions, personal thoughts, jokes, speculation, or generic commentary.
-3. Focus on content that could appear in a news article or report.
-4. Return ONLY the top 5 most important verifiable bullet points. NEVER EXCEED 5 BULLET POINTS.
-5. Return only **verifiable information**, without interpretation or judgment about truth.
-6. Keep the summary concise and clear, suitable for feeding to a search API for verification.
-
-Example input:
-"NASA launched a new satellite today. Many people are excited. The weather was sunny. Elon Musk tweeted about the launch."
-
-Example output:
-"- NASA launched a new satellite today.
-- Elon Musk tweeted about the launch."`;
-
-/**
- * Checks the Valkey cache for a previously generated summary.
- * @param {string} content - The content to look up
- * @returns {Promise<string|null>} Cached summary or null
- */
-async function checkSummaryCache(content) {
-    try {
-        const response = await fetch(`${CACHE_SERVER_URL}/check-summary`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ content })
-        });
-        if (!response.ok) return null;
-        const data = await response.json();
-        if (data.hit) {
-            console.log("PostPolice: ✅ Cache HIT — skipping AI call");
-            return data.summary;
-        }
-        console.log("PostPolice: Cache MISS — will call Groq proxy");
-        return null;
-    } catch (err) {
-        console.log("PostPolice: Cache server unreachable, proceeding without cache:", err.message);
-        return null;
+importScripts("domains.js", "searchSettings.js", "serverPairing.js");
+
+// Whitelisted credible news sources (live copy of the options page list)
+let whitelistDomains = flattenDomainGroups(DEFAULT_DOMAIN_GROUPS);
+
+loadDomainGroups()
+    .then((groups) => {
+        whitelistDomains = flattenDomainGroups(groups);
+        console.log(`PostPolice: Loaded ${whitelistDomains.length} trusted domains`);
+    })
+    .catch(err => console.log("PostPolice: Could not load trusted domains, using defaults:", err.message));
+
+// Credibility tier and category per trusted domain
+let domainProfiles = { ...DEFAULT_DOMAIN_PROFILES };
+
+loadDomainProfiles()
+    .then((profiles) => {
+        domainProfiles = profiles;
+    })
+    .catch(err => console.log("PostPolice: Could not load domain profiles, using defaults:", err.message));
+
+// Active search provider configuration (options page)
+let searchSettings = { ...DEFAULT_SEARCH_SETTINGS };
+
+loadSearchSettings()
+    .then((settings) => {
+        searchSettings = settings;
+        console.log("PostPolice: Search provider:", SEARCH_PROVIDER_LABELS[settings.provider]);
+    })
+    .catch(err => console.log("PostPolice: Could not load search settings, using defaults:", err.message));
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "sync" && changes[TRUSTED_DOMAINS_STORAGE_KEY]) {
+        whitelistDomains = flattenDomainGroups(changes[TRUSTED_DOMAINS_STORAGE_KEY].newValue || DEFAULT_DOMAIN_GROUPS);
+        console.log(`PostPolice: Trusted domains updated (${whitelistDomains.length})`);
     }
-}
+    if (area === "sync" && changes[DOMAIN_PROFILES_STORAGE_KEY]) {
+        domainProfiles = { ...DEFAULT_DOMAIN_PROFILES, ...(changes[DOMAIN_PROFILES_STORAGE_KEY].newValue || {}) };
+        console.log("PostPolice: Domain credibility profiles updated");
+    }
+    if (area === "sync" && changes[SEARCH_SETTINGS_STORAGE_KEY]) {
+        searchSettings = { ...DEFAULT_SEARCH_SETTINGS, ...(changes[SEARCH_SETTINGS_STORAGE_KEY].newValue || {}) };
+        console.log("PostPolice: Search provider changed to", SEARCH_PROVIDER_LABELS[searchSettings.provider]);
+    }
+});
 
 /**
- * Stores a content→summary pair in Valkey cache.
- * @param {string} content - The original content
- * @param {string} summary - The generated summary
+ * fetch() to the PostPolice server, authenticated with the pairing token.
+ * @param {string} route - e.g. "/verify-fact"
+ * @param {RequestInit} [options]
+ * @returns {Promise<Response>}
+ * @throws {Error} When the server refuses the token (pair again on the options page)
  */
-async function storeSummaryInCache(content, summary) {
-    try {
-        await fetch(`${CACHE_SERVER_URL}/cache-summary`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ content, summary })
-        });
-        console.log("PostPolice: 💾 Summary stored in cache");
-    } catch (err) {
-        console.log("PostPolice: Could not store in cache:", err.message);
+async function serverFetch(route, options = {}) {
+    const response = await fetch(`${CACHE_SERVER_URL}${route}`, {
+        ...options,
+        headers: { ...options.headers, ...(await serverAuthHeaders()) }
+    });
+    if (response.status === 401) {
+        throw new Error("Not paired with the PostPolice server; pair it on the options page");
     }
+    return response;
 }
 
 /**
- * Extracts verifiable content summary via server proxy to Groq, with Valkey caching.
+ * Extracts verifiable content summary via the server's /extract-claims route,
+ * which checks the Valkey cache, calls the LLM on a miss and caches the result.
  * @param {string} content - Full text content to analyze
+ * @param {string} [priority] - The server's LLM queue priority (see tabPriority)
  * @returns {Promise<string>} Summary of verifiable content
  */
-async function extractSummary(content) {
+async function extractSummary(content, priority) {
     try {
-        // 1. Check cache first
-        const cachedSummary = await checkSummaryCache(content);
-        if (cachedSummary) {
-            return cachedSummary;
-        }
-
-        // 2. Cache miss — call server's /summarize proxy
-        const userPrompt = `Extract the top 5 most important verifiable facts from the following text. Return ONLY bullet points, maximum 5.\n\nText:\n${content}\n\nVerifiable summary (max 5 bullets):`;
-
-        console.log("PostPolice: Calling Groq via server proxy...");
+        console.log("PostPolice: Extracting claims via server...");
         console.log("PostPolice: Content length:", content.length);
 
-        const response = await fetch(`${CACHE_SERVER_URL}/summarize`, {
+        const response = await serverFetch("/extract-claims", {
             method: "POST",
             headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ systemPrompt: SYSTEM_PROMPT, userPrompt })
+            body: JSON.stringify({ text: content, priority })
         });
 
         console.log("PostPolice: Response status:", response.status);
 
         if (!response.ok) {
             const errText = await response.text();
-            console.error("PostPolice: Summarize error:", response.status, errText);
+            console.error("PostPolice: Extract claims error:", response.status, errText);
             return "";
         }
 
         const data = await response.json();
+        if (data.cached) {
+            console.log("PostPolice: ✅ Cache HIT — skipped AI call");
+        } else if (data.shared) {
+            console.log("PostPolice: 🔗 Shared another tab's AI call");
+        }
         let summary = (data.summary || "").trim();
 
-        // 3. ENFORCE 5 BULLET POINT LIMIT (Fallback if AI misses instruction)
+        // ENFORCE 5 BULLET POINT LIMIT (Fallback if AI misses instruction)
         const bulletLines = summary.split(/\n/).filter(line => line.trim().startsWith("-") || line.trim().startsWith("•") || line.trim().startsWith("*"));
         if (bulletLines.length > 5) {
             console.log(`PostPolice: AI returned ${bulletLines.length} points, truncating to 5.`);
@@ -144,12 +108,6 @@ async function extractSummary(content) {
         }
 
         console.log("PostPolice: Summary extracted successfully, length:", summary.length);
-
-        // 4. Store in cache for next time
-        if (summary) {
-            storeSummaryInCache(content, summary);
-        }
-
         return summary;
     } catch (error) {
         console.error("PostPolice: Extraction failed:", error.message, error.stack);
@@ -158,7 +116,7 @@ async function extractSummary(content) {
 }
 
 // ============================================
-// SEARCH FUNCTIONALITY (DuckDuckGo)
+// SEARCH FUNCTIONALITY (server-side /search, cached in Valkey)
 // ============================================
 
 /**
@@ -167,136 +125,55 @@ async function extractSummary(content) {
  * @returns {boolean} True if whitelisted
  */
 function isWhitelistedUrl(url) {
-    try {
-        const hostname = new URL(url).hostname.toLowerCase();
-        return WHITELIST_DOMAINS.some(domain =>
-            hostname === domain || hostname.endsWith('.' + domain)
-        );
-    } catch {
-        return false;
-    }
+    return matchTrustedDomain(url, whitelistDomains) !== null;
 }
 
 /**
- * Searches DuckDuckGo and returns whitelisted results.
- * @param {string} query - Search query (the claim/summary to verify)
+ * Tags each result with its domain's credibility tier and category, and ranks
+ * higher tiers first (search engine order is kept within a tier).
+ * @param {Array<{title: string, url: string, snippet: string}>} results - Whitelisted results
+ * @returns {Array<{title: string, url: string, snippet: string, domain: string, tier: number, category: string}>}
+ */
+function rankByCredibility(results) {
+    return results
+        .map((result) => {
+            const domain = matchTrustedDomain(result.url, whitelistDomains);
+            return { ...result, domain, ...getDomainProfile(domain, domainProfiles) };
+        })
+        .sort((a, b) => a.tier - b.tier);
+}
+
+/**
+ * Searches for verification sources for a claim via the server's /search route,
+ * which runs the configured provider and caches results per query.
+ * @param {string} claim - The claim to search for
  * @param {number} maxResults - Maximum results to return (default 5)
- * @returns {Promise<Array<{title: string, url: string, snippet: string}>>}
+ * @returns {Promise<{claim: string, sources: Array}>}
  */
-async function searchDuckDuckGo(query, maxResults = 5) {
+async function searchForVerification(claim, maxResults = 5) {
+    let sources = [];
     try {
-        // Truncate query to first 150 chars to leave room for site filters
-        const truncatedQuery = query.substring(0, 150);
-
-        // Build site filter string for whitelisted domains
-        const siteFilters = WHITELIST_DOMAINS.slice(0, 10) // Use top 10 to keep query reasonable
-            .map(domain => `site:${domain}`)
-            .join(" OR ");
-
-        // Combine query with site filters
-        const fullQuery = `${truncatedQuery} (${siteFilters})`;
-
-        console.log("PostPolice: Searching DuckDuckGo for:", fullQuery);
-
-        // Use DuckDuckGo HTML endpoint
-        const searchUrl = `https://html.duckduckgo.com/html/?q=${encodeURIComponent(fullQuery)}`;
-        console.log("PostPolice: Search URL:", searchUrl);
-
-        const response = await fetch(searchUrl, {
-            method: "GET",
-            headers: {
-                "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36"
-            }
+        const response = await serverFetch("/search", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                query: claim,
+                domains: whitelistDomains,
+                provider: searchSettings.provider
+            })
         });
-
-        console.log("PostPolice: DuckDuckGo response status:", response.status);
-
         if (!response.ok) {
-            console.log("PostPolice: DuckDuckGo search failed:", response.status);
-            return [];
+            throw new Error(`HTTP ${response.status}`);
         }
 
-        const html = await response.text();
-
-        // Log full HTML response for debugging
-        console.log("=== DUCKDUCKGO FULL HTML RESPONSE ===");
-        console.log(html);
-        console.log("=== END HTML RESPONSE ===");
-
-        // Parse search results from HTML
-        const results = parseDuckDuckGoResults(html);
-
-        console.log(`PostPolice: Found ${results.length} results`);
+        const data = await response.json();
 
-        return results.slice(0, maxResults);
+        // Server already filtered to trusted domains; rank most credible first
+        sources = rankByCredibility(data.results.filter(result => isWhitelistedUrl(result.url))).slice(0, maxResults);
+        console.log(`PostPolice: Search (${data.provider}${data.cached ? ", cached" : ""}) found ${sources.length} trusted sources`);
     } catch (error) {
         console.log("PostPolice: Search error:", error.message);
-        return [];
-    }
-}
-
-/**
- * Parses DuckDuckGo HTML search results.
- * @param {string} html - HTML content from DuckDuckGo
- * @returns {Array<{title: string, url: string, snippet: string}>}
- */
-function parseDuckDuckGoResults(html) {
-    const results = [];
-
-    console.log("PostPolice: HTML response length:", html.length);
-    console.log("PostPolice: HTML sample:", html.substring(0, 500));
-
-    // Alternative: Parse using result blocks
-    const resultBlocks = html.split(/class="result\s/);
-    console.log("PostPolice: Found", resultBlocks.length - 1, "result blocks");
-
-    for (let i = 1; i < resultBlocks.length; i++) {
-        const block = resultBlocks[i];
-
-        // Extract URL - look for the actual link, not DDG redirect
-        const urlMatch = block.match(/href="\/\/duckduckgo\.com\/l\/\?uddg=([^&"]+)/);
-        const directUrlMatch = block.match(/class="result__url"[^>]*href="([^"]*)"/);
-
-        let url = "";
-        if (urlMatch) {
-            url = decodeURIComponent(urlMatch[1]);
-        } else if (directUrlMatch) {
-            url = directUrlMatch[1];
-            if (!url.startsWith("http")) {
-                url = "https://" + url;
-            }
-        }
-
-        // Extract title
-        const titleMatch = block.match(/class="result__a"[^>]*>([^<]+)</);
-        const title = titleMatch ? titleMatch[1].trim() : "";
-
-        // Extract snippet
-        const snippetMatch = block.match(/class="result__snippet"[^>]*>([^<]+)/);
-        const snippet = snippetMatch ? snippetMatch[1].trim() : "";
-
-        console.log(`PostPolice: Result ${i}: URL="${url.substring(0, 50)}", title="${title.substring(0, 30)}"`);
-
-        if (url && title) {
-            results.push({ url, title, snippet });
-        }
-    }
-
-    console.log("PostPolice: Total parsed results:", results.length);
-    if (results.length > 0) {
-        console.log("PostPolice: All URLs found:", results.map(r => r.url));
     }
-
-    return results;
-}
-
-/**
- * Searches for verification sources for a claim.
- * @param {string} claim - The claim to search for
- * @returns {Promise<{claim: string, sources: Array}>}
- */
-async function searchForVerification(claim) {
-    const sources = await searchDuckDuckGo(claim);
     return {
         claim,
         sources,
@@ -304,16 +181,19 @@ async function searchForVerification(claim) {
     };
 }
 
+/**
+ * LLM queue priority for a tab's requests: the tab in view goes first when the
+ * server is throttling LLM calls, background tabs last.
+ * @param {chrome.tabs.Tab} [tab]
+ * @returns {"interactive"|"normal"|"background"}
+ */
+function tabPriority(tab) {
+    if (!tab) return "normal";
+    return tab.active ? "interactive" : "background";
+}
+
 // Listen for messages from content script
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    // Extract verifiable summary
-    if (message.type === "EXTRACT_SUMMARY") {
-        extractSummary(message.content).then((summary) => {
-            sendResponse({ summary });
-        });
-        return true;
-    }
-
     // Search for verification sources
     if (message.type === "SEARCH_CLAIM") {
         searchForVerification(message.claim).then((result) => {
@@ -325,21 +205,46 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     // Verify a fact using Groq via server proxy
     if (message.type === "VERIFY_FACT") {
         console.log("PostPolice: Verifying fact via proxy...");
-        fetch(`${CACHE_SERVER_URL}/verify-fact`, {
+        serverFetch("/verify-fact", {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
                 claim: message.statement,
-                // Simple context for now: just join the links. 
-                // ideally we should fetch the content of these links first
-                context: "Links provided: " + (message.links || []).join(", ")
+                // The server fetches each source page and extracts the relevant passages;
+                // snippets are kept as a fallback for pages it cannot read
+                sources: message.sources || (message.links || []).map(url => ({ url })),
+                // Only pages on these domains are fetched
+                domains: whitelistDomains,
+                // Re-checking a claim is something the user is waiting on
+                priority: "interactive"
             })
         })
             .then(res => res.json())
             .then(data => sendResponse(data))
             .catch(err => {
                 console.error("PostPolice: Verify failed", err);
-                sendResponse({ verdict: "UNCERTAIN", reasoning: "Verification server error" });
+                sendResponse({ verdict: "UNCERTAIN", reasoning: "Verification server error", citations: [] });
+            });
+        return true;
+    }
+
+    // Agree / disagree / report on a verdict; enough disputes demote a cached verdict
+    if (message.type === "SEND_FEEDBACK") {
+        serverFetch("/feedback", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                claim: message.claim,
+                verdict: message.verdict,
+                vote: message.vote,
+                cacheId: message.cacheId
+            })
+        })
+            .then(res => res.json())
+            .then(data => sendResponse(data))
+            .catch(err => {
+                console.error("PostPolice: Feedback failed", err);
+                sendResponse({ success: false, error: err.message });
             });
         return true;
     }
@@ -351,4 +256,169 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
 });
 
+// ============================================
+// STREAMING VERIFICATION
+// content.js opens a "verify-stream" port and sends the page text, or on feeds
+// the new posts (each post's claims are extracted on their own and carry its ID
+// in postIds, parallel to claims). Claims are extracted here, then checked by the server's /verify-stream route, whose
+// Server-Sent Events are relayed over the port as they arrive:
+//   { event: "claims", summary, claims, postIds? }
+//   { event: "sources", index, sources }
+//   { event: "verdict", index, result }
+//   { event: "error", index?, error }     (no index: the whole scan failed)
+//   { event: "done", stats }
+// The port closes when the tab navigates away, which aborts the server's work.
+// ============================================
+
+const VERIFY_STREAM_PORT = "verify-stream";
+
+// Claims checked per post; 10 posts a scan (content.js) stay within /verify-stream's 20
+const MAX_CLAIMS_PER_POST = 2;
+
+/**
+ * Splits a bullet-point summary into individual claims (top 5).
+ * @param {string} summary
+ * @returns {string[]}
+ */
+function splitClaims(summary) {
+    return summary
+        .split(/\n|(?=- )/)
+        .map(line => line.replace(/^[-•*]\s*/, "").trim())
+        .filter(line => line.length > 10)
+        .slice(0, 5);
+}
+
+/**
+ * Normalizes a claim for comparison: a rescan's summary restates claims the
+ * page already has with different case, spacing or final punctuation.
+ * @param {string} claim
+ * @returns {string}
+ */
+function claimKey(claim) {
+    return claim.toLowerCase().replace(/\s+/g, " ").replace(/[.!?;:,\s]+$/, "").trim();
+}
+
+/**
+ * Extracts each post's claims on its own, so every claim belongs to one post.
+ * Identical posts (reposts) share the server's cached summary.
+ * @param {Array<{id: string, text: string}>} posts
+ * @param {string} priority
+ * @returns {Promise<{summary: string, claims: string[], postIds: string[]}>}
+ */
+async function extractPostClaims(posts, priority) {
+    const summaries = await Promise.all(posts.map(post => extractSummary(post.text, priority)));
+    const claims = [];
+    const postIds = [];
+    posts.forEach((post, i) => {
+        for (const claim of splitClaims(summaries[i]).slice(0, MAX_CLAIMS_PER_POST)) {
+            claims.push(claim);
+            postIds.push(post.id);
+        }
+    });
+    return { summary: claims.map(claim => `- ${claim}`).join("\n"), claims, postIds };
+}
+
+/**
+ * Reads a Server-Sent Events response body, calling onEvent for each event as it arrives.
+ * @param {Response} response
+ * @param {(event: string, data: Object) => void} onEvent
+ */
+async function readEventStream(response, onEvent) {
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = "";
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value;
+
+        let boundary;
+        while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+            const block = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let event = "message";
+            const data = [];
+            for (const line of block.split("\n")) {
+                if (line.startsWith("event:")) event = line.slice(6).trim();
+                else if (line.startsWith("data:")) data.push(line.slice(5).trimStart());
+            }
+            if (data.length > 0) onEvent(event, JSON.parse(data.join("\n")));
+        }
+    }
+}
+
+/**
+ * Extracts a page's claims and streams their verification to the port.
+ * @param {chrome.runtime.Port} port
+ * @param {{content?: string, knownClaims?: string[], posts?: Array<{id: string, text: string}>}} request -
+ *   The page's visible text and the claims it already has, or a feed's posts (never
+ *   sent twice, see content.js)
+ * @param {AbortSignal} signal - Aborted when the port disconnects
+ */
+async function streamVerification(port, { content, knownClaims = [], posts }, signal) {
+    const priority = tabPriority(port.sender?.tab);
+    const post = (event, data) => {
+        if (!signal.aborted) port.postMessage({ event, ...data });
+    };
+
+    let summary, claims, postIds;
+    if (posts) {
+        ({ summary, claims, postIds } = await extractPostClaims(posts, priority));
+    } else {
+        summary = await extractSummary(content, priority);
+        // Rescans of a growing page only verify what is new
+        const known = new Set(knownClaims.map(claimKey));
+        const found = splitClaims(summary);
+        claims = found.filter(claim => !known.has(claimKey(claim)));
+        if (claims.length < found.length) {
+            console.log(`PostPolice: Skipping ${found.length - claims.length} claims the page already has`);
+        }
+    }
+    post("claims", { summary, claims, postIds });
+    if (claims.length === 0) {
+        post("done", { stats: { claims: 0, unique: 0, durationMs: 0 } });
+        return;
+    }
+
+    const response = await serverFetch("/verify-stream", {
+        method: "POST",
+        signal,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+            claims,
+            domains: whitelistDomains,
+            profiles: domainProfiles,
+            provider: searchSettings.provider,
+            priority
+        })
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    await readEventStream(response, post);
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== VERIFY_STREAM_PORT) return;
+
+    const controller = new AbortController();
+    port.onDisconnect.addListener(() => controller.abort());
+
+    port.onMessage.addListener((message) => {
+        if (message.type !== "START") return;
+
+        console.log("PostPolice: Streaming verification for", port.sender?.tab?.url);
+        streamVerification(port, message, controller.signal).catch((err) => {
+            if (controller.signal.aborted) {
+                console.log("PostPolice: Verification stream cancelled");
+                return;
+            }
+            console.error("PostPolice: Verification stream failed", err);
+            port.postMessage({ event: "error", error: err.message });
+        });
+    });
+});
+
 console.log("PostPolice: Background service worker loaded (Valkey Cache + Groq Proxy)");
@@ -61,14 +61,39 @@
   // Debounce delay for MutationObserver (ms)
   const DEBOUNCE_DELAY = 2000;
 
+  // Elements that don't break a sentence: text inside them joins its neighbours
+  const INLINE_TAGS = new Set([
+    "A", "ABBR", "B", "BDI", "BDO", "CITE", "CODE", "DATA", "DFN", "EM", "FONT", "I",
+    "KBD", "MARK", "Q", "S", "SAMP", "SMALL", "SPAN", "STRONG", "SUB", "SUP", "TIME", "U", "VAR",
+  ]);
+
+  // Words that say nothing about which sentence a claim came from
+  const ALIGNMENT_STOPWORDS = new Set([
+    "the", "and", "for", "that", "this", "with", "from", "are", "was", "were", "has", "have",
+    "had", "been", "its", "their", "his", "her", "they", "which", "who", "will", "would",
+    "said", "says", "also", "than", "into", "about", "after", "over", "more", "some",
+  ]);
+
+  // Minimum alignment score (recall-weighted word overlap) for a sentence to count as the claim
+  const MIN_ALIGNMENT_SCORE = 0.45;
+
+  // New posts sent per scan on feeds; at 2 claims a post (background.js) that
+  // stays within the 20 claims /verify-stream checks at once
+  const MAX_POSTS_PER_SCAN = 10;
+
   // ============================================
   // STATE
   // ============================================
 
   let aiAvailable = false;
-  const processedNodes = new WeakSet();
+  let processedNodes = new WeakSet();
   let debounceTimer = null;
   let isProcessing = false;
+  let verifyStream = null; // port of the scan in progress (see background.js)
+
+  // The page's claim registry: everything found since the page loaded, in the
+  // order found. Rescans only add to it (see registerClaim), so an infinite-scroll
+  // page builds up one record; RESCAN starts it over.
 
   // Store summaries for verification
   const summaries = [];
@@ -79,6 +104,27 @@
   // Store all links organized by claim
   const claimLinks = [];
 
+  // claimLinks entries by claim (and post, on feeds)
+  const claimRegistry = new Map();
+
+  // Page text range each claim was matched on (keyed by claimLinks entry)
+  const claimRanges = new WeakMap();
+
+  // verificationResults entry of each claim (keyed by claimLinks entry): the same
+  // claim text can come from several posts
+  const claimVerifications = new WeakMap();
+
+  // Claims currently highlighted: { range, claim, verdict, reasoning, citations, confidence, checkedAt, cached }
+  let highlightedClaims = [];
+
+  // On feeds (X, Reddit, Mastodon) claims are extracted per post; see siteAdapters.js.
+  // Null until detected: some feeds (Mastodon) only render posts after the page loads
+  let siteAdapter = findSiteAdapter(window.location, document);
+
+  // Posts already sent for checking, by ID: feeds re-render posts as they scroll,
+  // so their elements can't be told apart
+  const checkedPostIds = new Set();
+
   // Expose globally for external access
   window.postPoliceSummaries = summaries;
   window.postPoliceVerifications = verificationResults;
@@ -107,22 +153,56 @@
   }
 
   /**
-   * Fact-checks a claim using scraped links: fetches HTML from links and gets Gemini verdict.
+   * Fact-checks a claim against its search results: the server fetches each source page
+   * and verifies the claim against the most relevant passages.
    * @param {string} statement - The claim to verify
    * @param {string[]} links - URLs (e.g. from DuckDuckGo results)
-   * @returns {Promise<{verdict: string, reasoning: string, raw: string, htmlSize: number}>}
+   * @param {Array<{title: string, url: string, snippet: string}>} [sources] - Full search results
+   * @returns {Promise<{verdict: string, reasoning: string, citations: Array<{url: string, title: string, quote: string, stance: string}>, cached?: {similarity: number, ageSeconds: number, cachedAt: string, timeSensitivity: string}, raw: string, htmlSize: number}>}
    */
-  async function verifyClaimWithLinks(statement, links) {
+  async function verifyClaimWithLinks(statement, links, sources) {
     try {
       const response = await chrome.runtime.sendMessage({
         type: "VERIFY_FACT",
         statement: statement,
         links: links,
+        sources: sources,
       });
-      return response || { verdict: "UNCERTAIN", reasoning: "No response", raw: "", htmlSize: 0 };
+      return response || { verdict: "UNCERTAIN", reasoning: "No response", citations: [], raw: "", htmlSize: 0 };
     } catch (error) {
       console.log("PostPolice: Fact check failed:", error.message);
-      return { verdict: "UNCERTAIN", reasoning: error.message, raw: "", htmlSize: 0 };
+      return { verdict: "UNCERTAIN", reasoning: error.message, citations: [], raw: "", htmlSize: 0 };
+    }
+  }
+
+  /**
+   * Sends the user's vote on a claim's verdict to the server. Disputed cached
+   * verdicts are demoted there once enough users disagree.
+   * @param {Object} claimLinkObj - Entry of claimLinks
+   * @param {"agree"|"disagree"|"report"} vote
+   * @returns {Promise<boolean>} Whether the server recorded the vote
+   */
+  async function sendFeedback(claimLinkObj, vote) {
+    if (!claimLinkObj || !claimLinkObj.verdict) return false;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "SEND_FEEDBACK",
+        claim: claimLinkObj.claim,
+        verdict: claimLinkObj.verdict,
+        vote: vote,
+        cacheId: claimLinkObj.cached?.id,
+      });
+      if (!response?.success) return false;
+
+      claimLinkObj.feedback = vote;
+      console.log(`PostPolice: Feedback "${vote}" recorded (${response.counts.agree} agree, ${response.counts.disagree} disagree, ${response.counts.report} report)`);
+      if (response.demoted) {
+        console.log("PostPolice: Verdict was disputed enough to be dropped from the cache");
+      }
+      return true;
+    } catch (error) {
+      console.log("PostPolice: Feedback failed:", error.message);
+      return false;
     }
   }
 
@@ -150,7 +230,7 @@
       if (result.sources.length > 0) {
         console.log(`Found ${result.sources.length} sources from credible news sites:`);
         result.sources.forEach((source, j) => {
-          console.log(`  ${j + 1}. ${source.title}`);
+          console.log(`  ${j + 1}. ${source.title} (${formatDomainProfile(source)})`);
           console.log(`     URL: ${source.url}`);
           console.log(`     Snippet: ${source.snippet}`);
         });
@@ -173,45 +253,461 @@
   // ============================================
 
   /**
-   * Highlights a claim on the page based on its verdict.
+   * Formats citations as tooltip lines, e.g. `[REFUTES] snopes.com (T1 · Fact-checker): "quote"`.
    */
-  function highlightClaimOnPage(claim, verdict, reasoning, elements) {
-    if (verdict === "VERIFIED") return;
-
-    const className = verdict === "FALSE" ? "postpolice-false" : "postpolice-uncertain";
-    const label = verdict === "FALSE" ? "FALSE CLAIM" : "UNCERTAIN";
-
-    console.log(`PostPolice: Highlighting ${label}: "${claim.substring(0, 30)}..."`);
-
-    elements.forEach(({ element, text }) => {
-      if (element.dataset.postpoliceHighlighted) return;
-
-      const normalizedElementText = text.toLowerCase();
-      const normalizedClaim = claim.toLowerCase();
-
-      const claimWords = normalizedClaim.split(/\s+/).filter(w => w.length > 3);
-      const matchCount = claimWords.filter(w => normalizedElementText.includes(w)).length;
-      const matchRatio = matchCount / claimWords.length;
-
-      if (matchRatio > 0.4 || normalizedElementText.includes(normalizedClaim) || normalizedClaim.includes(normalizedElementText)) {
-        element.classList.add(className);
-        element.title = `${label}: ${reasoning}`;
-        element.dataset.postpoliceHighlighted = "true";
-
-        if (verdict === "FALSE" && !element.querySelector('.postpolice-badge')) {
-          const badge = document.createElement('span');
-          badge.className = 'postpolice-badge';
-          badge.textContent = ' 🚩 FALSE';
-          badge.style.fontSize = '0.7em';
-          badge.style.fontWeight = 'bold';
-          badge.style.color = '#ef4444';
-          badge.style.marginLeft = '5px';
-          element.appendChild(badge);
+  function formatCitations(citations) {
+    return (citations || []).map(({ url, quote, stance, tier, category }) => {
+      let host = url;
+      try {
+        host = new URL(url).hostname.replace(/^www\./, "");
+      } catch (e) { }
+      const profile = tier ? ` (${formatDomainProfile({ tier, category })})` : "";
+      return `[${stance}] ${host}${profile}: "${quote}"`;
+    });
+  }
+
+  /**
+   * Collects the page's visible text nodes into one string, remembering where each
+   * node sits in it. Text in inline elements (links, <b>, <em>…) runs on, so
+   * sentences can be matched across formatting; block boundaries become newlines.
+   * @returns {{text: string, segments: Array<{node: Text, start: number, end: number}>}}
+   */
+  function buildTextIndex(root = document.body) {
+    const ignoreSelector = IGNORE_SELECTORS.join(", ");
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        if (node.nodeType === Node.TEXT_NODE) {
+          return NodeFilter.FILTER_ACCEPT;
         }
+        try {
+          if (node.hidden || node.matches(ignoreSelector)) return NodeFilter.FILTER_REJECT;
+        } catch (e) { }
+        return NodeFilter.FILTER_SKIP;
+      },
+    });
+
+    let text = "";
+    const segments = [];
+    let previousBlock = null;
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      let block = node.parentElement;
+      while (block && INLINE_TAGS.has(block.tagName)) block = block.parentElement;
+
+      if (previousBlock && block !== previousBlock) text += "\n";
+      previousBlock = block;
+
+      segments.push({ node, start: text.length, end: text.length + node.data.length });
+      text += node.data;
+    }
+
+    return { text, segments };
+  }
+
+  /**
+   * Splits indexed text into sentences, as [start, end) offsets. Never crosses a block.
+   */
+  function splitSentences(text) {
+    const sentences = [];
+    const boundary = /[.!?]+["'”’)\]]*\s+(?=["“‘(\[]?[\p{Lu}\d])|\n+/gu;
+    let start = 0;
+
+    const push = (end) => {
+      const raw = text.slice(start, end);
+      const lead = raw.length - raw.trimStart().length;
+      const trimmed = raw.trim();
+      if (trimmed.length >= MIN_TEXT_LENGTH) {
+        sentences.push({ start: start + lead, end: start + lead + trimmed.length });
+      }
+    };
+
+    for (const match of text.matchAll(boundary)) {
+      // Keep the punctuation with its sentence
+      const end = match[0].startsWith("\n") ? match.index : match.index + match[0].trimEnd().length;
+      push(end);
+      start = match.index + match[0].length;
+    }
+    push(text.length);
+    return sentences;
+  }
+
+  /**
+   * Content words of a text, crudely stemmed so "announced" matches "announcement".
+   */
+  function alignmentTokens(text) {
+    const tokens = new Set();
+    for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+      const isNumber = /^\d/.test(word);
+      if (!isNumber && (word.length < 3 || ALIGNMENT_STOPWORDS.has(word))) continue;
+      tokens.add(isNumber ? word : word.replace(/s$/, "").slice(0, 6));
+    }
+    return tokens;
+  }
+
+  /**
+   * Scores how well a stretch of page text matches a claim. Recall (how much of
+   * the claim is covered) counts more than precision, since page sentences
+   * usually carry details that claim summaries leave out.
+   */
+  function alignmentScore(claimTokens, text) {
+    const tokens = alignmentTokens(text);
+    if (claimTokens.size === 0 || tokens.size === 0) return 0;
+
+    let overlap = 0;
+    claimTokens.forEach(token => { if (tokens.has(token)) overlap++; });
+    if (overlap === 0) return 0;
+
+    const recall = overlap / claimTokens.size;
+    const precision = overlap / tokens.size;
+    return (5 * precision * recall) / (4 * precision + recall);
+  }
+
+  function rangeFromOffsets(segments, start, end) {
+    const locate = (offset, preferEnd) => {
+      const segment = segments.find(seg => preferEnd
+        ? offset > seg.start && offset <= seg.end
+        : offset >= seg.start && offset < seg.end);
+      return segment ? { node: segment.node, offset: offset - segment.start } : null;
+    };
+
+    const from = locate(start, false);
+    const to = locate(end, true);
+    if (!from || !to) return null;
+
+    const range = document.createRange();
+    range.setStart(from.node, from.offset);
+    range.setEnd(to.node, to.offset);
+    return range;
+  }
+
+  /**
+   * Finds the sentence (or pair of adjacent sentences) on the page that best
+   * matches a claim, and returns it as a DOM Range.
+   * @param {string} claim
+   * @param {Element} [root] - Where to look, e.g. the post the claim came from
+   * @returns {Range|null} Null when nothing on the page matches closely enough
+   */
+  function findClaimRange(claim, root = document.body) {
+    const { text, segments } = buildTextIndex(root);
+    const sentences = splitSentences(text);
+    const claimTokens = alignmentTokens(claim);
+
+    let best = null;
+    sentences.forEach((sentence, i) => {
+      const windows = [sentence];
+      const next = sentences[i + 1];
+      if (next && !text.slice(sentence.end, next.start).includes("\n")) {
+        windows.push({ start: sentence.start, end: next.end });
+      }
+
+      for (const { start, end } of windows) {
+        const score = alignmentScore(claimTokens, text.slice(start, end));
+        if (!best || score > best.score) best = { start, end, score };
+      }
+    });
+
+    if (!best || best.score < MIN_ALIGNMENT_SCORE) return null;
+    return rangeFromOffsets(segments, best.start, best.end);
+  }
+
+  function highlightRegistry(name) {
+    if (!window.CSS || !CSS.highlights) return null;
+    if (!CSS.highlights.has(name)) CSS.highlights.set(name, new Highlight());
+    return CSS.highlights.get(name);
+  }
+
+  /**
+   * Highlights a claim's text on the page based on its verdict, using the CSS
+   * Custom Highlight API so the page's DOM and text stay untouched. Hovering or
+   * clicking the highlight opens the verdict card (verdictCard.js).
+   * @param {string} claim
+   * @param {{verdict: string, reasoning: string, citations?: Array, confidence?: number|null, checkedAt?: number, cached?: Object}} result
+   * @param {Range|null} range - Where the claim is on the page (from findClaimRange)
+   */
+  function highlightClaimOnPage(claim, result, range) {
+    if (!range) return;
+
+    const highlight = highlightRegistry(VERDICT_HIGHLIGHT_NAMES[result.verdict] || VERDICT_HIGHLIGHT_NAMES.UNCERTAIN);
+    if (!highlight) {
+      console.log("PostPolice: CSS Custom Highlight API unavailable, skipping highlight");
+      return;
+    }
+
+    console.log(`PostPolice: Highlighting ${result.verdict}: "${range.toString().substring(0, 60)}..."`);
+    highlight.add(range);
+    highlightedClaims.push({
+      range,
+      feedback: result.feedback,
+      claim,
+      verdict: result.verdict,
+      reasoning: result.reasoning,
+      citations: result.citations || [],
+      confidence: result.confidence,
+      checkedAt: result.checkedAt,
+      cached: result.cached,
+    });
+  }
+
+  /**
+   * Removes a highlight previously applied by highlightClaimOnPage.
+   * @param {Range} range
+   */
+  function clearHighlight(range) {
+    Object.values(VERDICT_HIGHLIGHT_NAMES).forEach(name => highlightRegistry(name)?.delete(range));
+    highlightedClaims = highlightedClaims.filter(entry => entry.range !== range);
+    hideVerdictCard();
+  }
+
+  function clearAllHighlights() {
+    Object.values(VERDICT_HIGHLIGHT_NAMES).forEach(name => highlightRegistry(name)?.clear());
+    highlightedClaims = [];
+    hideVerdictCard();
+  }
+
+  // ---- Verdict card: hover, click and keyboard ----
+
+  let hoverFrame = null;
+  let hoverHideTimer = null;
+  let keyboardIndex = -1;
+
+  function rangeContainsPoint(range, x, y) {
+    return Array.from(range.getClientRects()).some(rect =>
+      x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom);
+  }
+
+  function claimAtPoint(x, y) {
+    return highlightedClaims.find(({ range }) => range.startContainer.isConnected && rangeContainsPoint(range, x, y));
+  }
+
+  function onPointerMove(event) {
+    if (highlightedClaims.length === 0 || hoverFrame || isVerdictCardPinned()) return;
+    const { clientX, clientY, target } = event;
+
+    hoverFrame = requestAnimationFrame(() => {
+      hoverFrame = null;
+      if (isInVerdictCard(target)) {
+        clearTimeout(hoverHideTimer);
+        return;
+      }
+
+      const entry = claimAtPoint(clientX, clientY);
+      if (entry) {
+        clearTimeout(hoverHideTimer);
+        showVerdictCard(entry, entry.range.getBoundingClientRect());
+      } else if (isVerdictCardOpen()) {
+        // Grace period to move the pointer from the claim into the card
+        clearTimeout(hoverHideTimer);
+        hoverHideTimer = setTimeout(() => {
+          if (!isVerdictCardPinned()) hideVerdictCard();
+        }, 300);
       }
     });
   }
 
+  function onPointerClick(event) {
+    if (isInVerdictCard(event.target)) return;
+
+    const entry = highlightedClaims.length > 0 && claimAtPoint(event.clientX, event.clientY);
+    if (entry) {
+      showVerdictCard(entry, entry.range.getBoundingClientRect(), { pinned: true });
+    } else if (isVerdictCardOpen()) {
+      hideVerdictCard();
+    }
+  }
+
+  /**
+   * Alt+Shift+↓ / ↑ moves through highlighted claims in page order and opens
+   * each one's card with keyboard focus in it.
+   */
+  function onKeydown(event) {
+    if (event.key === "Escape" && isVerdictCardOpen()) {
+      hideVerdictCard();
+      return;
+    }
+    if (!event.altKey || !event.shiftKey || (event.key !== "ArrowDown" && event.key !== "ArrowUp")) return;
+
+    const claims = highlightedClaims
+      .filter(({ range }) => range.startContainer.isConnected)
+      .sort((a, b) => a.range.compareBoundaryPoints(Range.START_TO_START, b.range));
+    if (claims.length === 0) return;
+
+    event.preventDefault();
+    const step = event.key === "ArrowDown" ? 1 : -1;
+    keyboardIndex = (keyboardIndex + step + claims.length) % claims.length;
+
+    const entry = claims[keyboardIndex];
+    scrollToRange(entry.range);
+    flashRange(entry.range);
+    // Position after the smooth scroll has moved the claim into view
+    setTimeout(() => showVerdictCard(entry, entry.range.getBoundingClientRect(), { pinned: true, focus: true }), 350);
+  }
+
+  setVerdictCardFeedbackHandler(async (entry, vote) => {
+    // Cards opened from a post badge carry their claim
+    const claimLinkObj = entry.claimLinkObj || claimLinks.find(item => claimRanges.get(item) === entry.range);
+    const sent = await sendFeedback(claimLinkObj, vote);
+    if (sent) entry.feedback = vote;
+    return sent;
+  });
+
+  document.addEventListener("mousemove", onPointerMove, { passive: true });
+  document.addEventListener("click", onPointerClick, true);
+  document.addEventListener("keydown", onKeydown, true);
+
+  function scrollToRange(range) {
+    const rect = range.getBoundingClientRect();
+    window.scrollTo({
+      top: window.scrollY + rect.top - window.innerHeight / 2 + rect.height / 2,
+      behavior: "smooth",
+    });
+  }
+
+  function flashRange(range) {
+    const focus = highlightRegistry(VERDICT_HIGHLIGHT_NAMES.FOCUS);
+    if (focus) {
+      focus.add(range);
+      setTimeout(() => focus.delete(range), 2000);
+    }
+  }
+
+  /**
+   * Scrolls to the text a claim was matched on and briefly flashes it.
+   * @returns {boolean} False if the claim is not on the page
+   */
+  function jumpToClaim(claimLinkObj) {
+    const range = claimRanges.get(claimLinkObj);
+    if (!range || !range.startContainer.isConnected || range.collapsed) return false;
+
+    scrollToRange(range);
+    flashRange(range);
+    return true;
+  }
+
+  // ============================================
+  // CLAIM REGISTRY
+  // ============================================
+
+  function registryKey(claim, postId) {
+    return `${postId || ""}\n${claim}`;
+  }
+
+  /**
+   * Adds a claim found by a scan to the registry.
+   * @param {string} claim
+   * @param {number} summaryIndex - Entry of summaries the claim came from
+   * @param {string} [postId] - The post it was extracted from, on feeds
+   * @returns {{claimLinkObj: Object, verificationObj: Object}|null} Null when the
+   *   page already has the claim; its earlier result stands (a claim whose check
+   *   failed is returned again, to be checked again)
+   */
+  function registerClaim(claim, summaryIndex, postId) {
+    const key = registryKey(claim, postId);
+    const known = claimRegistry.get(key);
+    if (known) {
+      if (!known.error) return null;
+      delete known.error;
+      return { claimLinkObj: known, verificationObj: claimVerifications.get(known) };
+    }
+
+    const claimLinkObj = { claim: claim };
+    if (postId) claimLinkObj.postId = postId;
+    claimLinks.push(claimLinkObj);
+    claimRegistry.set(key, claimLinkObj);
+
+    const verificationObj = {
+      summaryIndex: summaryIndex,
+      claim: claim,
+    };
+    verificationResults.push(verificationObj);
+    claimVerifications.set(claimLinkObj, verificationObj);
+    return { claimLinkObj, verificationObj };
+  }
+
+  /**
+   * Forgets every claim, post and highlight, for a full rescan.
+   */
+  function resetClaimRegistry() {
+    summaries.length = 0;
+    verificationResults.length = 0;
+    claimLinks.length = 0;
+    claimRegistry.clear();
+    checkedPostIds.clear();
+    processedNodes = new WeakSet();
+    clearAllHighlights();
+    clearPostBadges();
+  }
+
+  // ============================================
+  // POSTS
+  // ============================================
+
+  /**
+   * Where a claim is on the page: within its post on feeds, where a post that
+   * is scrolled out of the feed has no range.
+   * @param {Object} claimLinkObj - Entry of claimLinks
+   * @returns {Range|null}
+   */
+  function locateClaim(claimLinkObj) {
+    if (!claimLinkObj.postId) return findClaimRange(claimLinkObj.claim);
+    const post = findPostElement(siteAdapter, claimLinkObj.postId);
+    return post ? findClaimRange(claimLinkObj.claim, post) : null;
+  }
+
+  function openPostClaim(claimLinkObj, badge) {
+    const entry = { ...claimLinkObj, claimLinkObj };
+    showVerdictCard(entry, badge.getBoundingClientRect(), { pinned: true });
+  }
+
+  /**
+   * Renders a post's badge from its claims' current state.
+   * @param {string} postId
+   */
+  function updatePostBadge(postId) {
+    const post = findPostElement(siteAdapter, postId);
+    if (!post) return;
+    renderPostBadge(siteAdapter.badgeAnchor(post), claimLinks.filter(item => item.postId === postId), openPostClaim);
+  }
+
+  /**
+   * Moves a claim's highlight to the text of a re-rendered post.
+   */
+  function relocateClaim(claimLinkObj, post) {
+    const oldRange = claimRanges.get(claimLinkObj);
+    if (oldRange) {
+      Object.values(VERDICT_HIGHLIGHT_NAMES).forEach(name => highlightRegistry(name)?.delete(oldRange));
+      highlightedClaims = highlightedClaims.filter(entry => entry.range !== oldRange);
+      claimRanges.delete(claimLinkObj);
+    }
+
+    const range = findClaimRange(claimLinkObj.claim, post);
+    if (!range) return;
+    claimRanges.set(claimLinkObj, range);
+    if (claimLinkObj.verdict) {
+      highlightClaimOnPage(claimLinkObj.claim, claimLinkObj, range);
+    } else if (claimLinkObj.pending) {
+      highlightRegistry(VERDICT_HIGHLIGHT_NAMES.PENDING)?.add(range);
+    }
+  }
+
+  /**
+   * Puts badges and highlights back on checked posts the feed has rendered again
+   * (scrolling back up, or a virtualized list recycling its elements).
+   */
+  function refreshPostResults() {
+    const postIds = new Set(claimLinks.map(item => item.postId).filter(Boolean));
+    for (const postId of postIds) {
+      const post = findPostElement(siteAdapter, postId);
+      if (!post) continue;
+
+      // A removed post's ranges collapse onto the feed around it
+      claimLinks
+        .filter(item => item.postId === postId)
+        .filter(item => !claimRanges.has(item) || !post.contains(claimRanges.get(item).startContainer))
+        .forEach(item => relocateClaim(item, post));
+      updatePostBadge(postId);
+    }
+  }
+
   // ============================================
   // TEXT EXTRACTION
   // ============================================
@@ -280,38 +776,309 @@
     }
   }
 
-  async function extractSummaryWithAI(content) {
-    if (!aiAvailable || !content) {
-      return "";
+  // ============================================
+  // MAIN PROCESSING
+  // ============================================
+
+  /**
+   * Searches sources for a claim, fact-checks it and highlights it on the page.
+   * Fills in the given claimLinks / verificationResults entries in place.
+   */
+  async function checkClaim(claimLinkObj, verificationObj) {
+    const searchResult = await searchForClaim(claimLinkObj.claim);
+    const links = searchResult.sources.map(source => source.url);
+
+    let verdictResult = null;
+    if (searchResult.sources.length > 0) {
+      // Fact-check: server fetches the source pages and verifies against their text
+      console.log(`PostPolice: Fact-checking claim against ${links.length} link(s)...`);
+      verdictResult = await verifyClaimWithLinks(claimLinkObj.claim, links, searchResult.sources);
     }
+    applyClaimResult(claimLinkObj, verificationObj, searchResult.sources, searchResult.searchedAt, verdictResult);
+  }
 
-    try {
-      console.log(`PostPolice: Analyzing content (${content.length} chars)...`);
-      const response = await chrome.runtime.sendMessage({
-        type: "EXTRACT_SUMMARY",
-        content: content,
+  /**
+   * Stores a claim's sources and verdict and highlights the claim on the page.
+   * @param {Object} claimLinkObj - Entry of claimLinks
+   * @param {Object} verificationObj - Entry of verificationResults
+   * @param {Array} sources - Ranked trusted sources
+   * @param {number} searchedAt
+   * @param {Object|null} verdictResult - Null when there were no sources to check against
+   */
+  function applyClaimResult(claimLinkObj, verificationObj, sources, searchedAt, verdictResult) {
+    const claim = claimLinkObj.claim;
+
+    // Extract just the URLs from sources
+    const links = sources.map(source => source.url);
+
+    claimLinkObj.links = links;
+    claimLinkObj.sources = sources;
+    claimLinkObj.searchedAt = searchedAt;
+    verificationObj.sources = sources;
+    verificationObj.searchedAt = searchedAt;
+    claimLinkObj.pending = false;
+    const range = claimRanges.get(claimLinkObj) || locateClaim(claimLinkObj);
+    if (range) {
+      claimRanges.set(claimLinkObj, range);
+      highlightRegistry(VERDICT_HIGHLIGHT_NAMES.PENDING)?.delete(range);
+    }
+
+    if (verdictResult) {
+      console.log(`Found ${sources.length} sources:`);
+      sources.forEach((source, j) => {
+        console.log(`  ${j + 1}. ${source.title} (${formatDomainProfile(source)})`);
+        console.log(`     URL: ${source.url}`);
       });
+      console.log(`Links array: [${links.join(', ')}]`);
+
+      claimLinkObj.verdict = verdictResult.verdict;
+      claimLinkObj.reasoning = verdictResult.reasoning;
+      claimLinkObj.citations = verdictResult.citations || [];
+      claimLinkObj.cached = verdictResult.cached || null;
+      claimLinkObj.confidence = verdictResult.confidence ?? null;
+      claimLinkObj.checkedAt = Date.now();
+      claimLinkObj.raw = verdictResult.raw;
+      claimLinkObj.htmlSize = verdictResult.htmlSize;
+      verificationObj.verdict = verdictResult.verdict;
+      verificationObj.reasoning = verdictResult.reasoning;
+      verificationObj.citations = verdictResult.citations || [];
+      verificationObj.cached = verdictResult.cached || null;
+      verificationObj.raw = verdictResult.raw;
+      verificationObj.htmlSize = verdictResult.htmlSize;
+      console.log(`PostPolice: Verdict for claim: ${verdictResult.verdict}`);
+      console.log(`PostPolice: Reasoning: ${verdictResult.reasoning || '(none)'}`);
+      if (verdictResult.cached) {
+        console.log(`PostPolice: Reused cached ${verdictResult.cached.timeSensitivity} verdict from ${verdictResult.cached.cachedAt}`);
+      }
+      formatCitations(verdictResult.citations).forEach(line => console.log(`  ${line}`));
 
-      return response?.summary || "";
-    } catch (error) {
-      console.log("PostPolice: Summary extraction failed:", error.message);
-      return "";
+      // Highlight the claim on the page
+      highlightClaimOnPage(claim, { ...verdictResult, checkedAt: claimLinkObj.checkedAt }, range);
+    } else {
+      console.log("No sources found for this claim.");
     }
+    if (claimLinkObj.postId) updatePostBadge(claimLinkObj.postId);
   }
 
-  // ============================================
-  // MAIN PROCESSING
-  // ============================================
+  /**
+   * Re-runs search and fact-check for one claim, replacing its previous highlight.
+   */
+  async function reverifyClaim(index) {
+    const claimLinkObj = claimLinks[index];
+    if (!claimLinkObj) return null;
+
+    const range = claimRanges.get(claimLinkObj);
+    if (range) clearHighlight(range);
+    claimRanges.delete(claimLinkObj);
+    delete claimLinkObj.error;
+    delete claimLinkObj.verdict;
+    delete claimLinkObj.reasoning;
+    delete claimLinkObj.citations;
+    delete claimLinkObj.cached;
+    delete claimLinkObj.confidence;
+    delete claimLinkObj.feedback;
+
+    const verificationObj = claimVerifications.get(claimLinkObj) || {};
+    await checkClaim(claimLinkObj, verificationObj);
+    return claimLinkObj;
+  }
+
+  /**
+   * Marks a claim as being checked until its verdict arrives.
+   * @param {Object} claimLinkObj - Entry of claimLinks
+   */
+  function markClaimPending(claimLinkObj) {
+    claimLinkObj.pending = true;
+    if (claimLinkObj.postId) updatePostBadge(claimLinkObj.postId);
+    const range = locateClaim(claimLinkObj);
+    if (!range) return;
+    claimRanges.set(claimLinkObj, range);
+    highlightRegistry(VERDICT_HIGHLIGHT_NAMES.PENDING)?.add(range);
+  }
+
+  /**
+   * Marks a claim's check as failed, clearing its pending highlight and badge.
+   * @param {Object} claimLinkObj - Entry of claimLinks
+   * @param {string} error
+   */
+  function failClaim(claimLinkObj, error) {
+    claimLinkObj.error = error;
+    claimLinkObj.pending = false;
+    const range = claimRanges.get(claimLinkObj);
+    if (range) highlightRegistry(VERDICT_HIGHLIGHT_NAMES.PENDING)?.delete(range);
+    if (claimLinkObj.postId) updatePostBadge(claimLinkObj.postId);
+  }
+
+  /**
+   * Fails every claim of a scan still waiting for its verdict, after the whole
+   * scan failed. Their posts are forgotten, so the next scan checks them again.
+   * @param {Array<{claimLinkObj: Object, verificationObj: Object}|null>} entries - See handleStreamEvent
+   * @param {string} error
+   */
+  function failPendingClaims(entries, error) {
+    for (const entry of entries) {
+      if (!entry?.claimLinkObj.pending) continue;
+      failClaim(entry.claimLinkObj, error);
+      if (entry.claimLinkObj.postId) checkedPostIds.delete(entry.claimLinkObj.postId);
+    }
+  }
+
+  /**
+   * Applies one event relayed from the verification stream.
+   * @param {{event: string, index?: number}} message - See background.js for the events
+   * @param {Array<{claimLinkObj: Object, verificationObj: Object}|null>} entries - Filled on "claims";
+   *   null for claims the page already had
+   */
+  function handleStreamEvent(message, entries) {
+    const entry = entries[message.index];
+
+    if (message.event === "claims") {
+      if (!message.summary) {
+        console.log("PostPolice: No verifiable content found");
+        return;
+      }
+      summaries.push({
+        summary: message.summary,
+        timestamp: Date.now(),
+        url: window.location.href,
+      });
+
+      console.log("=== PostPolice: Verifiable Content Summary ===");
+      console.log(message.summary);
+      console.log("==============================================");
+      console.log(`\nPostPolice: Found ${message.claims.length} individual claims to verify (max 5 enforced)`);
+
+      message.claims.forEach((claim, i) => {
+        // Feeds: the post the claim was extracted from
+        const entry = registerClaim(claim, summaries.length - 1, message.postIds?.[i]);
+        // Known claims keep their place in entries, so stream indexes still line up
+        entries.push(entry);
+        if (entry) markClaimPending(entry.claimLinkObj);
+      });
+    } else if (message.event === "sources" && entry) {
+      // Shown in the popup while the claim is still being checked
+      entry.claimLinkObj.sources = message.sources;
+      entry.claimLinkObj.links = message.sources.map(source => source.url);
+    } else if (message.event === "verdict" && entry) {
+      const { result } = message;
+      console.log(`\n--- Claim ${message.index + 1}/${entries.length}: "${result.claim.substring(0, 60)}..." ---`);
+      if (result.duplicateOf !== undefined) {
+        console.log(`Same claim as ${result.duplicateOf + 1}, verified once`);
+      }
+      applyClaimResult(entry.claimLinkObj, entry.verificationObj, result.sources || [], Date.now(),
+        result.verdict ? result : null);
+    } else if (message.event === "error") {
+      if (message.index === undefined) {
+        console.log("PostPolice: Verification failed:", message.error);
+        failPendingClaims(entries, message.error);
+        return;
+      }
+      // Claims the page already had aren't checked again
+      if (!entry) return;
+      console.log(`PostPolice: Claim ${message.index + 1} check failed: ${message.error}`);
+      failClaim(entry.claimLinkObj, message.error);
+    }
+  }
+
+  /**
+   * Sends the page text (or a feed's posts) to the background's verification
+   * stream and applies claims, sources and verdicts as they arrive, so
+   * highlights appear one by one.
+   * @param {{content: string, knownClaims: string[]}|{posts: Array<{id: string, text: string}>}} request -
+   *   knownClaims: claims the page already has, which the background doesn't verify again
+   * @returns {Promise<void>} Resolves when the stream ends, fails or is cancelled
+   */
+  function streamVerification(request) {
+    return new Promise((resolve) => {
+      const port = chrome.runtime.connect({ name: "verify-stream" });
+      const entries = [];
+      verifyStream = port;
+
+      const finish = () => {
+        if (verifyStream === port) verifyStream = null;
+        port.disconnect();
+        resolve();
+      };
+
+      port.onMessage.addListener((message) => {
+        handleStreamEvent(message, entries);
+
+        if (message.event === "done") {
+          console.log(`\n=== PostPolice: Verification Complete (${message.stats.unique} unique of ${message.stats.claims} claims, ${message.stats.durationMs}ms) ===`);
+          console.log("All claim links and verdicts stored in window.postPoliceLinks and window.postPoliceVerifications");
+          claimLinks.forEach((item, idx) => {
+            console.log(`  Claim ${idx + 1}: ${item.verdict || "—"} | ${(item.claim || "").substring(0, 50)}...`);
+          });
+          console.log(claimLinks);
+          finish();
+        } else if (message.event === "error" && message.index === undefined) {
+          finish();
+        }
+      });
+      // Fires if the service worker goes away mid-scan
+      port.onDisconnect.addListener(() => {
+        if (verifyStream === port) verifyStream = null;
+        failPendingClaims(entries, "Verification stopped before it finished");
+        resolve();
+      });
+
+      port.postMessage({ type: "START", ...request });
+    });
+  }
+
+  /**
+   * Stops the scan in progress; the background then aborts the server's work.
+   */
+  function cancelVerifyStream() {
+    if (!verifyStream) return;
+    console.log("PostPolice: Cancelling verification in progress");
+    verifyStream.disconnect();
+    verifyStream = null;
+  }
+
+  /**
+   * Checks the feed's new posts, each on its own, after putting the results of
+   * checked posts back on any the feed re-rendered. Checked posts are remembered
+   * by ID, so results build up as the feed scrolls.
+   */
+  async function scanPosts() {
+    isProcessing = true;
+    refreshPostResults();
+
+    const posts = findPosts(siteAdapter).filter(post => !checkedPostIds.has(post.id)).slice(0, MAX_POSTS_PER_SCAN);
+    if (posts.length > 0) {
+      console.log(`PostPolice: Checking ${posts.length} new ${siteAdapter.label} post(s)...`);
+      posts.forEach(post => checkedPostIds.add(post.id));
+      try {
+        await streamVerification({ posts: posts.map(({ id, text }) => ({ id, text })) });
+      } catch (error) {
+        console.log("PostPolice: Error scanning posts:", error.message);
+      }
+    }
+    isProcessing = false;
+
+    // Posts that loaded during the scan, or didn't fit in it (posts whose check
+    // failed wait for the next scan, so a failing server isn't retried in a loop)
+    const scanned = new Set(posts.map(post => post.id));
+    if (findPosts(siteAdapter).some(post => !checkedPostIds.has(post.id) && !scanned.has(post.id))) debouncedScan();
+  }
+
+  /**
+   * Looks for a feed again, as posts render. Once one matches, scans check its posts.
+   */
+  function detectSiteAdapter() {
+    siteAdapter = findSiteAdapter(window.location, document);
+    if (siteAdapter) console.log(`PostPolice: ${siteAdapter.label} feed detected, checking posts one by one`);
+  }
 
   async function scanPage() {
+    if (!siteAdapter) detectSiteAdapter();
     if (isProcessing || !aiAvailable) return;
+    if (siteAdapter) return scanPosts();
     isProcessing = true;
 
-    // Clear previous results to prevent accumulation across scans (MutationObserver)
-    summaries.length = 0;
-    verificationResults.length = 0;
-    claimLinks.length = 0;
-
+    // Earlier results stay: only elements not scanned before are read, and
+    // only claims the page doesn't have yet are verified
     console.log("PostPolice: Scanning page for verifiable content...");
 
     try {
@@ -330,109 +1097,72 @@
       const fullContent = elements.map(({ text }) => text).join("\n\n");
       console.log(`PostPolice: Combined content: ${fullContent.length} chars`);
 
-      // Extract summary using AI
-      const summary = await extractSummaryWithAI(fullContent);
-
-      if (summary) {
-        // Store summary in array for verification
-        const summaryObj = {
-          summary: summary,
-          timestamp: Date.now(),
-          url: window.location.href,
-        };
-        summaries.push(summaryObj);
-
-        console.log("=== PostPolice: Verifiable Content Summary ===");
-        console.log(summary);
-        console.log("==============================================");
-
-        // Split summary into individual claims (by newlines or bullet points)
-        // STRICTLY LIMIT TO TOP 5 CLAIMS
-        const claims = summary
-          .split(/\n|(?=- )/)
-          .map(line => line.replace(/^[-•*]\s*/, '').trim())
-          .filter(line => line.length > 10)
-          .slice(0, 5);
-
-        console.log(`\nPostPolice: Found ${claims.length} individual claims to verify (max 5 enforced)`);
-
-        // Search for each claim separately, then fact-check using scraped links
-        for (let i = 0; i < claims.length; i++) {
-          const claim = claims[i];
-          console.log(`\n--- Searching claim ${i + 1}/${claims.length}: "${claim.substring(0, 60)}..." ---`);
-
-          const searchResult = await searchForClaim(claim);
-
-          // Extract just the URLs from sources
-          const links = searchResult.sources.map(source => source.url);
-
-          // Store claim with its links
-          const claimLinkObj = {
-            claim: claim,
-            links: links,
-            sources: searchResult.sources,
-            searchedAt: searchResult.searchedAt,
-          };
-          claimLinks.push(claimLinkObj);
-
-          const verificationObj = {
-            summaryIndex: summaries.length - 1,
-            claim: claim,
-            sources: searchResult.sources,
-            searchedAt: searchResult.searchedAt,
-          };
-          verificationResults.push(verificationObj);
-
-          if (searchResult.sources.length > 0) {
-            console.log(`Found ${searchResult.sources.length} sources:`);
-            searchResult.sources.forEach((source, j) => {
-              console.log(`  ${j + 1}. ${source.title}`);
-              console.log(`     URL: ${source.url}`);
-            });
-            console.log(`Links array: [${links.join(', ')}]`);
-
-            // Fact-check: fetch HTML from links and get Gemini verdict
-            console.log(`PostPolice: Fact-checking claim against ${links.length} link(s)...`);
-            const verdictResult = await verifyClaimWithLinks(claim, links);
-            claimLinkObj.verdict = verdictResult.verdict;
-            claimLinkObj.reasoning = verdictResult.reasoning;
-            claimLinkObj.raw = verdictResult.raw;
-            claimLinkObj.htmlSize = verdictResult.htmlSize;
-            verificationObj.verdict = verdictResult.verdict;
-            verificationObj.reasoning = verdictResult.reasoning;
-            verificationObj.raw = verdictResult.raw;
-            verificationObj.htmlSize = verdictResult.htmlSize;
-            console.log(`PostPolice: Verdict for claim: ${verdictResult.verdict}`);
-            console.log(`PostPolice: Reasoning: ${verdictResult.reasoning || '(none)'}`);
-
-            // Highlight the claim on the page
-            highlightClaimOnPage(claim, verdictResult.verdict, verdictResult.reasoning, elements);
-          } else {
-            console.log("No sources found for this claim.");
-          }
-
-          // Small delay between searches to avoid rate limiting
-          if (i < claims.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, 500));
-          }
-        }
-
-        console.log("\n=== PostPolice: Verification Complete ===");
-        console.log("All claim links and verdicts stored in window.postPoliceLinks and window.postPoliceVerifications");
-        claimLinks.forEach((item, idx) => {
-          console.log(`  Claim ${idx + 1}: ${item.verdict || "—"} | ${(item.claim || "").substring(0, 50)}...`);
-        });
-        console.log(claimLinks);
-      } else {
-        console.log("PostPolice: No verifiable content found");
-      }
+      // Claims, sources and verdicts stream in as the background and server produce them
+      // Claims whose check failed are left out, so they are checked again
+      const knownClaims = claimLinks.filter(item => !item.error).map(item => item.claim);
+      await streamVerification({ content: fullContent, knownClaims });
     } catch (error) {
       console.log("PostPolice: Error scanning page:", error.message);
     }
 
     isProcessing = false;
+
+    // Content that loaded while this scan ran
+    if (extractVisibleText().length > 0) debouncedScan();
   }
 
+  // ============================================
+  // POPUP MESSAGING
+  // ============================================
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    // Current results for the toolbar popup
+    if (message.type === "GET_RESULTS") {
+      sendResponse({
+        url: window.location.href,
+        aiAvailable,
+        isProcessing,
+        claims: claimLinks,
+      });
+      return false;
+    }
+
+    // Full rescan: forget processed elements, claims and previous highlights
+    if (message.type === "RESCAN") {
+      if (isProcessing) {
+        sendResponse({ started: false });
+        return false;
+      }
+      resetClaimRegistry();
+      scanPage();
+      sendResponse({ started: true });
+      return false;
+    }
+
+    if (message.type === "REVERIFY_CLAIM") {
+      reverifyClaim(message.index).then((claim) => {
+        sendResponse({ claim });
+      });
+      return true;
+    }
+
+    if (message.type === "SEND_FEEDBACK") {
+      const claimLinkObj = claimLinks[message.index];
+      sendFeedback(claimLinkObj, message.vote).then((success) => {
+        const entry = highlightedClaims.find(({ range }) => range === claimRanges.get(claimLinkObj));
+        if (success && entry) entry.feedback = message.vote;
+        sendResponse({ success });
+      });
+      return true;
+    }
+
+    if (message.type === "JUMP_TO_CLAIM") {
+      const claimLinkObj = claimLinks[message.index];
+      sendResponse({ found: claimLinkObj ? jumpToClaim(claimLinkObj) : false });
+      return false;
+    }
+  });
+
   // ============================================
   // MUTATION OBSERVER
   // ============================================
@@ -449,6 +1179,8 @@
 
   function setupMutationObserver() {
     const observer = new MutationObserver((mutations) => {
+      // Feeds only rescan for posts (a feed can be detected after the observer starts)
+      const selectors = siteAdapter ? [siteAdapter.postSelector] : CONTENT_SELECTORS;
       let hasNewContent = false;
 
       for (const mutation of mutations) {
@@ -457,7 +1189,7 @@
             if (node.nodeType === Node.ELEMENT_NODE) {
               const element = node;
               if (
-                CONTENT_SELECTORS.some((sel) => {
+                selectors.some((sel) => {
                   try {
                     return element.matches(sel) || element.querySelector(sel);
                   } catch {
@@ -494,6 +1226,7 @@
 
   async function init() {
     console.log("PostPolice: Initializing on", window.location.href);
+    if (siteAdapter) console.log(`PostPolice: ${siteAdapter.label} feed, checking posts one by one`);
 
     await checkAI();
 
@@ -502,6 +1235,9 @@
       return;
     }
 
+    installVerdictHighlightStyles();
+    // Leaving the page (or entering the back/forward cache) cancels the scan
+    window.addEventListener("pagehide", cancelVerifyStream);
     await scanPage();
     setupMutationObserver();
   }
@@ -0,0 +1,169 @@
+// PostPolice Trusted Domains
+// Shared by the background service worker (importScripts) and the options page.
+// The live list is stored in chrome.storage.sync as groups of domains.
+
+const TRUSTED_DOMAINS_STORAGE_KEY = "trustedDomainGroups";
+
+// Default trusted sources, used until the user edits the list on the options page
+const DEFAULT_DOMAIN_GROUPS = [
+    {
+        name: "Wire services",
+        domains: ["reuters.com", "apnews.com"]
+    },
+    {
+        name: "Broadcasters",
+        domains: ["bbc.com", "bbc.co.uk", "npr.org", "aljazeera.com", "cnn.com", "nbcnews.com", "cbsnews.com", "abcnews.go.com"]
+    },
+    {
+        name: "Newspapers & magazines",
+        domains: ["nytimes.com", "theguardian.com", "washingtonpost.com", "usatoday.com", "politico.com", "thehill.com", "axios.com", "time.com", "forbes.com"]
+    },
+    {
+        name: "Business",
+        domains: ["bloomberg.com", "economist.com", "ft.com", "wsj.com"]
+    },
+    {
+        name: "Science",
+        domains: ["nature.com", "sciencedaily.com"]
+    },
+    {
+        name: "Fact-checkers",
+        domains: ["snopes.com", "factcheck.org", "politifact.com"]
+    }
+];
+
+const DOMAIN_PROFILES_STORAGE_KEY = "trustedDomainProfiles";
+
+// Source categories, used by the server to weight citations when aggregating a verdict
+const DOMAIN_CATEGORIES = {
+    "wire": "Wire service",
+    "fact-checker": "Fact-checker",
+    "journal": "Scientific journal",
+    "news": "General news"
+};
+
+// Credibility tiers: 1 is the most reliable
+const CREDIBILITY_TIERS = [1, 2, 3];
+
+// Profile for domains the user adds without picking a tier or category
+const DEFAULT_DOMAIN_PROFILE = { tier: 3, category: "news" };
+
+const DEFAULT_DOMAIN_PROFILES = {
+    "reuters.com": { tier: 1, category: "wire" },
+    "apnews.com": { tier: 1, category: "wire" },
+    "snopes.com": { tier: 1, category: "fact-checker" },
+    "factcheck.org": { tier: 1, category: "fact-checker" },
+    "politifact.com": { tier: 1, category: "fact-checker" },
+    "nature.com": { tier: 1, category: "journal" },
+    "bbc.com": { tier: 1, category: "news" },
+    "bbc.co.uk": { tier: 1, category: "news" },
+    "npr.org": { tier: 2, category: "news" },
+    "nytimes.com": { tier: 2, category: "news" },
+    "theguardian.com": { tier: 2, category: "news" },
+    "washingtonpost.com": { tier: 2, category: "news" },
+    "wsj.com": { tier: 2, category: "news" },
+    "ft.com": { tier: 2, category: "news" },
+    "economist.com": { tier: 2, category: "news" },
+    "bloomberg.com": { tier: 2, category: "news" },
+    "aljazeera.com": { tier: 2, category: "news" },
+    "nbcnews.com": { tier: 2, category: "news" },
+    "cbsnews.com": { tier: 2, category: "news" },
+    "abcnews.go.com": { tier: 2, category: "news" },
+    "cnn.com": { tier: 2, category: "news" },
+    "usatoday.com": { tier: 2, category: "news" },
+    "politico.com": { tier: 2, category: "news" },
+    "axios.com": { tier: 2, category: "news" },
+    "thehill.com": { tier: 3, category: "news" },
+    "time.com": { tier: 3, category: "news" },
+    "forbes.com": { tier: 3, category: "news" },
+    "sciencedaily.com": { tier: 3, category: "news" }
+};
+
+/**
+ * Normalizes user input ("https://www.Example.com/path") to a bare domain ("example.com").
+ * @param {string} input
+ * @returns {string|null} The domain, or null if the input is not a valid domain
+ */
+function normalizeDomain(input) {
+    let domain = (input || "").trim().toLowerCase();
+    domain = domain.replace(/^[a-z]+:\/\//, "").split(/[/?#:]/)[0].replace(/^www\./, "");
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) ? domain : null;
+}
+
+/**
+ * Flattens groups into a de-duplicated list of domains, keeping group order.
+ * @param {Array<{name: string, domains: string[]}>} groups
+ * @returns {string[]}
+ */
+function flattenDomainGroups(groups) {
+    return [...new Set(groups.flatMap(group => group.domains))];
+}
+
+/**
+ * Loads the trusted domain groups from chrome.storage, falling back to the defaults.
+ * @returns {Promise<Array<{name: string, domains: string[]}>>}
+ */
+async function loadDomainGroups() {
+    const stored = await chrome.storage.sync.get(TRUSTED_DOMAINS_STORAGE_KEY);
+    const groups = stored[TRUSTED_DOMAINS_STORAGE_KEY];
+    return Array.isArray(groups) ? groups : DEFAULT_DOMAIN_GROUPS;
+}
+
+/**
+ * Saves the trusted domain groups to chrome.storage.
+ * @param {Array<{name: string, domains: string[]}>} groups
+ */
+async function saveDomainGroups(groups) {
+    await chrome.storage.sync.set({ [TRUSTED_DOMAINS_STORAGE_KEY]: groups });
+}
+
+/**
+ * Finds the trusted domain a URL belongs to (exact host or subdomain).
+ * @param {string} url
+ * @param {string[]} domains
+ * @returns {string|null}
+ */
+function matchTrustedDomain(url, domains) {
+    try {
+        const hostname = new URL(url).hostname.toLowerCase();
+        return domains.find(domain => hostname === domain || hostname.endsWith("." + domain)) || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Looks up a domain's credibility tier and category.
+ * @param {string} domain
+ * @param {Object<string, {tier: number, category: string}>} profiles
+ * @returns {{tier: number, category: string}}
+ */
+function getDomainProfile(domain, profiles) {
+    return profiles[domain] || DEFAULT_DOMAIN_PROFILE;
+}
+
+/**
+ * Short label shown next to cited sources, e.g. "T1 · Fact-checker".
+ * @param {{tier: number, category: string}} profile
+ * @returns {string}
+ */
+function formatDomainProfile(profile) {
+    return `T${profile.tier} · ${DOMAIN_CATEGORIES[profile.category] || DOMAIN_CATEGORIES.news}`;
+}
+
+/**
+ * Loads domain profiles: the defaults overlaid with the user's edits.
+ * @returns {Promise<Object<string, {tier: number, category: string}>>}
+ */
+async function loadDomainProfiles() {
+    const stored = await chrome.storage.sync.get(DOMAIN_PROFILES_STORAGE_KEY);
+    return { ...DEFAULT_DOMAIN_PROFILES, ...(stored[DOMAIN_PROFILES_STORAGE_KEY] || {}) };
+}
+
+/**
+ * Saves domain profiles to chrome.storage.
+ * @param {Object<string, {tier: number, category: string}>} profiles
+ */
+async function saveDomainProfiles(profiles) {
+    await chrome.storage.sync.set({ [DOMAIN_PROFILES_STORAGE_KEY]: profiles });
+}
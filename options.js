@@ -0,0 +1,212 @@
+// PostPolice Options Page
+// Add, remove and group trusted source domains, set each domain's credibility
+// tier and category, and pick the search provider (stored in chrome.storage.sync).
+// Also pairs the extension with the PostPolice server.
+
+const groupsEl = document.getElementById("groups");
+const statusEl = document.getElementById("status");
+
+let groups = [];
+let profiles = {};
+
+function showStatus(message, isError = false) {
+    statusEl.textContent = message;
+    statusEl.classList.toggle("error", isError);
+}
+
+function createEl(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text) el.textContent = text;
+    return el;
+}
+
+async function persist(message) {
+    await saveDomainGroups(groups);
+    render();
+    showStatus(message);
+}
+
+async function addDomain(groupIndex, input) {
+    const domain = normalizeDomain(input.value);
+    if (!domain) {
+        showStatus(`"${input.value}" is not a valid domain.`, true);
+        return;
+    }
+    if (flattenDomainGroups(groups).includes(domain)) {
+        showStatus(`${domain} is already trusted.`, true);
+        return;
+    }
+
+    // Sources are searched and fetched by the server, so no host permission is needed
+    groups[groupIndex].domains.push(domain);
+    await persist(`Added ${domain} to ${groups[groupIndex].name}.`);
+}
+
+/**
+ * Stores a domain's tier/category. Only edits that differ from the defaults are
+ * saved, so later changes to the default profiles still reach untouched domains.
+ */
+async function updateProfile(domain, changes) {
+    profiles[domain] = { ...getDomainProfile(domain, profiles), ...changes };
+
+    const overrides = {};
+    for (const [name, profile] of Object.entries(profiles)) {
+        const defaults = DEFAULT_DOMAIN_PROFILES[name] || DEFAULT_DOMAIN_PROFILE;
+        if (profile.tier !== defaults.tier || profile.category !== defaults.category) {
+            overrides[name] = profile;
+        }
+    }
+    await saveDomainProfiles(overrides);
+    showStatus(`${domain} is now ${formatDomainProfile(profiles[domain])}.`);
+}
+
+function createSelect(options, value, onChange) {
+    const select = createEl("select");
+    for (const [optionValue, label] of options) {
+        const option = createEl("option", "", label);
+        option.value = optionValue;
+        option.selected = String(optionValue) === String(value);
+        select.appendChild(option);
+    }
+    select.addEventListener("change", () => onChange(select.value));
+    return select;
+}
+
+async function removeDomain(groupIndex, domain) {
+    const group = groups[groupIndex];
+    group.domains = group.domains.filter(d => d !== domain);
+    await persist(`Removed ${domain}.`);
+}
+
+async function removeGroup(groupIndex) {
+    const [removed] = groups.splice(groupIndex, 1);
+    await persist(`Removed group ${removed.name}.`);
+}
+
+function renderGroup(group, groupIndex) {
+    const card = createEl("section", "group");
+
+    const header = createEl("div", "group-header");
+    header.appendChild(createEl("h2", "", `${group.name} (${group.domains.length})`));
+    const removeGroupBtn = createEl("button", "", "Remove group");
+    removeGroupBtn.addEventListener("click", () => removeGroup(groupIndex));
+    header.appendChild(removeGroupBtn);
+    card.appendChild(header);
+
+    const domainsEl = createEl("div", "domains");
+    for (const domain of group.domains) {
+        const chip = createEl("span", "domain", domain);
+        const profile = getDomainProfile(domain, profiles);
+        chip.appendChild(createSelect(
+            CREDIBILITY_TIERS.map(tier => [tier, `T${tier}`]),
+            profile.tier,
+            value => updateProfile(domain, { tier: Number(value) })
+        ));
+        chip.appendChild(createSelect(
+            Object.entries(DOMAIN_CATEGORIES),
+            profile.category,
+            value => updateProfile(domain, { category: value })
+        ));
+        const removeBtn = createEl("button", "", "×");
+        removeBtn.title = `Remove ${domain}`;
+        removeBtn.addEventListener("click", () => removeDomain(groupIndex, domain));
+        chip.appendChild(removeBtn);
+        domainsEl.appendChild(chip);
+    }
+    card.appendChild(domainsEl);
+
+    const form = createEl("form", "add-row");
+    const input = createEl("input");
+    input.type = "text";
+    input.placeholder = "example.com";
+    input.required = true;
+    form.appendChild(input);
+    form.appendChild(createEl("button", "primary", "Add domain"));
+    form.addEventListener("submit", (event) => {
+        event.preventDefault();
+        addDomain(groupIndex, input);
+    });
+    card.appendChild(form);
+
+    return card;
+}
+
+function render() {
+    groupsEl.replaceChildren(...groups.map(renderGroup));
+}
+
+document.getElementById("add-group").addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const input = document.getElementById("group-name");
+    const name = input.value.trim();
+    if (groups.some(group => group.name.toLowerCase() === name.toLowerCase())) {
+        showStatus(`A group named ${name} already exists.`, true);
+        return;
+    }
+    groups.push({ name, domains: [] });
+    input.value = "";
+    await persist(`Added group ${name}.`);
+});
+
+document.getElementById("restore-defaults").addEventListener("click", async () => {
+    groups = structuredClone(DEFAULT_DOMAIN_GROUPS);
+    profiles = { ...DEFAULT_DOMAIN_PROFILES };
+    await saveDomainProfiles({});
+    await persist("Restored the default trusted sources.");
+});
+
+const providerSelect = document.getElementById("search-provider");
+
+function renderSearchSettings(settings) {
+    providerSelect.replaceChildren(...Object.entries(SEARCH_PROVIDER_LABELS).map(([id, label]) => {
+        const option = createEl("option", "", label);
+        option.value = id;
+        option.selected = id === settings.provider;
+        return option;
+    }));
+}
+
+document.getElementById("search-settings").addEventListener("submit", async (event) => {
+    event.preventDefault();
+
+    // Searches run on the PostPolice server, so no extra host access is needed
+    await saveSearchSettings({ provider: providerSelect.value });
+    showStatus(`Search provider set to ${SEARCH_PROVIDER_LABELS[providerSelect.value]}.`);
+});
+
+const pairingStateEl = document.getElementById("pairing-state");
+const unpairBtn = document.getElementById("unpair");
+
+function renderPairing(pairing) {
+    pairingStateEl.textContent = pairing
+        ? `Paired with the server on ${new Date(pairing.pairedAt).toLocaleString()}.`
+        : "Not paired. Start the server (cd server && npm start) and enter the pairing code it prints.";
+    unpairBtn.hidden = !pairing;
+}
+
+document.getElementById("pair").addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const input = document.getElementById("pairing-code");
+    try {
+        renderPairing(await pairWithServer(input.value.trim()));
+        input.value = "";
+        showStatus("Paired with the PostPolice server.");
+    } catch (err) {
+        showStatus(`Pairing failed: ${err.message}`, true);
+    }
+});
+
+unpairBtn.addEventListener("click", async () => {
+    await unpairFromServer();
+    renderPairing(null);
+    showStatus("Unpaired from the PostPolice server.");
+});
+
+(async () => {
+    groups = structuredClone(await loadDomainGroups());
+    profiles = await loadDomainProfiles();
+    render();
+    renderSearchSettings(await loadSearchSettings());
+    renderPairing(await loadServerPairing());
+})();
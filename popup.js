@@ -0,0 +1,211 @@
+// PostPolice Toolbar Popup
+// Lists the current tab's claims with verdicts, reasoning and sources,
+// read from the content script's claim registry (window.postPoliceLinks)
+
+const POLL_INTERVAL = 1500;
+
+const statusEl = document.getElementById("status");
+const claimsEl = document.getElementById("claims");
+const rescanBtn = document.getElementById("rescan");
+
+let activeTabId = null;
+let pollTimer = null;
+
+/**
+ * Sends a message to the content script in the active tab.
+ * @returns {Promise<any|null>} The response, or null if the tab has no content script
+ */
+async function sendToTab(message) {
+    try {
+        return await chrome.tabs.sendMessage(activeTabId, message);
+    } catch (err) {
+        console.log("PostPolice popup: Tab unreachable:", err.message);
+        return null;
+    }
+}
+
+function hostnameOf(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, "");
+    } catch {
+        return url;
+    }
+}
+
+/**
+ * Formats a cached verdict's age, e.g. "5 min", "3 h", "2 days".
+ * @param {number} seconds
+ */
+function formatAge(seconds) {
+    if (seconds < 60) return "under a minute";
+    if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+    if (seconds < 86400) return `${Math.round(seconds / 3600)} h`;
+    const days = Math.round(seconds / 86400);
+    return `${days} day${days === 1 ? "" : "s"}`;
+}
+
+function createEl(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text) el.textContent = text;
+    return el;
+}
+
+/**
+ * Renders one claim card: verdict, claim text, reasoning, sources with quotes, actions.
+ */
+function renderClaim(claim, index) {
+    const item = createEl("li", "claim");
+
+    let verdict = claim.verdict;
+    if (!verdict) {
+        if (claim.error) verdict = "ERROR";
+        else if (claim.pending || !claim.sources) verdict = "CHECKING…";
+        else verdict = "NO SOURCES";
+    }
+    item.appendChild(createEl("span", `verdict ${verdict.toLowerCase()}`, verdict));
+    item.appendChild(createEl("p", "claim-text", claim.claim));
+
+    if (claim.error) {
+        item.appendChild(createEl("p", "reasoning", `Check failed: ${claim.error}`));
+    }
+
+    if (claim.reasoning) {
+        item.appendChild(createEl("p", "reasoning", claim.reasoning));
+    }
+
+    if (claim.cached) {
+        const note = createEl("p", "cached", `Cached verdict, checked ${formatAge(claim.cached.ageSeconds)} ago`);
+        note.title = `Reused from a similar claim (${Math.round(claim.cached.similarity * 100)}% match, ${claim.cached.timeSensitivity.toLowerCase()})`;
+        item.appendChild(note);
+    }
+
+    if (claim.sources && claim.sources.length > 0) {
+        const list = createEl("ul", "sources");
+        for (const source of claim.sources) {
+            const li = document.createElement("li");
+            const link = createEl("a", "", source.title || hostnameOf(source.url));
+            link.href = source.url;
+            link.target = "_blank";
+            link.rel = "noopener noreferrer";
+            link.title = source.url;
+            li.appendChild(link);
+            if (source.tier) {
+                li.appendChild(createEl("span", `tier tier-${source.tier}`, formatDomainProfile(source)));
+            }
+
+            for (const citation of (claim.citations || []).filter(c => c.url === source.url)) {
+                const quote = createEl("span", "quote");
+                quote.appendChild(createEl("span", `stance ${citation.stance.toLowerCase()}`, citation.stance));
+                quote.appendChild(document.createTextNode(`“${citation.quote}”`));
+                li.appendChild(quote);
+            }
+            list.appendChild(li);
+        }
+        item.appendChild(list);
+    }
+
+    const actions = createEl("div", "claim-actions");
+
+    const reverifyBtn = createEl("button", "", "Re-verify");
+    reverifyBtn.addEventListener("click", async () => {
+        reverifyBtn.disabled = true;
+        reverifyBtn.textContent = "Checking…";
+        await sendToTab({ type: "REVERIFY_CLAIM", index });
+        refresh();
+    });
+    actions.appendChild(reverifyBtn);
+
+    const jumpBtn = createEl("button", "", "Show on page");
+    jumpBtn.addEventListener("click", async () => {
+        const response = await sendToTab({ type: "JUMP_TO_CLAIM", index });
+        if (!response?.found) {
+            jumpBtn.textContent = "Not found on page";
+            jumpBtn.disabled = true;
+        }
+    });
+    actions.appendChild(jumpBtn);
+
+    item.appendChild(actions);
+
+    if (claim.verdict) {
+        item.appendChild(renderFeedback(claim, index));
+    }
+    return item;
+}
+
+const FEEDBACK_LABELS = { agree: "Agree", disagree: "Disagree", report: "Report" };
+
+/**
+ * Agree / disagree / report buttons for a verdict, or the vote already given.
+ */
+function renderFeedback(claim, index) {
+    const row = createEl("div", "feedback");
+
+    if (claim.feedback) {
+        row.appendChild(createEl("span", "", `Your feedback: ${FEEDBACK_LABELS[claim.feedback]}`));
+        return row;
+    }
+
+    row.appendChild(createEl("span", "", "Is this verdict right?"));
+    for (const [vote, label] of Object.entries(FEEDBACK_LABELS)) {
+        const button = createEl("button", "", label);
+        button.addEventListener("click", async () => {
+            row.querySelectorAll("button").forEach(b => { b.disabled = true; });
+            const response = await sendToTab({ type: "SEND_FEEDBACK", index, vote });
+            if (!response?.success) {
+                row.firstChild.textContent = "Couldn't send feedback.";
+                row.querySelectorAll("button").forEach(b => { b.disabled = false; });
+                return;
+            }
+            refresh();
+        });
+        row.appendChild(button);
+    }
+    return row;
+}
+
+/**
+ * Fetches the latest results from the tab and re-renders the list.
+ * Keeps polling while the content script is still scanning.
+ */
+async function refresh() {
+    clearTimeout(pollTimer);
+    const results = await sendToTab({ type: "GET_RESULTS" });
+
+    if (!results) {
+        statusEl.textContent = "PostPolice is not running on this page.";
+        rescanBtn.disabled = true;
+        claimsEl.replaceChildren();
+        return;
+    }
+
+    if (!results.aiAvailable) {
+        statusEl.textContent = "Verification server unavailable.";
+    } else if (results.isProcessing) {
+        statusEl.textContent = `Scanning… ${results.claims.length} claim(s) so far`;
+    } else if (results.claims.length === 0) {
+        statusEl.textContent = "No verifiable claims found on this page.";
+    } else {
+        statusEl.textContent = `${results.claims.length} claim(s) on ${hostnameOf(results.url)}`;
+    }
+
+    rescanBtn.disabled = results.isProcessing || !results.aiAvailable;
+    claimsEl.replaceChildren(...results.claims.map(renderClaim));
+
+    if (results.isProcessing) {
+        pollTimer = setTimeout(refresh, POLL_INTERVAL);
+    }
+}
+
+rescanBtn.addEventListener("click", async () => {
+    rescanBtn.disabled = true;
+    await sendToTab({ type: "RESCAN" });
+    refresh();
+});
+
+(async () => {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    activeTabId = tab?.id ?? null;
+    refresh();
+})();
@@ -0,0 +1,35 @@
+// PostPolice Search Settings
+// Which provider the server's /search route should use. Providers themselves
+// live in server/search.js; every one returns { title, url, snippet } results.
+// The SearXNG instance is set on the server (SEARXNG_URL), not here.
+// Loaded by the background service worker (importScripts) and the options page.
+
+const SEARCH_SETTINGS_STORAGE_KEY = "searchSettings";
+
+const DEFAULT_SEARCH_SETTINGS = {
+    provider: "duckduckgo"
+};
+
+// Providers offered on the options page (ids match server/search.js)
+const SEARCH_PROVIDER_LABELS = {
+    duckduckgo: "DuckDuckGo (HTML)",
+    searxng: "SearXNG (self-hosted)",
+    mock: "Mock (offline fixtures)"
+};
+
+/**
+ * Loads the search settings from chrome.storage.
+ * @returns {Promise<{provider: string}>}
+ */
+async function loadSearchSettings() {
+    const stored = await chrome.storage.sync.get(SEARCH_SETTINGS_STORAGE_KEY);
+    return { ...DEFAULT_SEARCH_SETTINGS, ...(stored[SEARCH_SETTINGS_STORAGE_KEY] || {}) };
+}
+
+/**
+ * Saves the search settings to chrome.storage.
+ * @param {{provider: string}} settings
+ */
+async function saveSearchSettings(settings) {
+    await chrome.storage.sync.set({ [SEARCH_SETTINGS_STORAGE_KEY]: settings });
+}
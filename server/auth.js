@@ -0,0 +1,297 @@
+// ------------------------------------
+// Authentication for the extension and the admin dashboard
+// The server is reachable by every page the user visits (it listens on
+// localhost), so nothing is served to a caller it doesn't know:
+//   - Origins: requests from a web page are refused outright. Browsers send
+//     Origin on cross-site requests; only the extension's origin (and the
+//     server's own on localhost, for the dashboard) gets through, and CORS only
+//     answers it.
+//   - Clients: the extension pairs once with a one-time code printed in the
+//     server console and sends the token it gets back with every request.
+//     Tokens are stored hashed in PAIRINGS_FILE, outside Valkey, so clearing
+//     the cache doesn't unpair anyone.
+//   - Admin: /clear-cache, /reset-stats, /metrics and new pairing codes need
+//     ADMIN_TOKEN (Bearer, or as the password of the dashboard's Basic login).
+// Every rejected request is logged and counted for /metrics.
+// ------------------------------------
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const PAIRING_CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_PAIRING_ATTEMPTS = 5;     // wrong codes before the current code is withdrawn
+const MAX_RECENT_REJECTIONS = 20;   // kept for /metrics
+const EXTENSION_ORIGIN = /^chrome-extension:\/\/[a-p]{32}$/;
+
+// Unambiguous characters for codes that are typed in by hand
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+// Why a request was turned away, as shown on /metrics
+const REJECTION_REASONS = {
+    origin: "origin not allowed",
+    token: "missing or unknown client token",
+    admin: "missing or wrong admin credentials",
+    pairing: "wrong or expired pairing code"
+};
+
+let pairingCode = null;             // { code, expiresAt, attempts }
+let pairingsCache = null;           // { file, pairings }: the file is only read once
+let generatedAdminToken = null;
+let rejected;
+let recentRejections;
+resetAuthStats();
+
+function pairingsFile() {
+    return process.env.PAIRINGS_FILE || path.join(__dirname, "pairings.json");
+}
+
+function hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function safeEqual(a, b) {
+    // Hashing first gives equal lengths, which timingSafeEqual needs
+    return crypto.timingSafeEqual(Buffer.from(hashToken(a)), Buffer.from(hashToken(b)));
+}
+
+/**
+ * Paired clients by token hash.
+ * @returns {Object<string, {label: string, origin: string|null, pairedAt: string}>}
+ */
+function loadPairings() {
+    const file = pairingsFile();
+    if (pairingsCache?.file !== file) {
+        let pairings = {};
+        try {
+            pairings = JSON.parse(fs.readFileSync(file, "utf8"));
+        } catch (err) {
+            if (err.code !== "ENOENT") throw err;
+        }
+        pairingsCache = { file, pairings };
+    }
+    return pairingsCache.pairings;
+}
+
+function savePairings(pairings) {
+    fs.writeFileSync(pairingsFile(), JSON.stringify(pairings, null, 2), { mode: 0o600 });
+    pairingsCache = { file: pairingsFile(), pairings };
+}
+
+/**
+ * The admin token: ADMIN_TOKEN, or one generated for this run of the server.
+ * @returns {{token: string, generated: boolean}}
+ */
+function adminCredentials() {
+    if (process.env.ADMIN_TOKEN) return { token: process.env.ADMIN_TOKEN, generated: false };
+    generatedAdminToken ??= crypto.randomBytes(24).toString("base64url");
+    return { token: generatedAdminToken, generated: true };
+}
+
+/**
+ * Starts a new pairing code; it replaces the previous one.
+ * @returns {{code: string, expiresAt: string}}
+ */
+function issuePairingCode() {
+    const bytes = crypto.randomBytes(8);
+    const chars = [...bytes].map(b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join("");
+    const code = `${chars.substring(0, 4)}-${chars.substring(4)}`;
+    pairingCode = { code, expiresAt: Date.now() + PAIRING_CODE_TTL_MS, attempts: 0 };
+    return { code, expiresAt: new Date(pairingCode.expiresAt).toISOString() };
+}
+
+/**
+ * Trades the pairing code for a client token. The code works once.
+ * @param {string} code
+ * @param {{label?: string, origin?: string}} client
+ * @returns {string|null} The token, or null for a wrong or expired code
+ */
+function pair(code, { label, origin }) {
+    if (!pairingCode || pairingCode.expiresAt < Date.now()) {
+        pairingCode = null;
+        return null;
+    }
+    const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, "");
+    if (!safeEqual(normalized, pairingCode.code.replace("-", ""))) {
+        // Guessing is cut short: the code is withdrawn after a few misses
+        if (++pairingCode.attempts >= MAX_PAIRING_ATTEMPTS) {
+            console.log("🔐 Pairing code withdrawn after too many wrong attempts");
+            pairingCode = null;
+        }
+        return null;
+    }
+    pairingCode = null;
+
+    const token = crypto.randomBytes(32).toString("base64url");
+    const pairings = { ...loadPairings() };
+    pairings[hashToken(token)] = {
+        label: typeof label === "string" && label.trim() ? label.trim().substring(0, 100) : "client",
+        origin: EXTENSION_ORIGIN.test(origin) ? origin : null,
+        pairedAt: new Date().toISOString()
+    };
+    savePairings(pairings);
+    return token;
+}
+
+/**
+ * Forgets a client token.
+ * @returns {boolean} Whether it was paired
+ */
+function unpair(token) {
+    const pairings = { ...loadPairings() };
+    const key = hashToken(token);
+    if (!pairings[key]) return false;
+    delete pairings[key];
+    savePairings(pairings);
+    return true;
+}
+
+function bearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "");
+    return match ? match[1] : null;
+}
+
+/**
+ * Who sent a request, for counting each client once (e.g. feedback votes):
+ * derived from its token, so the token itself is never stored.
+ * @returns {string}
+ */
+function clientId(req) {
+    const token = bearerToken(req);
+    return token ? hashToken(token).substring(0, 16) : `ip:${req.ip}`;
+}
+
+function isAdmin(req) {
+    const { token } = adminCredentials();
+    const header = req.headers.authorization || "";
+    const basic = /^Basic\s+(\S+)$/i.exec(header);
+    if (basic) {
+        // Any user name; the password is the admin token
+        const decoded = Buffer.from(basic[1], "base64").toString("utf8");
+        return safeEqual(decoded.substring(decoded.indexOf(":") + 1), token);
+    }
+    const bearer = bearerToken(req);
+    return bearer !== null && safeEqual(bearer, token);
+}
+
+/**
+ * Origins of paired extensions plus EXTENSION_ORIGINS (comma separated).
+ * @returns {Set<string>}
+ */
+function allowedOrigins() {
+    const configured = (process.env.EXTENSION_ORIGINS || "").split(",").map(o => o.trim()).filter(Boolean);
+    const paired = Object.values(loadPairings()).map(p => p.origin).filter(Boolean);
+    return new Set([...configured, ...paired]);
+}
+
+function reject(req, res, reason, status) {
+    rejected[reason]++;
+    const entry = {
+        reason: REJECTION_REASONS[reason],
+        method: req.method,
+        path: req.path,
+        origin: req.headers.origin || null,
+        ip: req.ip,
+        at: new Date().toISOString()
+    };
+    recentRejections.unshift(entry);
+    recentRejections.length = Math.min(recentRejections.length, MAX_RECENT_REJECTIONS);
+    console.log(`🚫 Rejected ${entry.method} ${entry.path} from ${entry.origin || entry.ip}: ${entry.reason}`);
+    return res.status(status).json({ error: REJECTION_REASONS[reason] });
+}
+
+/**
+ * The dashboard's own origins. Built from the port the request arrived on, not
+ * the Host header: a DNS-rebinding page sends its own name as Host, and would
+ * otherwise pass as same-origin.
+ * @returns {string[]}
+ */
+function dashboardOrigins(req) {
+    const port = req.socket.localPort;
+    return [`http://localhost:${port}`, `http://127.0.0.1:${port}`, `http://[::1]:${port}`];
+}
+
+/**
+ * Refuses requests sent from web pages. Requests without an Origin (the CLI,
+ * curl, the dashboard's own page loads) pass on to the token checks.
+ * /pair accepts any extension, since it isn't known before it pairs.
+ */
+function checkOrigin(req, res, next) {
+    const { origin } = req.headers;
+    if (!origin) return next();
+    if (dashboardOrigins(req).includes(origin)) return next();
+    if (allowedOrigins().has(origin)) return next();
+    if (req.path === "/pair" && EXTENSION_ORIGIN.test(origin)) return next();
+    return reject(req, res, "origin", 403);
+}
+
+/**
+ * CORS `origin` option: answer paired and configured extensions only.
+ */
+function corsOrigin(origin, callback) {
+    callback(null, Boolean(origin) && allowedOrigins().has(origin));
+}
+
+/**
+ * Route middleware: a paired client's token (or the admin token).
+ */
+function requireClient(req, res, next) {
+    const token = bearerToken(req);
+    if (token && (loadPairings()[hashToken(token)] || isAdmin(req))) return next();
+    return reject(req, res, "token", 401);
+}
+
+/**
+ * Route middleware: the admin token. Browsers are asked for it with a Basic
+ * login, so the dashboard works from the address bar.
+ */
+function requireAdmin(req, res, next) {
+    if (isAdmin(req)) return next();
+    res.set("WWW-Authenticate", 'Basic realm="PostPolice admin", charset="UTF-8"');
+    return reject(req, res, "admin", 401);
+}
+
+/**
+ * Records a wrong pairing code as a rejection.
+ */
+function rejectPairing(req, res) {
+    return reject(req, res, "pairing", 403);
+}
+
+/**
+ * Paired clients and rejected requests (for /metrics).
+ * @returns {{pairedClients: number, pairingCodeActive: boolean,
+ *   rejected: {origin: number, token: number, admin: number, pairing: number},
+ *   rejectedTotal: number, recentRejections: Array<{reason: string, method: string,
+ *   path: string, origin: string|null, ip: string, at: string}>}}
+ */
+function describeAuth() {
+    return {
+        pairedClients: Object.keys(loadPairings()).length,
+        pairingCodeActive: Boolean(pairingCode && pairingCode.expiresAt > Date.now()),
+        rejected: { ...rejected },
+        rejectedTotal: Object.values(rejected).reduce((a, b) => a + b, 0),
+        recentRejections: [...recentRejections]
+    };
+}
+
+function resetAuthStats() {
+    rejected = Object.fromEntries(Object.keys(REJECTION_REASONS).map(reason => [reason, 0]));
+    recentRejections = [];
+}
+
+module.exports = {
+    adminCredentials,
+    issuePairingCode,
+    pair,
+    unpair,
+    bearerToken,
+    clientId,
+    checkOrigin,
+    corsOrigin,
+    requireClient,
+    requireAdmin,
+    rejectPairing,
+    describeAuth,
+    resetAuthStats
+};
@@ -0,0 +1,93 @@
+// ------------------------------------
+// Helpers for /verify-batch, /verify-stream and /extract-claims
+// Run claim checks a few at a time, each under its own deadline, and share one
+// in-flight call between identical requests.
+// ------------------------------------
+
+/**
+ * Maps items through an async function with at most `limit` calls in flight.
+ * Never rejects: each slot holds { status: "fulfilled", value } or { status: "rejected", reason },
+ * in input order (like Promise.allSettled).
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<Array<{status: string, value?: R, reason?: Error}>>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const outcomes = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                outcomes[index] = { status: "fulfilled", value: await fn(items[index], index) };
+            } catch (reason) {
+                outcomes[index] = { status: "rejected", reason };
+            }
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return outcomes;
+}
+
+/**
+ * Runs a task with a deadline. The task receives an AbortSignal that fires at the
+ * deadline, or when `parentSignal` aborts, so it can stop its own requests; the
+ * returned promise rejects then regardless (with err.code === "ETIMEDOUT" at the deadline).
+ * @template R
+ * @param {(signal: AbortSignal) => Promise<R>} task
+ * @param {number} ms
+ * @param {string} [label]
+ * @param {AbortSignal} [parentSignal] - E.g. aborted when the client disconnects
+ * @returns {Promise<R>}
+ */
+function withTimeout(task, ms, label = "task", parentSignal) {
+    if (parentSignal?.aborted) return Promise.reject(parentSignal.reason);
+
+    const controller = new AbortController();
+    let timer;
+    let onParentAbort;
+    const deadline = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`${label} timed out after ${ms}ms`);
+            error.code = "ETIMEDOUT";
+            controller.abort(error);
+            reject(error);
+        }, ms);
+        onParentAbort = () => {
+            controller.abort(parentSignal.reason);
+            reject(parentSignal.reason);
+        };
+        parentSignal?.addEventListener("abort", onParentAbort, { once: true });
+    });
+
+    return Promise.race([task(controller.signal), deadline]).finally(() => {
+        clearTimeout(timer);
+        parentSignal?.removeEventListener("abort", onParentAbort);
+    });
+}
+
+/**
+ * Lets concurrent callers with the same key share one call: the first caller
+ * runs fn, and callers arriving before it settles get its result (or error).
+ * @template R
+ * @returns {(key: string, fn: () => Promise<R>) => Promise<{value: R, shared: boolean}>}
+ *   shared is true for the callers that waited on another caller's call
+ */
+function createSingleFlight() {
+    const inFlight = new Map();
+
+    return async function singleFlight(key, fn) {
+        if (inFlight.has(key)) {
+            return { value: await inFlight.get(key), shared: true };
+        }
+        const call = Promise.resolve().then(fn).finally(() => inFlight.delete(key));
+        inFlight.set(key, call);
+        return { value: await call, shared: false };
+    };
+}
+
+module.exports = { mapWithConcurrency, withTimeout, createSingleFlight };
@@ -0,0 +1,122 @@
+// ------------------------------------
+// Benchmark: semantic cache lookup, HNSW index vs. the old linear scan
+//
+// Usage: node bench/semanticIndex.js [sizes...]   (default: 10000 100000)
+//
+// The old /verify-fact lookup ran HGETALL on semantic_verdicts, JSON-parsed
+// every vector key and computed cosine similarity against each one. Here the
+// scan is measured twice: with that JSON parsing (as it ran), and over
+// pre-parsed vectors (the best a scan could do). Vectors are synthetic
+// 384-dim embeddings clustered around topics, like claims from news pages.
+// ------------------------------------
+
+const { HnswIndex } = require("../vectorIndex");
+const { cosineSimilarity } = require("../embeddings");
+
+const DIM = 384;
+const QUERIES = 200;
+const CLUSTERS = 500;
+const EF_SEARCH_VALUES = [40, 100, 200];
+// JSON strings of 384 floats take ~8KB each; keep that variant within memory
+const MAX_JSON_SCAN_SIZE = 20000;
+
+// Deterministic PRNG so runs are comparable
+let seed = 42;
+function random() {
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    return seed / 0x100000000;
+}
+
+function gaussian() {
+    return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+function unit(vector) {
+    let norm = 0;
+    for (const x of vector) norm += x * x;
+    norm = Math.sqrt(norm);
+    return vector.map(x => x / norm);
+}
+
+function randomVector() {
+    return unit(Array.from({ length: DIM }, gaussian));
+}
+
+function perturb(vector, amount) {
+    return unit(vector.map(x => x + gaussian() * amount));
+}
+
+function generate(size) {
+    const centers = Array.from({ length: CLUSTERS }, randomVector);
+    return Array.from({ length: size }, (_, i) => perturb(centers[i % CLUSTERS], 0.03));
+}
+
+function time(fn) {
+    const start = process.hrtime.bigint();
+    const result = fn();
+    return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+function linearScan(vectors, query) {
+    let best = -1;
+    let bestSimilarity = -1;
+    for (let i = 0; i < vectors.length; i++) {
+        const similarity = cosineSimilarity(query, vectors[i]);
+        if (similarity > bestSimilarity) {
+            bestSimilarity = similarity;
+            best = i;
+        }
+    }
+    return best;
+}
+
+function jsonScan(hash, query) {
+    let best = null;
+    let bestSimilarity = -1;
+    for (const [vectorStr, id] of Object.entries(hash)) {
+        const similarity = cosineSimilarity(query, JSON.parse(vectorStr));
+        if (similarity > bestSimilarity) {
+            bestSimilarity = similarity;
+            best = id;
+        }
+    }
+    return best;
+}
+
+function run(size) {
+    console.log(`\n=== ${size.toLocaleString()} cached verdicts ===`);
+    const vectors = generate(size);
+    // Near-duplicates of cached claims (the cache-hit case) and unrelated claims
+    const queries = Array.from({ length: QUERIES }, (_, i) =>
+        i % 2 === 0 ? perturb(vectors[Math.floor(random() * size)], 0.005) : randomVector()
+    );
+
+    const index = new HnswIndex();
+    const build = time(() => vectors.forEach((vector, i) => index.add(String(i), vector)));
+    console.log(`HNSW build:            ${(build.ms / 1000).toFixed(1)}s (${(build.ms / size).toFixed(2)}ms per insert)`);
+
+    const exact = time(() => queries.map(query => linearScan(vectors, query)));
+    const scanMs = exact.ms / QUERIES;
+
+    if (size <= MAX_JSON_SCAN_SIZE) {
+        const hash = {};
+        vectors.forEach((vector, i) => { hash[JSON.stringify(vector)] = String(i); });
+        const old = time(() => queries.slice(0, 20).map(query => jsonScan(hash, query)));
+        console.log(`Old scan (JSON keys):  ${(old.ms / 20).toFixed(2)}ms per lookup`);
+    }
+    console.log(`Linear scan (parsed):  ${scanMs.toFixed(2)}ms per lookup`);
+
+    for (const efSearch of EF_SEARCH_VALUES) {
+        index.efSearch = efSearch;
+        const approx = time(() => queries.map(query => Number(index.search(query, 1)[0].id)));
+        // Recall on near-duplicates is what decides semantic cache hits
+        const hits = approx.result.filter((id, i) => i % 2 === 0 && id === exact.result[i]).length;
+        const hnswMs = approx.ms / QUERIES;
+        console.log(`HNSW efSearch=${String(efSearch).padEnd(4)}    ${hnswMs.toFixed(3)}ms per lookup (${(scanMs / hnswMs).toFixed(0)}x faster), ` +
+            `recall@1 ${((hits / (QUERIES / 2)) * 100).toFixed(1)}% on near-duplicates`);
+    }
+}
+
+const sizes = process.argv.slice(2).map(Number).filter(Boolean);
+(sizes.length > 0 ? sizes : [10000, 100000]).forEach(run);
+process.exit(0);
@@ -0,0 +1,170 @@
+// ------------------------------------
+// Consistency guard for semantic cache hits
+// Embeddings place "unemployment rose to 5%" right next to "unemployment fell
+// to 4%". Before a cached verdict is reused, the two claims must agree on
+// numbers, dates, named entities and negation; otherwise it is a miss.
+// ------------------------------------
+
+const WORD_NUMBERS = {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+    nine: 9, ten: 10, eleven: 11, twelve: 12, twenty: 20, thirty: 30, forty: 40,
+    fifty: 50, hundred: 100, dozen: 12, half: 0.5
+};
+const MAGNITUDES = ["thousand", "million", "billion", "trillion"];
+
+const MONTHS = ["january", "february", "march", "april", "may", "june", "july", "august",
+    "september", "october", "november", "december"];
+const MONTH_ABBREVIATIONS = { jan: "january", feb: "february", mar: "march", apr: "april",
+    jun: "june", jul: "july", aug: "august", sep: "september", sept: "september",
+    oct: "october", nov: "november", dec: "december" };
+const WEEKDAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+const RELATIVE_DAYS = ["today", "yesterday", "tomorrow"];
+
+const NEGATIONS = new Set(["not", "no", "never", "none", "nobody", "nothing", "neither", "nor",
+    "without", "cannot", "isn't", "aren't", "wasn't", "weren't", "doesn't", "don't", "didn't",
+    "hasn't", "haven't", "hadn't", "won't", "wouldn't", "can't", "couldn't", "shouldn't"]);
+
+// Opposite directions of change, which negation counting alone misses
+const INCREASE_WORDS = new Set(["rose", "rise", "rises", "risen", "rising", "increase", "increased",
+    "increases", "increasing", "grew", "grow", "grows", "growing", "gained", "gains", "higher", "up",
+    "more", "surged", "soared", "climbed"]);
+const DECREASE_WORDS = new Set(["fell", "fall", "falls", "fallen", "falling", "decrease", "decreased",
+    "decreases", "decreasing", "shrank", "shrink", "shrinks", "shrinking", "lost", "loses", "lower",
+    "down", "less", "fewer", "dropped", "drop", "drops", "declined", "plunged"]);
+
+// Capitalized words that start sentences without naming anything
+const NON_ENTITY_WORDS = new Set(["the", "a", "an", "in", "on", "at", "by", "for", "of", "to", "and",
+    "but", "or", "it", "its", "this", "that", "these", "those", "there", "they", "he", "she", "we",
+    "i", "you", "his", "her", "their", "our", "after", "before", "during", "since", "according",
+    "as", "if", "when", "while", "some", "many", "most", "all", "every", "new", "more", "less"]);
+
+function tokenize(text) {
+    return text.match(/[\p{L}\p{N}][\p{L}\p{N}'’.,%-]*/gu)?.map(t => t.replace(/[’]/g, "'").replace(/[.,]+$/, "")) || [];
+}
+
+function isYear(value) {
+    return Number.isInteger(value) && value >= 1000 && value <= 2199;
+}
+
+/**
+ * Numbers (with % or magnitude attached) and dates mentioned in a claim.
+ * Years go to dates, not numbers.
+ */
+function extractQuantities(tokens) {
+    const numbers = [];
+    const dates = [];
+
+    tokens.forEach((token, i) => {
+        const lower = token.toLowerCase();
+        const next = (tokens[i + 1] || "").toLowerCase();
+
+        const numeric = lower.match(/^-?\d[\d,]*(\.\d+)?%?$/);
+        let value = null;
+        if (numeric) value = parseFloat(lower.replace(/,/g, ""));
+        else if (lower in WORD_NUMBERS) value = WORD_NUMBERS[lower];
+
+        if (value !== null) {
+            if (!lower.endsWith("%") && isYear(value)) {
+                dates.push(String(value));
+                return;
+            }
+            let label = String(value);
+            if (MAGNITUDES.includes(next)) label += ` ${next}`;
+            if (lower.endsWith("%") || next === "percent" || next === "per") label += "%";
+            numbers.push(label);
+            return;
+        }
+
+        const month = MONTHS.includes(lower) ? lower : MONTH_ABBREVIATIONS[lower];
+        // "may" is only a month when it sits next to a number ("May 5", "5 May 2024")
+        if (month && (lower !== "may" || /^\d/.test(next) || /^\d/.test(tokens[i - 1] || ""))) {
+            dates.push(month);
+        } else if (WEEKDAYS.includes(lower) || RELATIVE_DAYS.includes(lower)) {
+            dates.push(lower);
+        }
+    });
+
+    return { numbers, dates };
+}
+
+/**
+ * Capitalized words and acronyms, other than function words and dates.
+ * The first word is capitalized anyway, so it only counts when the other
+ * claim doesn't use it in lowercase ("Coffee drinkers…" vs "…found coffee drinkers").
+ */
+function extractEntities(tokens, otherTokens) {
+    const entities = new Set();
+    tokens.forEach((token, i) => {
+        if (!/^\p{Lu}/u.test(token)) return;
+        const lower = token.toLowerCase().replace(/'s$/, "");
+        if (NON_ENTITY_WORDS.has(lower) || MONTHS.includes(lower) || MONTH_ABBREVIATIONS[lower] ||
+            WEEKDAYS.includes(lower) || RELATIVE_DAYS.includes(lower)) return;
+        if (i === 0 && otherTokens.some(other => other.replace(/'s$/, "") === lower)) return;
+        entities.add(lower);
+    });
+    return entities;
+}
+
+function polarity(tokens) {
+    let negations = 0;
+    let direction = 0;
+    for (const token of tokens) {
+        const lower = token.toLowerCase();
+        if (NEGATIONS.has(lower) || lower.endsWith("n't")) negations++;
+        if (INCREASE_WORDS.has(lower)) direction++;
+        if (DECREASE_WORDS.has(lower)) direction--;
+    }
+    return { negated: negations % 2 === 1, direction: Math.sign(direction) };
+}
+
+function sameMultiset(a, b) {
+    return a.length === b.length && [...a].sort().join("|") === [...b].sort().join("|");
+}
+
+function describe(values) {
+    return [...values].join(", ") || "none";
+}
+
+/**
+ * Checks whether a cached claim says the same thing as the claim being verified.
+ * @param {string} claim - The claim being verified
+ * @param {string} cachedClaim - The claim the cached verdict was produced for
+ * @returns {{consistent: boolean, mismatches: string[]}} Human-readable reasons when inconsistent
+ */
+function checkClaimConsistency(claim, cachedClaim) {
+    if (!cachedClaim) {
+        return { consistent: false, mismatches: ["cached entry has no claim text"] };
+    }
+
+    const tokensA = tokenize(claim);
+    const tokensB = tokenize(cachedClaim);
+    const mismatches = [];
+
+    const quantitiesA = extractQuantities(tokensA);
+    const quantitiesB = extractQuantities(tokensB);
+    if (!sameMultiset(quantitiesA.numbers, quantitiesB.numbers)) {
+        mismatches.push(`numbers: ${describe(quantitiesA.numbers)} vs ${describe(quantitiesB.numbers)}`);
+    }
+    if (!sameMultiset(quantitiesA.dates, quantitiesB.dates)) {
+        mismatches.push(`dates: ${describe(quantitiesA.dates)} vs ${describe(quantitiesB.dates)}`);
+    }
+
+    const entitiesA = extractEntities(tokensA, tokensB);
+    const entitiesB = extractEntities(tokensB, tokensA);
+    if (!sameMultiset([...entitiesA], [...entitiesB])) {
+        mismatches.push(`entities: ${describe(entitiesA)} vs ${describe(entitiesB)}`);
+    }
+
+    const polarityA = polarity(tokensA);
+    const polarityB = polarity(tokensB);
+    if (polarityA.negated !== polarityB.negated) {
+        mismatches.push("negation: one claim is negated");
+    }
+    if (polarityA.direction !== polarityB.direction) {
+        mismatches.push("direction: claims describe opposite or different changes");
+    }
+
+    return { consistent: mismatches.length === 0, mismatches };
+}
+
+module.exports = { checkClaimConsistency };
@@ -0,0 +1,117 @@
+// ------------------------------------
+// Source credibility weighting
+// Sources arrive tagged with the extension's tier (1 = most reliable) and
+// category; citations are weighted by both when aggregating a verdict.
+// ------------------------------------
+
+const { matchTrustedDomain } = require("./search");
+
+const TIER_WEIGHTS = { 1: 1.0, 2: 0.7, 3: 0.4 };
+const CATEGORY_WEIGHTS = {
+    "fact-checker": 1.5,
+    "wire": 1.2,
+    "journal": 1.2,
+    "news": 1.0
+};
+
+// Profile of domains the extension sent no profile for (matches domains.js)
+const DEFAULT_DOMAIN_PROFILE = { tier: 3, category: "news" };
+
+// The winning side must outweigh the other by this factor to decide the verdict
+const DOMINANCE_RATIO = 1.5;
+// Below this total weight, citations alone are too thin to override the model
+const MIN_DECISIVE_WEIGHT = 0.6;
+
+/**
+ * Weight of a single source, from its tier and category (unknown values count as tier 3 news).
+ * @param {{tier?: number, category?: string}} source
+ * @returns {number}
+ */
+function sourceWeight(source) {
+    const tierWeight = TIER_WEIGHTS[source?.tier] ?? TIER_WEIGHTS[3];
+    const categoryWeight = CATEGORY_WEIGHTS[source?.category] ?? CATEGORY_WEIGHTS.news;
+    return tierWeight * categoryWeight;
+}
+
+/**
+ * Tags trusted search results with their domain's tier and category and ranks
+ * higher tiers first (search engine order is kept within a tier). Server-side
+ * counterpart of the extension's rankByCredibility, for /verify-batch.
+ * @param {Array<{title: string, url: string, snippet: string}>} results - Already filtered to trusted domains
+ * @param {string[]} domains
+ * @param {Object<string, {tier: number, category: string}>} [profiles] - Domain profiles from the extension
+ * @returns {Array<{title: string, url: string, snippet: string, domain: string, tier: number, category: string}>}
+ */
+function rankSources(results, domains, profiles = {}) {
+    return results
+        .map((result) => {
+            const domain = matchTrustedDomain(result.url, domains);
+            return { ...result, domain, ...(profiles[domain] || DEFAULT_DOMAIN_PROFILE) };
+        })
+        .sort((a, b) => a.tier - b.tier);
+}
+
+/**
+ * Combines the model's verdict with the weighted stance of its citations.
+ * Each source counts once per stance, so several quotes from one outlet do not stack.
+ * @param {string} modelVerdict - "VERIFIED" | "FALSE" | "UNCERTAIN"
+ * @param {Array<{url: string, stance: string, tier?: number, category?: string}>} citations
+ * @returns {{verdict: string, support: number, refute: number}}
+ */
+function aggregateVerdict(modelVerdict, citations) {
+    const supporting = new Map();
+    const refuting = new Map();
+    for (const citation of citations) {
+        if (citation.stance === "SUPPORTS") supporting.set(citation.url, sourceWeight(citation));
+        if (citation.stance === "REFUTES") refuting.set(citation.url, sourceWeight(citation));
+    }
+
+    const sum = (weights) => [...weights.values()].reduce((total, w) => total + w, 0);
+    const support = Number(sum(supporting).toFixed(2));
+    const refute = Number(sum(refuting).toFixed(2));
+
+    let verdict = modelVerdict;
+    if (refute >= MIN_DECISIVE_WEIGHT && refute >= support * DOMINANCE_RATIO) {
+        verdict = "FALSE";
+    } else if (support >= MIN_DECISIVE_WEIGHT && support >= refute * DOMINANCE_RATIO) {
+        verdict = "VERIFIED";
+    } else if (support > 0 && refute > 0) {
+        verdict = "UNCERTAIN"; // contested, no side clearly more credible
+    }
+
+    return { verdict, support, refute };
+}
+
+/**
+ * Confidence in the final verdict, from 0 to 1. The model's own estimate is kept
+ * when weighting left its verdict alone; otherwise the share of citation weight
+ * behind the winning side is used.
+ * @param {number|string} modelConfidence - As returned by the model (0–1 or a percentage)
+ * @param {string} modelVerdict
+ * @param {{verdict: string, support: number, refute: number}} aggregate - From aggregateVerdict
+ * @returns {number|null} Null when there is nothing to base it on
+ */
+function verdictConfidence(modelConfidence, modelVerdict, { verdict, support, refute }) {
+    let model = Number(modelConfidence);
+    if (model > 1) model /= 100;
+    if (verdict === modelVerdict && Number.isFinite(model) && modelConfidence !== null && modelConfidence !== "") {
+        return Number(Math.min(Math.max(model, 0), 1).toFixed(2));
+    }
+
+    const total = support + refute;
+    if (total === 0 || verdict === "UNCERTAIN") return null;
+    return Number(((verdict === "FALSE" ? refute : support) / total).toFixed(2));
+}
+
+/**
+ * Short label for prompts and logs, e.g. "tier 1 fact-checker".
+ * @param {{tier?: number, category?: string}} source
+ * @returns {string}
+ */
+function describeSource(source) {
+    const tier = TIER_WEIGHTS[source?.tier] ? source.tier : 3;
+    const category = CATEGORY_WEIGHTS[source?.category] ? source.category : "news";
+    return `tier ${tier} ${category}`;
+}
+
+module.exports = { sourceWeight, rankSources, aggregateVerdict, verdictConfidence, describeSource };
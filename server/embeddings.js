@@ -0,0 +1,53 @@
+// ------------------------------------
+// Local embeddings (all-MiniLM-L6-v2 via Transformers.js)
+// Shared by the semantic verdict cache and the evidence pipeline
+// ------------------------------------
+
+let extractor;
+let loading = null;
+
+/**
+ * Starts loading the model (the server does at startup; scripts that only need
+ * cosineSimilarity don't). getEmbedding returns null until it has loaded.
+ * @returns {Promise<void>}
+ */
+function loadEmbeddingModel() {
+    if (!loading) {
+        loading = (async () => {
+            try {
+                console.log("📥 Loading local embedding model (all-MiniLM-L6-v2)...");
+                const { pipeline } = await import("@xenova/transformers");
+                extractor = await pipeline("feature-extraction", "Xenova/all-MiniLM-L6-v2");
+                console.log("✅ Local embedding model ready");
+            } catch (err) {
+                console.error("❌ Failed to load embedding model:", err.message);
+            }
+        })();
+    }
+    return loading;
+}
+
+function cosineSimilarity(vecA, vecB) {
+    let dotProduct = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < vecA.length; i++) {
+        dotProduct += vecA[i] * vecB[i];
+        normA += vecA[i] * vecA[i];
+        normB += vecB[i] * vecB[i];
+    }
+    return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Returns a normalized 384-dim embedding, or null while the model is unavailable.
+ * @param {string} text
+ * @returns {Promise<number[]|null>}
+ */
+async function getEmbedding(text) {
+    if (!extractor) return null;
+    const output = await extractor(text, { pooling: "mean", normalize: true });
+    return Array.from(output.data);
+}
+
+module.exports = { loadEmbeddingModel, getEmbedding, cosineSimilarity };
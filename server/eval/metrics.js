@@ -0,0 +1,135 @@
+// ------------------------------------
+// Scores for the verdict evaluation (eval/verdicts.js)
+// Accuracy, per-verdict precision/recall/F1 and the confusion matrix of a run,
+// and the Markdown report that puts several runs side by side.
+// ------------------------------------
+
+const { VERDICTS } = require("../llm");
+
+// Predicted label of a claim whose check failed (provider error, missing recording)
+const ERROR_LABEL = "ERROR";
+
+function ratio(numerator, denominator) {
+    return denominator > 0 ? numerator / denominator : null;
+}
+
+/**
+ * Scores one run.
+ * @param {Array<{expected: string, predicted: string, parsed?: boolean}>} predictions
+ *   predicted is a verdict or ERROR_LABEL; parsed is false when the model's output was not JSON
+ * @returns {{total: number, correct: number, accuracy: number|null, macroF1: number|null,
+ *   perClass: Object<string, {precision: number|null, recall: number|null, f1: number|null, support: number}>,
+ *   confusion: Object<string, Object<string, number>>, parseFailures: number, errors: number}}
+ *   confusion[expected][predicted] counts claims; precision is null for a verdict that was never predicted
+ */
+function scoreRun(predictions) {
+    const columns = [...VERDICTS, ERROR_LABEL];
+    const confusion = Object.fromEntries(VERDICTS.map(expected =>
+        [expected, Object.fromEntries(columns.map(predicted => [predicted, 0]))]));
+
+    for (const { expected, predicted } of predictions) {
+        confusion[expected][columns.includes(predicted) ? predicted : ERROR_LABEL]++;
+    }
+
+    const perClass = {};
+    for (const verdict of VERDICTS) {
+        const truePositives = confusion[verdict][verdict];
+        const predictedCount = VERDICTS.reduce((sum, expected) => sum + confusion[expected][verdict], 0);
+        const support = columns.reduce((sum, predicted) => sum + confusion[verdict][predicted], 0);
+
+        const precision = ratio(truePositives, predictedCount);
+        const recall = ratio(truePositives, support);
+        const f1 = precision !== null && recall !== null
+            ? (precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0)
+            : null;
+        perClass[verdict] = { precision, recall, f1, support };
+    }
+
+    // Verdicts without labeled claims don't count towards the macro average
+    const f1s = VERDICTS.filter(v => perClass[v].support > 0).map(v => perClass[v].f1 ?? 0);
+    const correct = VERDICTS.reduce((sum, verdict) => sum + confusion[verdict][verdict], 0);
+
+    return {
+        total: predictions.length,
+        correct,
+        accuracy: ratio(correct, predictions.length),
+        macroF1: f1s.length > 0 ? f1s.reduce((a, b) => a + b, 0) / f1s.length : null,
+        perClass,
+        confusion,
+        parseFailures: predictions.filter(p => p.parsed === false).length,
+        errors: predictions.filter(p => p.predicted === ERROR_LABEL).length
+    };
+}
+
+function percent(value) {
+    return value === null || value === undefined ? "—" : `${(value * 100).toFixed(1)}%`;
+}
+
+function table(header, rows) {
+    return [
+        `| ${header.join(" | ")} |`,
+        `|${header.map(() => "---").join("|")}|`,
+        ...rows.map(row => `| ${row.join(" | ")} |`)
+    ].join("\n");
+}
+
+/**
+ * Formats runs as a Markdown report: metrics side by side, each run's confusion
+ * matrix, and the claims the runs disagree on (or all got wrong).
+ * @param {Array<{name: string, llm: {provider: string, model: string}, metrics: Object,
+ *   predictions: Array<{id: string, claim: string, expected: string, predicted: string}>}>} runs
+ * @param {string} title
+ * @returns {string}
+ */
+function formatReport(runs, title) {
+    const names = runs.map(run => `**${run.name}**`);
+    const metricRows = [
+        ["Model", ...runs.map(run => `${run.llm.provider} / ${run.llm.model}`)],
+        ["Accuracy", ...runs.map(run => `${percent(run.metrics.accuracy)} (${run.metrics.correct}/${run.metrics.total})`)],
+        ["Macro F1", ...runs.map(run => percent(run.metrics.macroF1))],
+        ...VERDICTS.map(verdict => [
+            `${verdict} precision / recall`,
+            ...runs.map(run => {
+                const { precision, recall } = run.metrics.perClass[verdict];
+                return `${percent(precision)} / ${percent(recall)}`;
+            })
+        ]),
+        ["Unparseable responses", ...runs.map(run => String(run.metrics.parseFailures))],
+        ["Errors", ...runs.map(run => String(run.metrics.errors))]
+    ];
+
+    const sections = [`# ${title}`, table(["", ...names], metricRows)];
+
+    for (const run of runs) {
+        const columns = [...VERDICTS, ERROR_LABEL];
+        sections.push(`## Confusion matrix: ${run.name}\nRows are the expected verdict, columns the predicted one.`);
+        sections.push(table(
+            ["expected \\ predicted", ...columns],
+            VERDICTS.map(expected => [expected, ...columns.map(predicted => String(run.metrics.confusion[expected][predicted]))])
+        ));
+    }
+
+    // Claims where the runs disagree, or that every run got wrong (matched by id,
+    // so a saved run of an older dataset still lines up)
+    const predictedById = runs.map(run => new Map(run.predictions.map(p => [p.id, p.predicted])));
+    const interesting = runs[0].predictions.filter(({ id, expected }) => {
+        const predicted = predictedById.map(byId => byId.get(id));
+        return new Set(predicted).size > 1 || predicted.every(p => p !== expected);
+    });
+    if (interesting.length > 0) {
+        sections.push("## Claims to look at");
+        sections.push(table(
+            ["id", "claim", "expected", ...names],
+            interesting.map(({ id, claim, expected }) => [
+                id,
+                claim.replace(/\|/g, "\\|"),
+                expected,
+                ...predictedById.map(byId => byId.get(id) ?? "—")
+            ])
+        ));
+    }
+
+    return sections.join("\n\n") + "\n";
+}
+
+module.exports = { ERROR_LABEL, scoreRun, formatReport };
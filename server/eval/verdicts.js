@@ -0,0 +1,345 @@
+// ------------------------------------
+// Verdict evaluation benchmark
+// Runs a labeled dataset (claim, evidence, expected verdict) through the verify
+// step of /verify-fact (verify.js: same prompt, parsing and credibility weighting)
+// and reports accuracy, per-verdict precision/recall and the confusion matrix.
+// Several LLM configurations (configs.json) are compared side by side, and every
+// run is saved to eval/results/ (git-ignored) so later changes can be compared
+// against it.
+//
+// Usage: node eval/verdicts.js [--config <name>]... [options]   (see USAGE)
+//
+// LLM responses can be recorded and replayed, so a run is reproducible without
+// the provider (and a prompt change shows up as missing recordings). Recordings
+// are made with --llm record and committed as eval/recordings.json.
+// ------------------------------------
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { VERDICTS, complete, getLlmConfig } = require("../llm");
+const { formatEvidence } = require("../evidence");
+const { mapWithConcurrency } = require("../batch");
+const { judgeClaim } = require("../verify");
+const { getPrompt } = require("../prompts");
+const { ERROR_LABEL, scoreRun, formatReport } = require("./metrics");
+
+const DEFAULT_DATASET = path.join(__dirname, "claims.jsonl");
+const CONFIGS_FILE = path.join(__dirname, "configs.json");
+const DEFAULT_RECORDINGS = path.join(__dirname, "recordings.json");
+const RESULTS_DIR = path.join(__dirname, "results");
+const DEFAULT_CONCURRENCY = 2;
+const LLM_MODES = ["live", "record", "replay"];
+
+const EXIT_CODES = {
+    OK: 0,
+    USAGE: 2,
+    INCOMPLETE: 3    // some claims could not be checked (provider error, missing recording)
+};
+
+const USAGE = `Usage:
+  node eval/verdicts.js [--config <name>]... [options]
+
+Options:
+  --config <name>        Configuration from eval/configs.json; repeat to compare
+                         (default: the server's current LLM settings)
+  --dataset <file>       Labeled claims, JSONL (default: eval/claims.jsonl)
+  --llm <mode>           live | record | replay (default: live)
+                           record: call the LLM and save its responses
+                           replay: only use saved responses, no LLM calls
+  --recordings <file>    Saved LLM responses (default: eval/recordings.json)
+  --baseline <file>      Add a saved run from eval/results/ to the comparison
+  --concurrency <n>      Claims checked at once (default: ${DEFAULT_CONCURRENCY})
+  --out <file>           Where to save the results (default: eval/results/<time>-<configs>.json)
+  --verbose              Show the server's logging`;
+
+function usageError(message) {
+    const error = new Error(message);
+    error.exitCode = EXIT_CODES.USAGE;
+    return error;
+}
+
+/**
+ * Reads the labeled dataset. Each line is
+ * { id, claim, expected: "VERIFIED" | "FALSE" | "UNCERTAIN", evidence }, where
+ * evidence is a list of sources ({ title, url, tier, category, passages: string[] })
+ * or a pre-built EVIDENCE text (like /verify-fact's `context`).
+ * @param {string} file
+ * @returns {Array<{id: string, claim: string, expected: string, evidence: Array|string}>}
+ */
+function loadDataset(file) {
+    const entries = [];
+    const ids = new Set();
+    fs.readFileSync(file, "utf8").split(/\r?\n/).forEach((line, i) => {
+        if (!line.trim()) return;
+        const where = `${path.basename(file)} line ${i + 1}`;
+
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (err) {
+            throw usageError(`${where}: ${err.message}`);
+        }
+        if (typeof entry.claim !== "string" || !entry.claim.trim()) {
+            throw usageError(`${where}: "claim" is required`);
+        }
+        if (!VERDICTS.includes(entry.expected)) {
+            throw usageError(`${where}: "expected" must be one of ${VERDICTS.join(", ")}`);
+        }
+        const evidenceOk = typeof entry.evidence === "string"
+            ? entry.evidence.trim() !== ""
+            : Array.isArray(entry.evidence) && entry.evidence.length > 0 &&
+                entry.evidence.every(source => Array.isArray(source?.passages) && source.passages.length > 0);
+        if (!evidenceOk) {
+            throw usageError(`${where}: "evidence" must be text or a list of sources with passages`);
+        }
+
+        const id = String(entry.id ?? i + 1);
+        if (ids.has(id)) throw usageError(`${where}: duplicate id "${id}"`);
+        ids.add(id);
+        entries.push({ id, claim: entry.claim.trim(), expected: entry.expected, evidence: entry.evidence });
+    });
+    return entries;
+}
+
+/**
+ * Turns a dataset entry's evidence into what verifyClaim would have gathered.
+ * @returns {{evidence: Array, evidenceText: string}}
+ */
+function buildEvidence(entry) {
+    if (typeof entry.evidence === "string") {
+        return { evidence: [], evidenceText: entry.evidence };
+    }
+    const evidence = entry.evidence.map((source, i) => ({
+        url: source.url || `urn:eval:${entry.id}:${i + 1}`,
+        title: source.title || "",
+        tier: source.tier,
+        category: source.category,
+        passages: source.passages.map(text => ({ text, score: 1 }))
+    }));
+    return { evidence, evidenceText: formatEvidence(evidence) };
+}
+
+function sha256(text) {
+    return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+/**
+ * Recordings are keyed by provider, model and the exact prompts, so a changed
+ * prompt or model never replays a stale response.
+ */
+function recordingKey(provider, model, request) {
+    return sha256(JSON.stringify([provider, model, request.system, request.user]));
+}
+
+/**
+ * A replacement for llm.complete that records or replays responses.
+ * @param {"live"|"record"|"replay"} mode
+ * @param {Object<string, {provider: string, model: string, text: string}>} recordings - Updated in place when recording
+ * @returns {typeof complete}
+ */
+function createRecordingComplete(mode, recordings) {
+    return async (task, request, signal, options) => {
+        const { provider, model } = getLlmConfig(task);
+        const key = recordingKey(provider.id, model, request);
+
+        if (mode === "replay") {
+            const recorded = recordings[key];
+            if (!recorded) {
+                throw new Error(`no recorded response for ${provider.id} / ${model} (prompt changed? run with --llm record)`);
+            }
+            return { text: recorded.text, provider: provider.id, model };
+        }
+
+        const response = await complete(task, request, signal, options);
+        if (mode === "record") {
+            recordings[key] = { provider: response.provider, model: response.model, text: response.text };
+        }
+        return response;
+    };
+}
+
+/**
+ * Runs fn with extra environment variables set (the LLM settings are read from
+ * the environment on every call), then restores them.
+ */
+async function withEnv(env, fn) {
+    const saved = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+    Object.assign(process.env, env);
+    try {
+        return await fn();
+    } finally {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    }
+}
+
+/**
+ * Runs the dataset under one configuration.
+ * @param {Array} dataset - From loadDataset
+ * @param {{name: string, env: Object<string, string>}} config
+ * @param {Object} options
+ * @param {typeof complete} options.complete
+ * @param {number} [options.concurrency]
+ * @returns {Promise<{name: string, env: Object, llm: {provider: string, model: string}, durationMs: number,
+ *   metrics: Object, predictions: Array<{id: string, claim: string, expected: string, predicted: string,
+ *   confidence?: number|null, reasoning?: string, parsed?: boolean, error?: string}>}>}
+ */
+async function runConfig(dataset, { name, env }, { complete: completeFn, concurrency = DEFAULT_CONCURRENCY }) {
+    return withEnv(env, async () => {
+        const { provider, model } = getLlmConfig("verify");
+        const startedAt = Date.now();
+
+        const outcomes = await mapWithConcurrency(dataset, concurrency, async (entry) => {
+            const { evidence, evidenceText } = buildEvidence(entry);
+            return judgeClaim(entry.claim, evidenceText, evidence, { complete: completeFn });
+        });
+
+        const predictions = dataset.map(({ id, claim, expected }, i) => {
+            const outcome = outcomes[i];
+            if (outcome.status === "rejected") {
+                return { id, claim, expected, predicted: ERROR_LABEL, error: outcome.reason.message };
+            }
+            const { result, parsed } = outcome.value;
+            return { id, claim, expected, predicted: result.verdict, confidence: result.confidence ?? null, reasoning: result.reasoning, parsed };
+        });
+
+        return {
+            name,
+            env,
+            llm: { provider: provider.id, model },
+            durationMs: Date.now() - startedAt,
+            metrics: scoreRun(predictions),
+            predictions
+        };
+    });
+}
+
+function readJson(file, fallback) {
+    if (!fs.existsSync(file)) return fallback;
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function resolveConfigs(names) {
+    if (names.length === 0) return [{ name: "current", env: {} }];
+
+    const configs = readJson(CONFIGS_FILE, {});
+    return names.map((name) => {
+        if (!configs[name]) {
+            throw usageError(`unknown config "${name}" (eval/configs.json has ${Object.keys(configs).join(", ")})`);
+        }
+        return { name, env: configs[name] };
+    });
+}
+
+async function main(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            config: { type: "string", multiple: true },
+            dataset: { type: "string" },
+            llm: { type: "string" },
+            recordings: { type: "string" },
+            baseline: { type: "string" },
+            concurrency: { type: "string" },
+            out: { type: "string" },
+            verbose: { type: "boolean" },
+            help: { type: "boolean", short: "h" }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return EXIT_CODES.OK;
+    }
+
+    const mode = values.llm || "live";
+    if (!LLM_MODES.includes(mode)) throw usageError(`--llm must be one of ${LLM_MODES.join(", ")}`);
+    const concurrency = Number(values.concurrency || DEFAULT_CONCURRENCY);
+    if (!Number.isInteger(concurrency) || concurrency < 1) throw usageError("--concurrency must be a whole number from 1");
+
+    const datasetFile = path.resolve(values.dataset || DEFAULT_DATASET);
+    if (!fs.existsSync(datasetFile)) throw usageError(`dataset not found: ${datasetFile}`);
+    const dataset = loadDataset(datasetFile);
+    const configs = resolveConfigs(values.config || []);
+
+    const recordingsFile = path.resolve(values.recordings || DEFAULT_RECORDINGS);
+    if (mode === "replay" && !fs.existsSync(recordingsFile)) {
+        throw usageError(`no recordings at ${recordingsFile} (run with --llm record first)`);
+    }
+    const recordings = readJson(recordingsFile, {});
+    const baseline = values.baseline ? readJson(path.resolve(values.baseline), null) : null;
+    if (values.baseline && !baseline) throw usageError(`baseline not found: ${values.baseline}`);
+
+    // The report goes to stdout; the server's own logging only with --verbose
+    const { log, error } = console;
+    if (!values.verbose) {
+        console.log = () => {};
+        console.error = () => {};
+    }
+    const progress = (message) => process.stderr.write(message + "\n");
+
+    const runs = [];
+    try {
+        for (const config of configs) {
+            progress(`▶ ${config.name}: ${dataset.length} claims (${mode})`);
+            const run = await runConfig(dataset, config, { complete: createRecordingComplete(mode, recordings), concurrency });
+            progress(`  accuracy ${(run.metrics.accuracy * 100).toFixed(1)}%, ${run.metrics.errors} error(s), ${(run.durationMs / 1000).toFixed(1)}s`);
+            runs.push(run);
+        }
+    } finally {
+        console.log = log;
+        console.error = error;
+    }
+
+    if (mode === "record") {
+        fs.writeFileSync(recordingsFile, JSON.stringify(recordings, null, 2) + "\n");
+        progress(`💾 Saved LLM responses to ${path.relative(process.cwd(), recordingsFile)}`);
+    }
+
+    const results = {
+        createdAt: new Date().toISOString(),
+        dataset: { file: path.relative(__dirname, datasetFile), sha256: sha256(fs.readFileSync(datasetFile, "utf8")), claims: dataset.length },
+        promptVersion: getPrompt("verify").version,
+        llmMode: mode,
+        runs
+    };
+    const outFile = path.resolve(values.out ||
+        path.join(RESULTS_DIR, `${results.createdAt.replace(/[:.]/g, "-")}-${configs.map(c => c.name).join("-vs-")}.json`));
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, JSON.stringify(results, null, 2) + "\n");
+
+    const compared = [...runs];
+    if (baseline) {
+        const savedOn = baseline.createdAt.slice(0, 10);
+        compared.push(...baseline.runs.map(run => ({ ...run, name: `${run.name} (saved ${savedOn})` })));
+        if (baseline.promptVersion !== results.promptVersion) {
+            progress(`ℹ️ The baseline was run with verify prompt v${baseline.promptVersion ?? "?"} (now v${results.promptVersion})`);
+        }
+    }
+    console.log(formatReport(compared, `Verdict evaluation: ${dataset.length} claims from ${path.basename(datasetFile)}`));
+    progress(`💾 Saved results to ${path.relative(process.cwd(), outFile)}`);
+
+    return runs.some(run => run.metrics.errors > 0) ? EXIT_CODES.INCOMPLETE : EXIT_CODES.OK;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then((code) => {
+            process.exitCode = code;
+        })
+        .catch((err) => {
+            process.stderr.write(`Error: ${err.message}\n`);
+            if (err.exitCode === EXIT_CODES.USAGE || err.code?.startsWith("ERR_PARSE_ARGS")) {
+                process.stderr.write(`\n${USAGE}\n`);
+                process.exitCode = EXIT_CODES.USAGE;
+            } else {
+                process.exitCode = EXIT_CODES.INCOMPLETE;
+            }
+        });
+}
+
+module.exports = { EXIT_CODES, loadDataset, buildEvidence, createRecordingComplete, runConfig, main };
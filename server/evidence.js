@@ -0,0 +1,398 @@
+// ------------------------------------
+// Evidence pipeline for /verify-fact
+// Fetches each source page, extracts the article text and keeps only the
+// passages most relevant to the claim, so the LLM judges real text instead of URLs.
+// Source URLs come from clients, so only pages on trusted domains are fetched,
+// never hosts that are (or resolve to) private or loopback addresses, and every
+// redirect is checked the same way.
+// ------------------------------------
+
+const dns = require("dns");
+const net = require("net");
+const { getEmbedding, cosineSimilarity } = require("./embeddings");
+const { describeSource } = require("./credibility");
+const { isTrustedUrl } = require("./search");
+
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_HTML_BYTES = 2_000_000;
+const MAX_REDIRECTS = 5;
+const MIN_PASSAGE_LENGTH = 40;
+const MAX_PASSAGE_LENGTH = 600;
+const MAX_PASSAGES_PER_SOURCE = 80; // caps embedding work on very long pages
+const TOP_PASSAGES_PER_SOURCE = 3;
+const TOP_PASSAGES_TOTAL = 8;
+
+const USER_AGENT =
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+
+// Host names that only resolve inside the machine or its network
+const PRIVATE_HOST_SUFFIXES = ["localhost", "local", "internal", "home.arpa"];
+
+/**
+ * Whether an IP address (v4 or v6) is public. Loopback, private, link-local
+ * (which includes cloud metadata at 169.254.169.254), shared, multicast and
+ * reserved addresses are not.
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+    if (net.isIPv4(address)) {
+        const [a, b] = address.split(".").map(Number);
+        return !(a === 0 || a === 10 || a === 127 || a >= 224 ||
+            (a === 100 && b >= 64 && b < 128) ||
+            (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b < 32) ||
+            (a === 192 && b === 168));
+    }
+    // IPv6: global unicast (2000::/3) only, which also rules out IPv4-mapped addresses
+    const first = parseInt(address.split(":")[0] || "0", 16);
+    return first >= 0x2000 && first < 0x4000;
+}
+
+/**
+ * Refuses URLs the server must not fetch for a client: other protocols,
+ * private and loopback hosts, hosts outside the trusted domains, and host names
+ * with any private address (clients pick the trusted domains, so one could list
+ * a domain it pointed at an internal address).
+ * @param {string} url
+ * @param {string[]} domains - Trusted domains
+ * @returns {Promise<void>}
+ * @throws {Error} Saying why the URL is refused
+ */
+async function checkFetchableUrl(url, domains) {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== "http:" && protocol !== "https:") {
+        throw new Error(`refusing ${protocol} URL`);
+    }
+    const host = hostname.toLowerCase().replace(/^\[|\]$/g, "");
+    const isPrivate = net.isIP(host)
+        ? !isPublicAddress(host)
+        : PRIVATE_HOST_SUFFIXES.some(suffix => host === suffix || host.endsWith("." + suffix));
+    if (isPrivate) throw new Error(`refusing private host ${host}`);
+    if (!isTrustedUrl(url, domains)) throw new Error(`refusing untrusted host ${host}`);
+    if (net.isIP(host)) return;
+
+    const addresses = await dns.promises.lookup(host, { all: true });
+    const internal = addresses.find(({ address }) => !isPublicAddress(address));
+    if (internal) throw new Error(`refusing ${host}, which resolves to private address ${internal.address}`);
+    if (addresses.length === 0) throw new Error(`${host} does not resolve`);
+}
+
+/**
+ * Reads a response body as text, stopping once `maxBytes` have arrived.
+ * @param {Response} res
+ * @param {number} maxBytes
+ * @returns {Promise<string>}
+ */
+async function readCapped(res, maxBytes) {
+    if (!res.body) return "";
+    const reader = res.body.getReader();
+    const chunks = [];
+    let size = 0;
+    while (size < maxBytes) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        chunks.push(value.subarray(0, maxBytes - size));
+        size += Math.min(value.length, maxBytes - size);
+    }
+    // The rest of a long page is never downloaded
+    if (size >= maxBytes) await reader.cancel();
+    return new TextDecoder().decode(Buffer.concat(chunks));
+}
+
+/**
+ * Fetches a page's HTML with a timeout and size cap. Redirects are followed by
+ * hand, so each hop passes checkFetchableUrl.
+ * @param {string} url
+ * @param {{signal?: AbortSignal, domains: string[]}} options - signal aborts the fetch early;
+ *   domains are the trusted domains the page (and every redirect) must be on
+ * @returns {Promise<string>}
+ */
+async function fetchPage(url, { signal, domains }) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+    const abort = () => controller.abort();
+    signal?.addEventListener("abort", abort);
+
+    try {
+        let res;
+        for (let redirects = 0; ; redirects++) {
+            await checkFetchableUrl(url, domains);
+            res = await fetch(url, {
+                signal: controller.signal,
+                redirect: "manual",
+                headers: { "User-Agent": USER_AGENT, "Accept": "text/html" }
+            });
+            const location = res.headers.get("location");
+            if (res.status < 300 || res.status >= 400 || !location) break;
+            if (redirects === MAX_REDIRECTS) throw new Error("too many redirects");
+            await res.body?.cancel();
+            url = new URL(location, url).href;
+        }
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+        const contentType = res.headers.get("content-type") || "";
+        if (contentType && !contentType.includes("html")) {
+            throw new Error(`unsupported content-type ${contentType}`);
+        }
+
+        return await readCapped(res, MAX_HTML_BYTES);
+    } finally {
+        clearTimeout(timeout);
+        signal?.removeEventListener("abort", abort);
+    }
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&nbsp;/g, " ")
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&amp;/g, "&");
+}
+
+function stripTags(html) {
+    return decodeEntities(html.replace(/<[^>]+>/g, " ")).replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Looks for schema.org articleBody in JSON-LD blocks, which most news sites publish.
+ * @param {string} html
+ * @returns {string}
+ */
+function extractJsonLdArticleBody(html) {
+    const blocks = html.match(/<script[^>]*type=["']application\/ld\+json["'][^>]*>[\s\S]*?<\/script>/gi) || [];
+    for (const block of blocks) {
+        const json = block.replace(/^<script[^>]*>/i, "").replace(/<\/script>$/i, "");
+        try {
+            const stack = [JSON.parse(json)];
+            while (stack.length > 0) {
+                const node = stack.pop();
+                if (!node || typeof node !== "object") continue;
+                if (typeof node.articleBody === "string" && node.articleBody.length > 200) {
+                    return decodeEntities(node.articleBody);
+                }
+                stack.push(...(Array.isArray(node) ? node : Object.values(node)));
+            }
+        } catch {
+            // Malformed JSON-LD: try the next block
+        }
+    }
+    return "";
+}
+
+/**
+ * Extracts the main article text from raw HTML as a list of paragraphs.
+ * Prefers JSON-LD articleBody, then the largest <article>, then <main>, then <body>.
+ * @param {string} html
+ * @returns {string[]} Paragraphs
+ */
+function extractArticleText(html) {
+    const articleBody = extractJsonLdArticleBody(html);
+    if (articleBody) {
+        return articleBody.split(/\n+/).map(p => p.replace(/\s+/g, " ").trim()).filter(Boolean);
+    }
+
+    const cleaned = html
+        .replace(/<!--[\s\S]*?-->/g, " ")
+        .replace(/<(script|style|noscript|svg|nav|header|footer|aside|form|iframe|figure)\b[\s\S]*?<\/\1>/gi, " ");
+
+    const articles = cleaned.match(/<article\b[\s\S]*?<\/article>/gi) || [];
+    let region = articles.sort((a, b) => b.length - a.length)[0];
+    if (!region) region = (cleaned.match(/<main\b[\s\S]*?<\/main>/i) || [])[0];
+    if (!region) region = (cleaned.match(/<body\b[\s\S]*<\/body>/i) || [cleaned])[0];
+
+    const paragraphs = (region.match(/<p\b[^>]*>[\s\S]*?<\/p>/gi) || [])
+        .map(stripTags)
+        .filter(p => p.length >= MIN_PASSAGE_LENGTH);
+
+    if (paragraphs.length > 0) return paragraphs;
+
+    // No <p> markup: fall back to block-level line breaks
+    return stripTags(region.replace(/<\/(div|li|h[1-6]|td|br)\s*>/gi, "\n"))
+        .split(/\n+/)
+        .map(p => p.trim())
+        .filter(p => p.length >= MIN_PASSAGE_LENGTH);
+}
+
+/**
+ * Splits paragraphs into passages no longer than MAX_PASSAGE_LENGTH, on sentence boundaries.
+ * @param {string[]} paragraphs
+ * @returns {string[]}
+ */
+function splitPassages(paragraphs) {
+    const passages = [];
+    for (const paragraph of paragraphs) {
+        if (paragraph.length <= MAX_PASSAGE_LENGTH) {
+            passages.push(paragraph);
+            continue;
+        }
+        const sentences = paragraph.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [paragraph];
+        let current = "";
+        for (const sentence of sentences) {
+            if (current && (current + sentence).length > MAX_PASSAGE_LENGTH) {
+                passages.push(current.trim());
+                current = "";
+            }
+            current += sentence;
+        }
+        if (current.trim()) passages.push(current.trim());
+    }
+    return passages.filter(p => p.length >= MIN_PASSAGE_LENGTH);
+}
+
+/**
+ * Word-overlap score, used when the embedding model is not loaded.
+ */
+function lexicalSimilarity(claim, passage) {
+    const claimWords = new Set(claim.toLowerCase().split(/\W+/).filter(w => w.length > 3));
+    if (claimWords.size === 0) return 0;
+    const passageText = passage.toLowerCase();
+    let matches = 0;
+    for (const word of claimWords) {
+        if (passageText.includes(word)) matches++;
+    }
+    return matches / claimWords.size;
+}
+
+/**
+ * Ranks passages by relevance to the claim.
+ * @param {string} claim
+ * @param {number[]|null} claimEmbedding
+ * @param {string[]} passages
+ * @returns {Promise<Array<{text: string, score: number}>>}
+ */
+async function rankPassages(claim, claimEmbedding, passages) {
+    const ranked = [];
+    for (const text of passages.slice(0, MAX_PASSAGES_PER_SOURCE)) {
+        let score;
+        const embedding = claimEmbedding ? await getEmbedding(text) : null;
+        if (embedding) {
+            score = cosineSimilarity(claimEmbedding, embedding);
+        } else {
+            score = lexicalSimilarity(claim, text);
+        }
+        ranked.push({ text, score });
+    }
+    return ranked.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Fetches every source and returns the passages most relevant to the claim.
+ * Sources that cannot be fetched fall back to their search snippet; sources
+ * outside the trusted domains are dropped.
+ * @param {string} claim
+ * @param {Array<{url: string, title?: string, snippet?: string, tier?: number, category?: string}>} sources
+ * @param {{signal?: AbortSignal, domains: string[]}} options - signal aborts the page fetches
+ * @returns {Promise<Array<{url: string, title: string, tier?: number, category?: string, passages: Array<{text: string, score: number}>}>>}
+ */
+async function gatherEvidence(claim, sources, { signal, domains }) {
+    const claimEmbedding = await getEmbedding(claim);
+    const trusted = sources.filter(source => isTrustedUrl(source.url, domains));
+
+    const perSource = await Promise.all(trusted.map(async (source) => {
+        let passages = [];
+        try {
+            const html = await fetchPage(source.url, { signal, domains });
+            passages = splitPassages(extractArticleText(html));
+            console.log(`📄 Extracted ${passages.length} passages from ${source.url}`);
+        } catch (err) {
+            console.error(`⚠️ Evidence fetch failed for ${source.url}:`, err.message);
+        }
+
+        if (passages.length === 0 && source.snippet) {
+            passages = [source.snippet];
+        }
+
+        const ranked = await rankPassages(claim, claimEmbedding, passages);
+        return {
+            url: source.url,
+            title: source.title || "",
+            tier: source.tier,
+            category: source.category,
+            passages: ranked.slice(0, TOP_PASSAGES_PER_SOURCE)
+        };
+    }));
+
+    // Keep the best passages across all sources
+    const threshold = perSource
+        .flatMap(s => s.passages.map(p => p.score))
+        .sort((a, b) => b - a)[TOP_PASSAGES_TOTAL - 1];
+
+    return perSource
+        .map(s => ({
+            ...s,
+            passages: threshold === undefined ? s.passages : s.passages.filter(p => p.score >= threshold)
+        }))
+        .filter(s => s.passages.length > 0);
+}
+
+/**
+ * Formats gathered evidence as the EVIDENCE block of the verification prompt.
+ * @param {Array<{url: string, title: string, passages: Array<{text: string}>}>} evidence
+ * @returns {string}
+ */
+function formatEvidence(evidence) {
+    return evidence.map((source, i) => {
+        const header = `[${i + 1}] (${describeSource(source)}) ${source.title ? source.title + " — " : ""}${source.url}`;
+        const quotes = source.passages.map(p => `"${p.text}"`).join("\n");
+        return `${header}\n${quotes}`;
+    }).join("\n\n");
+}
+
+const STANCES = ["SUPPORTS", "REFUTES", "NEUTRAL"];
+
+function normalizeQuote(text) {
+    return text.toLowerCase().replace(/[“”"'‘’]/g, "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Maps the model's citations ({ source: n, quote, stance }) back to the gathered evidence.
+ * Citations pointing at unknown sources, or quoting text that is not in that source's
+ * passages, are dropped so every returned quote can be traced to a real sentence.
+ * @param {Array} rawCitations - "citations" array from the model's JSON
+ * @param {Array<{url: string, title: string, passages: Array<{text: string}>}>} evidence
+ * @returns {Array<{url: string, title: string, tier?: number, category?: string, quote: string, stance: string}>}
+ */
+function resolveCitations(rawCitations, evidence) {
+    if (!Array.isArray(rawCitations)) return [];
+
+    const citations = [];
+    for (const raw of rawCitations) {
+        const source = evidence[Number(raw?.source) - 1];
+        const quote = typeof raw?.quote === "string" ? raw.quote.trim() : "";
+        if (!source || !quote) continue;
+
+        const wanted = normalizeQuote(quote);
+        const found = source.passages.some(p => normalizeQuote(p.text).includes(wanted));
+        if (!found) {
+            console.log(`⚠️ Dropping citation not found in source ${source.url}: "${quote.substring(0, 50)}..."`);
+            continue;
+        }
+
+        const stance = String(raw.stance || "").toUpperCase();
+        citations.push({
+            url: source.url,
+            title: source.title,
+            tier: source.tier,
+            category: source.category,
+            quote,
+            stance: STANCES.includes(stance) ? stance : "NEUTRAL"
+        });
+    }
+    return citations;
+}
+
+module.exports = {
+    gatherEvidence,
+    formatEvidence,
+    resolveCitations,
+    extractArticleText,
+    splitPassages,
+    fetchPage,
+    checkFetchableUrl
+};
@@ -0,0 +1,138 @@
+// ------------------------------------
+// User feedback on verdicts
+// Agree / disagree / report votes are stored per verified claim, keyed by the
+// semantic cache entry the verdict came from. Once enough of the votes on a
+// cached verdict dispute it, the verdict is demoted (dropped from the cache)
+// so the next similar claim is verified afresh. Each client counts once per
+// verdict: voting again replaces the client's earlier vote.
+// ------------------------------------
+
+const FEEDBACK_VOTES = ["agree", "disagree", "report"];
+const DISPUTE_VOTES = ["disagree", "report"];
+
+// A cached verdict is demoted once it has this many disputes...
+const MIN_DISPUTES_TO_DEMOTE = 3;
+// ...and they make up at least this share of its votes
+const DEMOTE_DISPUTE_RATIO = 0.5;
+
+const MAX_FEEDBACK_LOG = 50;    // recent votes kept per claim
+const MAX_COMMENT_LENGTH = 500;
+
+const TOTALS_KEY = "feedback:totals";   // hash: vote -> count, "demoted" -> count
+
+function recordKey(id) {
+    return `feedback:${id}`;            // hash: claim, agree, disagree, report, votes, disputes (since demotion), demoted
+}
+
+function logKey(id) {
+    return `feedback:log:${id}`;        // list of JSON votes, newest first
+}
+
+function votersKey(id) {
+    return `feedback:voters:${id}`;     // hash: client -> current vote (since demotion)
+}
+
+function isDisputeVote(vote) {
+    return DISPUTE_VOTES.includes(vote);
+}
+
+/**
+ * Records a vote and demotes the cached verdict when disputes pass the threshold.
+ * @param {import("iovalkey").default} valkey
+ * @param {Object} feedback
+ * @param {string} feedback.id - Semantic cache entry id of the verdict
+ * @param {string} feedback.claim - The claim the user saw
+ * @param {string} feedback.verdict - The verdict the user saw
+ * @param {string} feedback.vote - "agree" | "disagree" | "report"
+ * @param {string} feedback.voter - Who voted (the client's id from auth.js); counted once
+ * @param {string} [feedback.comment]
+ * @param {(id: string) => Promise<boolean>} demote - Drops the cached verdict; resolves true if there was one
+ * @returns {Promise<{counts: {agree: number, disagree: number, report: number}, demoted: boolean}>}
+ */
+async function recordFeedback(valkey, { id, claim, verdict, vote, voter, comment }, demote) {
+    const previous = await valkey.hget(votersKey(id), voter);
+    if (previous === vote) {
+        // The same vote again changes nothing
+        return { counts: countsOf(await valkey.hgetall(recordKey(id))), demoted: false };
+    }
+
+    const entry = {
+        claim,
+        verdict,
+        vote,
+        comment: typeof comment === "string" ? comment.trim().substring(0, MAX_COMMENT_LENGTH) : undefined,
+        at: new Date().toISOString()
+    };
+
+    const transaction = valkey
+        .multi()
+        .hset(votersKey(id), voter, vote)
+        .hset(recordKey(id), "claim", claim)
+        .hincrby(recordKey(id), vote, 1)
+        .hincrby(recordKey(id), "votes", previous ? 0 : 1)
+        .hincrby(recordKey(id), "disputes", Number(isDisputeVote(vote)) - Number(isDisputeVote(previous)))
+        .hincrby(TOTALS_KEY, vote, 1);
+    if (previous) {
+        // A changed vote replaces the client's earlier one
+        transaction
+            .hincrby(recordKey(id), previous, -1)
+            .hincrby(TOTALS_KEY, previous, -1);
+    }
+    const results = await transaction
+        .lpush(logKey(id), JSON.stringify(entry))
+        .ltrim(logKey(id), 0, MAX_FEEDBACK_LOG - 1)
+        .hgetall(recordKey(id))
+        .exec();
+    const record = results[results.length - 1][1];
+
+    // Votes since the last demotion decide; earlier ones were about an older verdict
+    const votes = Number(record.votes) || 0;
+    const disputes = Number(record.disputes) || 0;
+    let demoted = false;
+    if (isDisputeVote(vote) && disputes >= MIN_DISPUTES_TO_DEMOTE && disputes / votes >= DEMOTE_DISPUTE_RATIO) {
+        demoted = await demote(id);
+        // Nothing was cached (already demoted or expired): the votes stand
+        if (demoted) {
+            await valkey
+                .multi()
+                .hset(recordKey(id), "votes", 0, "disputes", 0)
+                .del(votersKey(id))
+                .hincrby(recordKey(id), "demoted", 1)
+                .hincrby(TOTALS_KEY, "demoted", 1)
+                .exec();
+        }
+    }
+
+    return { counts: countsOf(record), demoted };
+}
+
+function countsOf(record) {
+    return {
+        agree: Number(record.agree) || 0,
+        disagree: Number(record.disagree) || 0,
+        report: Number(record.report) || 0
+    };
+}
+
+/**
+ * Totals for /metrics.
+ * @param {import("iovalkey").default} valkey
+ * @returns {Promise<{agree: number, disagree: number, report: number, total: number, disputeRate: number, demoted: number}>}
+ */
+async function feedbackTotals(valkey) {
+    const totals = await valkey.hgetall(TOTALS_KEY);
+    const agree = Number(totals.agree) || 0;
+    const disagree = Number(totals.disagree) || 0;
+    const report = Number(totals.report) || 0;
+    const total = agree + disagree + report;
+    return {
+        agree,
+        disagree,
+        report,
+        total,
+        disputeRate: total > 0 ? Number(((disagree + report) / total).toFixed(3)) : 0,
+        demoted: Number(totals.demoted) || 0
+    };
+}
+
+module.exports = { FEEDBACK_VOTES, recordFeedback, feedbackTotals };
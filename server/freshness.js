@@ -0,0 +1,68 @@
+// ------------------------------------
+// Time-sensitivity of claims
+// Decides how long a cached verdict stays valid: a verdict about a developing
+// story goes stale within hours, one about a historical event practically never.
+// ------------------------------------
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Expiry per class, in milliseconds
+const TIME_SENSITIVITY = {
+    BREAKING: 6 * HOUR_MS,      // developing news: casualty counts, ongoing events, "today"
+    STABLE: 30 * DAY_MS,        // current facts that change slowly: officeholders, records, prices
+    HISTORICAL: 365 * DAY_MS    // settled past events
+};
+const DEFAULT_TIME_SENSITIVITY = "STABLE";
+
+const BREAKING_PATTERN = /\b(breaking|just now|today|tonight|this (morning|afternoon|evening|week)|yesterday|currently|ongoing|developing|latest|so far|as of now|live)\b/i;
+const HISTORICAL_PATTERN = /\b(in|since|during|founded|born|died|built|signed|invented|discovered) (the )?(1[0-9]{3}|20[0-9]{2})s?\b/i;
+
+/**
+ * Classifies a claim. A valid class suggested by the model wins; otherwise
+ * wording and years mentioned in the claim decide.
+ * @param {string} claim
+ * @param {string} [suggested] - Class returned by the verification model
+ * @returns {"BREAKING"|"STABLE"|"HISTORICAL"}
+ */
+function classifyTimeSensitivity(claim, suggested) {
+    const normalized = typeof suggested === "string" ? suggested.trim().toUpperCase() : "";
+    if (TIME_SENSITIVITY[normalized]) return normalized;
+
+    if (BREAKING_PATTERN.test(claim)) return "BREAKING";
+
+    const match = claim.match(HISTORICAL_PATTERN);
+    // Recent years are still news
+    if (match && Number(match[3]) < new Date().getFullYear() - 1) return "HISTORICAL";
+
+    return DEFAULT_TIME_SENSITIVITY;
+}
+
+/**
+ * @param {string} timeSensitivity
+ * @returns {number} Expiry in milliseconds
+ */
+function expiryFor(timeSensitivity) {
+    return TIME_SENSITIVITY[timeSensitivity] || TIME_SENSITIVITY[DEFAULT_TIME_SENSITIVITY];
+}
+
+/**
+ * Formats an age for logs, e.g. "42s", "17m", "5h", "3d".
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatAge(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+    if (seconds < 86400) return `${Math.round(seconds / 3600)}h`;
+    return `${Math.round(seconds / 86400)}d`;
+}
+
+module.exports = {
+    TIME_SENSITIVITY,
+    DEFAULT_TIME_SENSITIVITY,
+    classifyTimeSensitivity,
+    expiryFor,
+    formatAge
+};
@@ -4,30 +4,37 @@ const express = require("express");
 const cors = require("cors");
 const crypto = require("crypto");
 const Valkey = require("iovalkey");
-
-// Model for local embeddings
-let extractor;
-(async () => {
-    try {
-        console.log("📥 Loading local embedding model (all-MiniLM-L6-v2)...");
-        const { pipeline } = await import("@xenova/transformers");
-        extractor = await pipeline("feature-extraction", "Xenova/all-MiniLM-L6-v2");
-        console.log("✅ Local embedding model ready");
-    } catch (err) {
-        console.error("❌ Failed to load embedding model:", err.message);
-    }
-})();
-
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
-const GROQ_API_URL = "https://api.groq.com/openai/v1/chat/completions";
+const { loadEmbeddingModel, getEmbedding, cosineSimilarity } = require("./embeddings");
+const semanticCache = require("./semanticCache");
+const { gatherEvidence, formatEvidence } = require("./evidence");
+const { rankSources } = require("./credibility");
+const { getSearchProvider, normalizeQuery, isTrustedUrl } = require("./search");
+const { formatAge } = require("./freshness");
+const { checkClaimConsistency } = require("./claimGuard");
+const { FEEDBACK_VOTES, recordFeedback, feedbackTotals } = require("./feedback");
+const { mapWithConcurrency, withTimeout, createSingleFlight } = require("./batch");
+const { complete, describeLlmConfig, describeLlmQueue, resetLlmQueueStats } = require("./llm");
+const { normalizePriority } = require("./llmScheduler");
+const { judgeClaim } = require("./verify");
+const { buildRequest, getPrompt, promptIdentity, describePrompts } = require("./prompts");
+const auth = require("./auth");
+const { requireClient, requireAdmin } = auth;
 
 const app = express();
-app.use(cors());
+// Web pages are turned away before anything else runs (see auth.js)
+app.use(auth.checkOrigin);
+app.use(cors({ origin: auth.corsOrigin }));
 app.use(express.json({ limit: "5mb" }));
 
 const PORT = 3000;
 const TTL_SECONDS = 600; // 10 minutes
 const SEMANTIC_THRESHOLD = 0.95; // 95% similarity for cache reuse
+const SEARCH_TTL_SECONDS = 3600; // 1 hour
+const MAX_REJECTED_NEAR_HITS = 20; // recent rejections kept for /metrics
+const BATCH_MAX_CLAIMS = 20;
+const BATCH_CONCURRENCY = 3;        // claims checked at once by /verify-batch
+const BATCH_CLAIM_TIMEOUT_MS = 45000;
+const BATCH_MAX_SOURCES = 5;
 
 // Connect to local Valkey instance
 const valkey = new Valkey({
@@ -40,256 +47,605 @@ const valkey = new Valkey({
     },
 });
 
-valkey
+const valkeyReady = valkey
     .connect()
-    .then(() => console.log("✅ Connected to Valkey"))
+    .then(() => {
+        console.log("✅ Connected to Valkey");
+        return semanticCache.init(valkey);
+    })
     .catch((err) => console.error("❌ Valkey connection failed:", err.message));
 
+loadEmbeddingModel();
+
 // ------------------------------------
 // Utility Functions
 // ------------------------------------
-function hashContent(content) {
-    return "summary:" + crypto.createHash("sha256").update(content).digest("hex");
+/**
+ * Summary cache key: the page text plus what summarizes it (prompt version and
+ * model), so a prompt or model change starts from an empty cache.
+ */
+function hashContent(content, identity) {
+    const material = [identity.prompt, identity.promptVersion, identity.provider, identity.model, content].join("|");
+    return "summary:" + crypto.createHash("sha256").update(material).digest("hex");
 }
 
-function cosineSimilarity(vecA, vecB) {
-    let dotProduct = 0;
-    let normA = 0;
-    let normB = 0;
-    for (let i = 0; i < vecA.length; i++) {
-        dotProduct += vecA[i] * vecB[i];
-        normA += vecA[i] * vecA[i];
-        normB += vecB[i] * vecB[i];
-    }
-    return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
 }
 
-async function getEmbedding(text) {
-    if (!extractor) return null;
-    const output = await extractor(text, { pooling: "mean", normalize: true });
-    return Array.from(output.data);
+function searchCacheKey(providerId, query, domains) {
+    const material = [providerId, normalizeQuery(query), [...domains].sort().join(",")].join("|");
+    return "search:" + crypto.createHash("sha256").update(material).digest("hex");
 }
 
 // Metrics Counters
 let cacheHits = 0;
 let cacheMisses = 0;
 let semanticHits = 0;
+let semanticRejected = 0;
+let rejectedNearHits = []; // newest first: { claim, cachedClaim, similarity, mismatches, at }
+let searchCacheHits = 0;
+let searchCacheMisses = 0;
+let sharedSummaries = 0; // /extract-claims requests that waited on an identical in-flight LLM call
 
-// ------------------------------------
-// POST /check-summary
-// Body: { content: string }
-// Returns: { hit: boolean, summary?: string }
-// ------------------------------------
-app.post("/check-summary", async (req, res) => {
-    try {
-        const { content } = req.body;
-        if (!content) return res.status(400).json({ error: "content is required" });
+const summaryFlight = createSingleFlight();
 
-        const key = hashContent(content);
-        const cached = await valkey.get(key);
+/**
+ * Summarizes text with a registry prompt, through the summary cache. Concurrent
+ * requests for the same text and prompt wait on a single LLM call.
+ * @param {string} text
+ * @param {string} prompt - "summarize" | "extract-claims"
+ * @param {string} [priority] - The LLM scheduler's queue priority
+ * @returns {Promise<{summary: string, cached: boolean, shared: boolean,
+ *   producedBy: {prompt: string, promptVersion: number, provider: string, model: string}}>}
+ * @throws {Error} With `status` set for an unknown prompt or when the LLM provider returns an error
+ */
+async function extractClaims(text, prompt, priority) {
+    const identity = promptIdentity(prompt);
+    const key = hashContent(text, identity);
 
-        if (cached) {
-            cacheHits++;
-            console.log(`🟢 Cache HIT for key ${key.substring(0, 30)}...`);
-            return res.json({ hit: true, summary: cached });
-        }
+    const cached = await valkey.get(key);
+    if (cached) {
+        cacheHits++;
+        console.log(`🟢 Cache HIT for key ${key.substring(0, 30)}...`);
+        const { summary, prompt: cachedPrompt, promptVersion, provider, model } = JSON.parse(cached);
+        return { summary, cached: true, shared: false, producedBy: { prompt: cachedPrompt, promptVersion, provider, model } };
+    }
 
+    const { value, shared } = await summaryFlight(key, async () => {
         cacheMisses++;
         console.log(`🔴 Cache MISS for key ${key.substring(0, 30)}...`);
-        return res.json({ hit: false });
-    } catch (err) {
-        console.error("check-summary error:", err.message);
-        return res.status(500).json({ error: "cache check failed" });
+
+        const { version, task } = getPrompt(prompt);
+        const { text: summary, provider, model } = await complete(task, buildRequest(prompt, { text }), undefined, { priority });
+        console.log(`✅ ${provider} returned summary, length:`, summary.length);
+        const producedBy = { prompt, promptVersion: version, provider, model };
+
+        if (summary) {
+            try {
+                await valkey.set(key, JSON.stringify({ summary, ...producedBy, createdAt: Date.now() }), "EX", TTL_SECONDS);
+                console.log(`💾 Cached summary for key ${key.substring(0, 30)}... (TTL: ${TTL_SECONDS}s)`);
+            } catch (err) {
+                console.error("❌ Summary cache store failed:", err.message);
+            }
+        }
+        return { summary, producedBy };
+    });
+
+    if (shared) {
+        sharedSummaries++;
+        console.log(`🔗 Shared an in-flight summary for key ${key.substring(0, 30)}...`);
     }
-});
+    return { ...value, cached: false, shared };
+}
 
 // ------------------------------------
-// POST /cache-summary
-// Body: { content: string, summary: string }
-// Returns: { stored: boolean }
+// POST /extract-claims
+// Summarizes page text into its verifiable claims with the summarize task's LLM
+// (keeps keys server-side), cached per text, prompt version and model. The
+// prompts come from the server's registry (prompts.js); clients only send the text.
+// Body: { text: string, prompt?: "summarize" | "extract-claims",
+//         priority?: "interactive" | "normal" | "background" (LLM queue order, see llmScheduler.js) }
+// Returns: { summary: string, cached: boolean, shared: boolean,
+//            producedBy: { prompt, promptVersion, provider, model } }
+//   shared: this request waited on an identical request's LLM call
 // ------------------------------------
-app.post("/cache-summary", async (req, res) => {
+app.post("/extract-claims", requireClient, async (req, res) => {
     try {
-        const { content, summary } = req.body;
-        if (!content || !summary) {
-            return res.status(400).json({ error: "content and summary are required" });
+        const { text, prompt = "summarize" } = req.body;
+        if (typeof text !== "string" || !text.trim()) {
+            return res.status(400).json({ error: "text is required" });
         }
 
-        const key = hashContent(content);
-        await valkey.set(key, summary, "EX", TTL_SECONDS);
-
-        console.log(`💾 Cached summary for key ${key.substring(0, 30)}... (TTL: ${TTL_SECONDS}s)`);
-        return res.json({ stored: true });
+        return res.json(await extractClaims(text, prompt, normalizePriority(req.body.priority)));
     } catch (err) {
-        console.error("cache-summary error:", err.message);
-        return res.status(500).json({ error: "cache store failed" });
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error("extract-claims error:", err.message);
+        return res.status(500).json({ error: "extract-claims failed" });
     }
 });
 
+/**
+ * Runs a web search and keeps only results from trusted domains. Results are
+ * cached in Valkey per provider, normalized query and domain list.
+ * @param {string} query
+ * @param {{domains: string[], provider?: string, signal?: AbortSignal}} options
+ * @returns {Promise<{results: Array<{title: string, url: string, snippet: string}>, provider: string, cached: boolean}>}
+ */
+async function searchTrusted(query, { domains, provider: providerId, signal }) {
+    const provider = getSearchProvider(providerId);
+    const key = searchCacheKey(provider.id, query, domains);
+
+    const cached = await valkey.get(key);
+    if (cached) {
+        searchCacheHits++;
+        console.log(`🟢 Search cache HIT for "${query.substring(0, 50)}..."`);
+        return { results: JSON.parse(cached), provider: provider.id, cached: true };
+    }
+
+    searchCacheMisses++;
+    console.log(`🔎 Searching ${provider.label} for "${query.substring(0, 50)}..."`);
+
+    const results = await provider.search(query, { domains, signal });
+    const trusted = results.filter(result => isTrustedUrl(result.url, domains));
+    console.log(`✅ ${provider.label} returned ${results.length} results, ${trusted.length} trusted`);
+
+    try {
+        await valkey.set(key, JSON.stringify(trusted), "EX", SEARCH_TTL_SECONDS);
+    } catch (err) {
+        console.error("❌ Search cache store failed:", err.message);
+    }
+    return { results: trusted, provider: provider.id, cached: false };
+}
+
 // ------------------------------------
-// POST /summarize
-// Proxy to Groq API (keeps key server-side)
-// Body: { systemPrompt: string, userPrompt: string }
-// Returns: { summary: string }
+// POST /search
+// Runs a web search and keeps only results from trusted domains
+// Body: { query: string, domains: string[], provider?: string }
+//   (the SearXNG instance is the server's SEARXNG_URL)
+// Returns: { results: [{ title, url, snippet }], provider: string, cached: boolean }
 // ------------------------------------
-app.post("/summarize", async (req, res) => {
+app.post("/search", requireClient, async (req, res) => {
     try {
-        const { systemPrompt, userPrompt } = req.body;
-        if (!userPrompt) return res.status(400).json({ error: "userPrompt is required" });
-
-        console.log("🤖 Proxying to Groq API (Summarize)...");
-
-        const groqResponse = await fetch(GROQ_API_URL, {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json",
-                "Authorization": `Bearer ${GROQ_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: "llama-3.1-8b-instant",
-                messages: [
-                    { role: "system", content: systemPrompt || "Extract verifiable facts." },
-                    { role: "user", content: userPrompt }
-                ],
-                temperature: 0.3,
-                max_tokens: 1024
-            })
-        });
-
-        if (!groqResponse.ok) {
-            const errText = await groqResponse.text();
-            console.error("Groq API error:", groqResponse.status, errText);
-            return res.status(groqResponse.status).json({ error: errText });
+        const { query, provider } = req.body;
+        const domains = (req.body.domains || []).filter(d => typeof d === "string");
+        if (typeof query !== "string" || !query.trim() || domains.length === 0) {
+            return res.status(400).json({ error: "query and domains are required" });
         }
 
-        const data = await groqResponse.json();
-        const summary = data.choices?.[0]?.message?.content || "";
-        console.log("✅ Groq returned summary, length:", summary.length);
-        return res.json({ summary: summary.trim() });
+        return res.json(await searchTrusted(query, { domains, provider }));
     } catch (err) {
-        console.error("summarize error:", err.message);
-        return res.status(500).json({ error: "summarize failed" });
+        console.error("search error:", err.message);
+        return res.status(502).json({ error: "search failed" });
     }
 });
 
+/**
+ * Reuses a cached verdict for a semantically equivalent claim, if there is one.
+ * Near-hits whose numbers, dates, entities or negation differ are rejected.
+ * @param {string} claim
+ * @param {number[]} embedding
+ * @returns {Promise<Object|null>} The cached verdict with `cached` metadata, or null on a miss
+ */
+async function lookupSemanticCache(claim, embedding) {
+    const nearest = await semanticCache.findNearest(embedding, promptIdentity("verify"));
+
+    if (nearest) {
+        console.log(`🔍 Best semantic match similarity: ${nearest.similarity.toFixed(4)}`);
+    }
+    if (!nearest || nearest.similarity < SEMANTIC_THRESHOLD) return null;
+
+    // Near-identical wording can still differ in the facts that matter
+    const consistency = checkClaimConsistency(claim, nearest.claim);
+    if (!consistency.consistent) {
+        console.log(`🚫 Rejected semantic near-hit (Sim: ${nearest.similarity.toFixed(4)}): ${consistency.mismatches.join("; ")}`);
+        semanticRejected++;
+        rejectedNearHits.unshift({
+            claim,
+            cachedClaim: nearest.claim,
+            similarity: nearest.similarity,
+            mismatches: consistency.mismatches,
+            at: new Date().toISOString()
+        });
+        rejectedNearHits.length = Math.min(rejectedNearHits.length, MAX_REJECTED_NEAR_HITS);
+        return null;
+    }
+
+    console.log(`💎 SEMANTIC HIT (Sim: ${nearest.similarity.toFixed(4)}). Reusing ${nearest.timeSensitivity} verdict from ${formatAge(nearest.ageMs)} ago.`);
+    semanticHits++;
+    return {
+        ...nearest.result,
+        cached: {
+            id: nearest.id,
+            similarity: nearest.similarity,
+            ageSeconds: Math.round(nearest.ageMs / 1000),
+            cachedAt: new Date(nearest.createdAt).toISOString(),
+            timeSensitivity: nearest.timeSensitivity
+        }
+    };
+}
+
+/**
+ * Verifies a claim against its sources: semantic cache, then evidence from the
+ * source pages, then the verify task's LLM. New verdicts are cached semantically.
+ * @param {string} claim
+ * @param {Object} options
+ * @param {Array<{url: string, title?: string, snippet?: string, tier?: number, category?: string}>} [options.sources]
+ * @param {string[]} [options.domains] - Trusted domains: sources elsewhere are never fetched
+ * @param {string} [options.context] - Pre-built evidence text, used when there are no sources
+ * @param {number[]|null} [options.embedding] - Claim embedding, if already computed
+ * @param {boolean} [options.checkCache=true] - False when the caller already looked the claim up
+ * @param {AbortSignal} [options.signal] - Stops the page fetches and the LLM request (e.g. at a batch deadline)
+ * @param {string} [options.priority] - The LLM scheduler's queue priority
+ * @returns {Promise<Object>} The verdict (see POST /verify-fact)
+ * @throws {Error} With `status` set when the LLM provider returns an error
+ */
+async function verifyClaim(claim, { sources = [], domains = [], context, embedding, checkCache = true, signal, priority } = {}) {
+    // 1. Semantic cache check
+    const queryEmbedding = embedding === undefined ? await getEmbedding(claim) : embedding;
+    if (checkCache && queryEmbedding) {
+        console.log(`🧠 Checking semantic cache for claim: "${claim.substring(0, 50)}..."`);
+        const hit = await lookupSemanticCache(claim, queryEmbedding);
+        if (hit) return hit;
+    }
+
+    // 2. Cache miss — gather evidence from the source pages
+    let evidenceText = context;
+    let evidence = [];
+    if (sources.length > 0) {
+        console.log(`📚 Gathering evidence from ${sources.length} source(s)...`);
+        evidence = await gatherEvidence(claim, sources, { signal, domains });
+        if (evidence.length === 0) {
+            console.log("⚠️ No readable evidence found, skipping LLM call.");
+            return { verdict: "UNCERTAIN", reasoning: "None of the sources could be read as evidence.", citations: [] };
+        }
+        evidenceText = formatEvidence(evidence);
+    }
+    signal?.throwIfAborted();
+
+    // 3. Ask the verify task's LLM
+    const { result, parsed, timeSensitivity, producedBy } = await judgeClaim(claim, evidenceText, evidence, { signal, priority });
+
+    // 4. Cache the new verdict semantically
+    if (parsed && queryEmbedding && result.verdict) {
+        try {
+            await semanticCache.store(claim, queryEmbedding, result, timeSensitivity, producedBy);
+            console.log(`💾 Cached ${timeSensitivity} verification verdict semantically.`);
+        } catch (err) {
+            console.error("❌ Semantic cache store failed:", err.message);
+        }
+    }
+
+    return result;
+}
+
 // ------------------------------------
 // POST /verify-fact
-// Proxy to Groq API for Fact Verification
-// Body: { claim: string, context: string }
-// Returns: { verdict: string, reasoning: string }
+// Fact verification against the sources with the verify task's LLM
+// Body: { claim: string, sources: [{ url, title?, snippet?, tier?, category? }], domains: string[],
+//         priority?: "interactive" | "normal" | "background" }
+//   (sources outside the trusted domains are ignored)
+//   (or { claim, context } with pre-built evidence text)
+// Returns: { verdict: string, reasoning: string,
+//            citations: [{ url, title, tier, category, quote, stance: "SUPPORTS" | "REFUTES" | "NEUTRAL" }],
+//            confidence: number | null, credibility: { support: number, refute: number },
+//            cached?: { id: string, similarity: number, ageSeconds: number, cachedAt: string, timeSensitivity: string } }
 // ------------------------------------
-app.post("/verify-fact", async (req, res) => {
+app.post("/verify-fact", requireClient, async (req, res) => {
     try {
         const { claim, context } = req.body;
-        if (!claim || !context) return res.status(400).json({ error: "claim and context are required" });
+        const domains = (req.body.domains || []).filter(d => typeof d === "string");
+        const sources = (req.body.sources || [])
+            .filter(s => s && typeof s.url === "string" && isTrustedUrl(s.url, domains));
+        if (!claim || (sources.length === 0 && !context)) {
+            return res.status(400).json({ error: "claim and sources on trusted domains (or context) are required" });
+        }
 
-        // 1. Semantic cache check
-        console.log(`🧠 Checking semantic cache for claim: "${claim.substring(0, 50)}..."`);
-        const queryEmbedding = await getEmbedding(claim);
-
-        if (queryEmbedding) {
-            const allCachedVerdicts = await valkey.hgetall("semantic_verdicts");
-            let bestMatch = null;
-            let maxSimilarity = -1;
-
-            for (const [vectorStr, verdictJson] of Object.entries(allCachedVerdicts)) {
-                try {
-                    const vector = JSON.parse(vectorStr);
-                    const similarity = cosineSimilarity(queryEmbedding, vector);
-                    if (similarity > maxSimilarity) {
-                        maxSimilarity = similarity;
-                        bestMatch = JSON.parse(verdictJson);
-                    }
-                } catch (e) { }
-            }
+        return res.json(await verifyClaim(claim, { sources, domains, context, priority: normalizePriority(req.body.priority) }));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error("verify-fact error:", err.message);
+        return res.status(500).json({ error: "verify-fact failed" });
+    }
+});
 
-            if (maxSimilarity > -1) {
-                console.log(`🔍 Best semantic match similarity: ${maxSimilarity.toFixed(4)}`);
-            }
+/**
+ * Groups a page's claims so each distinct claim is checked once: exact repeats
+ * (after normalization) and near-duplicates that pass the semantic cache's own
+ * similarity and consistency checks follow the first claim of their group.
+ * @param {string[]} claims
+ * @returns {Promise<{leaders: Array<{claim: string, embedding: number[]|null}>, leaderOf: number[]}>}
+ *   leaderOf[i] is the index into leaders that answers claims[i]
+ */
+async function groupClaims(claims) {
+    const leaders = [];
+    const byNormalized = new Map();
 
-            if (maxSimilarity >= SEMANTIC_THRESHOLD) {
-                console.log(`💎 SEMANTIC HIT (Sim: ${maxSimilarity.toFixed(4)}). Reusing cached verdict.`);
-                semanticHits++;
-                return res.json(bestMatch);
-            }
+    const leaderOf = [];
+    for (const claim of claims) {
+        const normalized = normalizeQuery(claim);
+        if (byNormalized.has(normalized)) {
+            leaderOf.push(byNormalized.get(normalized));
+            continue;
         }
 
-        // 2. Cache miss — Call Groq
-        console.log("🤖 Proxying to Groq API (Verify Fact)...");
-
-        const systemPrompt = `You are a strict fact-checker. 
-Compare the CLAIM against the EVIDENCE provided.
-Return a JSON object with:
-- "verdict": One of "VERIFIED", "FALSE", "UNCERTAIN"
-- "reasoning": A short explanation (max 1 sentence)
-
-Rules:
-1. If evidence directly supports the claim -> VERIFIED
-2. If evidence contradicts the claim -> FALSE
-3. If evidence is unrelated or insufficient -> UNCERTAIN`;
-
-        const userPrompt = `CLAIM: "${claim}"
-
-EVIDENCE:
-${context}
-
-Verify the claim based ONLY on the evidence.`;
-
-        const groqResponse = await fetch(GROQ_API_URL, {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json",
-                "Authorization": `Bearer ${GROQ_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: "llama-3.1-8b-instant",
-                messages: [
-                    { role: "system", content: systemPrompt },
-                    { role: "user", content: userPrompt }
-                ],
-                temperature: 0.1,
-                max_tokens: 256,
-                response_format: { type: "json_object" }
-            })
-        });
-
-        if (!groqResponse.ok) {
-            const errText = await groqResponse.text();
-            console.error("Groq API error:", groqResponse.status, errText);
-            return res.status(groqResponse.status).json({ error: errText });
+        const embedding = await getEmbedding(claim);
+        let leaderIndex = embedding
+            ? leaders.findIndex(leader => leader.embedding &&
+                cosineSimilarity(embedding, leader.embedding) >= SEMANTIC_THRESHOLD &&
+                checkClaimConsistency(claim, leader.claim).consistent)
+            : -1;
+        if (leaderIndex === -1) {
+            leaderIndex = leaders.push({ claim, embedding }) - 1;
         }
+        byNormalized.set(normalized, leaderIndex);
+        leaderOf.push(leaderIndex);
+    }
+
+    return { leaders, leaderOf };
+}
+
+/**
+ * Reads and validates the body shared by /verify-batch and /verify-stream.
+ * @param {Object} body
+ * @returns {{error: string}|{claims: string[], domains: string[], profiles: Object, provider?: string,
+ *   maxSources: number, priority: string}}
+ */
+function parseBatchRequest(body) {
+    const claims = (body.claims || [])
+        .filter(c => typeof c === "string" && c.trim())
+        .map(c => c.trim());
+    const domains = (body.domains || []).filter(d => typeof d === "string");
+    if (claims.length === 0 || domains.length === 0) {
+        return { error: "claims and domains are required" };
+    }
+    if (claims.length > BATCH_MAX_CLAIMS) {
+        return { error: `at most ${BATCH_MAX_CLAIMS} claims per batch` };
+    }
 
-        const data = await groqResponse.json();
-        const content = data.choices?.[0]?.message?.content || "{}";
-        console.log("✅ Groq returned verification:", content.substring(0, 100));
+    return {
+        claims,
+        domains,
+        profiles: body.profiles && typeof body.profiles === "object" ? body.profiles : {},
+        provider: body.provider,
+        maxSources: Math.min(Number(body.maxSources) || BATCH_MAX_SOURCES, 10),
+        priority: normalizePriority(body.priority)
+    };
+}
+
+/**
+ * Searches and verifies a page's claims, a few at a time, each under its own
+ * deadline. Duplicate claims are verified once and their result is shared.
+ * @param {Object} options - From parseBatchRequest
+ * @param {AbortSignal} [options.signal] - Stops all remaining work (e.g. the client went away)
+ * @param {(event: string, data: Object) => void} [onEvent] - Progress, per claim index:
+ *   "sources" { index, sources }, "verdict" { index, result }, "error" { index, error }
+ * @returns {Promise<{results: Array<Object>, stats: {claims: number, unique: number, durationMs: number}}>}
+ */
+async function verifyBatch({ claims, domains, profiles, provider, maxSources, priority, signal }, onEvent = () => {}) {
+    const startedAt = Date.now();
+    const { leaders, leaderOf } = await groupClaims(claims);
+    console.log(`📦 Batch of ${claims.length} claim(s), ${leaders.length} unique`);
+
+    // The first claim of each group is the one that is verified
+    const membersOf = leaders.map((_, leaderIndex) =>
+        claims.map((_, i) => i).filter(i => leaderOf[i] === leaderIndex));
+    const results = new Array(claims.length);
 
-        let result = {};
+    await mapWithConcurrency(leaders, BATCH_CONCURRENCY, async ({ claim, embedding }, leaderIndex) => {
+        const members = membersOf[leaderIndex];
+        let outcome;
         try {
-            result = JSON.parse(content);
+            outcome = await withTimeout(async (taskSignal) => {
+                const search = await searchTrusted(claim, { domains, provider, signal: taskSignal });
+                const sources = rankSources(search.results, domains, profiles).slice(0, maxSources);
+                taskSignal.throwIfAborted();
+                members.forEach(index => onEvent("sources", { index, sources }));
+                if (sources.length === 0) return { sources };
 
-            // 3. Cache the new verdict semantically
-            if (queryEmbedding && result.verdict) {
-                await valkey.hset("semantic_verdicts", JSON.stringify(queryEmbedding), JSON.stringify(result));
-                console.log("💾 Cached verification verdict semantically.");
+                const verdict = await verifyClaim(claim, { sources, domains, embedding, priority, signal: taskSignal });
+                return { sources, ...verdict };
+            }, BATCH_CLAIM_TIMEOUT_MS, `claim "${claim.substring(0, 40)}..."`, signal);
+        } catch (err) {
+            if (signal?.aborted) return;
+            console.error("verify-batch claim error:", err.message);
+            outcome = { sources: [], error: err.message };
+        }
+
+        members.forEach((index, i) => {
+            results[index] = { claim: claims[index], ...outcome };
+            if (i > 0) results[index].duplicateOf = members[0];
+            if (outcome.error) {
+                onEvent("error", { index, error: outcome.error });
+            } else {
+                onEvent("verdict", { index, result: results[index] });
             }
-        } catch (e) {
-            result = { verdict: "UNCERTAIN", reasoning: "Failed to parse API response" };
+        });
+    });
+    signal?.throwIfAborted();
+
+    const durationMs = Date.now() - startedAt;
+    console.log(`✅ Batch done in ${durationMs}ms`);
+    return { results, stats: { claims: claims.length, unique: leaders.length, durationMs } };
+}
+
+/**
+ * An AbortSignal that fires when the client disconnects before the response is sent.
+ * @param {import("express").Response} res
+ * @returns {AbortSignal}
+ */
+function abortOnDisconnect(res) {
+    const controller = new AbortController();
+    res.on("close", () => {
+        if (!res.writableEnded) controller.abort(new Error("client disconnected"));
+    });
+    return controller.signal;
+}
+
+// ------------------------------------
+// POST /verify-batch
+// Searches and verifies all of a page's claims in one request, a few at a time,
+// each under its own deadline. Duplicate claims are verified once.
+// Body: { claims: string[], domains: string[],
+//         profiles?: { [domain]: { tier, category } }, provider?: string,
+//         maxSources?: number, priority?: "interactive" | "normal" | "background" }
+// Returns: { results: [{ claim, sources: [{ title, url, snippet, domain, tier, category }],
+//                        ...verdict fields of /verify-fact (absent when no sources were found),
+//                        duplicateOf?: number (index of the claim that was verified instead),
+//                        error?: string }],
+//            stats: { claims: number, unique: number, durationMs: number } }
+// ------------------------------------
+app.post("/verify-batch", requireClient, async (req, res) => {
+    const signal = abortOnDisconnect(res);
+    try {
+        const options = parseBatchRequest(req.body);
+        if (options.error) return res.status(400).json({ error: options.error });
+
+        return res.json(await verifyBatch({ ...options, signal }));
+    } catch (err) {
+        if (signal.aborted) {
+            console.log("⏹️ verify-batch cancelled: client disconnected");
+            return;
+        }
+        console.error("verify-batch error:", err.message);
+        return res.status(500).json({ error: "verify-batch failed" });
+    }
+});
+
+// ------------------------------------
+// POST /verify-stream
+// Same as /verify-batch, but streams progress as Server-Sent Events while the
+// claims are checked. Closing the connection cancels the remaining work.
+// Body: as /verify-batch
+// Events: sources { index, sources }
+//         verdict { index, result }   (result as in /verify-batch)
+//         error   { index?, error }   (no index: the whole batch failed)
+//         done    { stats }
+// ------------------------------------
+app.post("/verify-stream", requireClient, async (req, res) => {
+    const options = parseBatchRequest(req.body);
+    if (options.error) return res.status(400).json({ error: options.error });
+
+    const signal = abortOnDisconnect(res);
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive"
+    });
+    const send = (event, data) => {
+        if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+        const { stats } = await verifyBatch({ ...options, signal }, send);
+        send("done", { stats });
+    } catch (err) {
+        if (signal.aborted) {
+            console.log("⏹️ verify-stream cancelled: client disconnected");
+            return;
+        }
+        console.error("verify-stream error:", err.message);
+        send("error", { error: "verify-stream failed" });
+    }
+    res.end();
+});
+
+// ------------------------------------
+// POST /feedback
+// One vote per client and verdict: voting again replaces the client's vote
+// Body: { claim: string, verdict: string, vote: "agree" | "disagree" | "report",
+//         cacheId?: string (cached.id from /verify-fact, when the verdict came from the cache),
+//         comment?: string }
+// Returns: { success: true, counts: { agree, disagree, report }, demoted: boolean }
+// ------------------------------------
+app.post("/feedback", requireClient, async (req, res) => {
+    try {
+        const { claim, verdict, vote, cacheId, comment } = req.body;
+        if (!claim || !verdict || !FEEDBACK_VOTES.includes(vote)) {
+            return res.status(400).json({ error: `claim, verdict and vote (${FEEDBACK_VOTES.join(" | ")}) are required` });
         }
 
-        return res.json(result);
+        // Feedback belongs to the cached verdict the user was shown
+        const id = typeof cacheId === "string" && /^[0-9a-f]{32}$/.test(cacheId)
+            ? cacheId
+            : semanticCache.entryId(claim, promptIdentity("verify"));
+
+        const voter = auth.clientId(req);
+        const { counts, demoted } = await recordFeedback(valkey, { id, claim, verdict, vote, voter, comment }, semanticCache.demote);
+        console.log(`🗳️ Feedback "${vote}" on ${verdict} verdict for "${claim.substring(0, 50)}..." (${counts.agree}/${counts.disagree}/${counts.report})`);
+
+        return res.json({ success: true, counts, demoted });
     } catch (err) {
-        console.error("verify-fact error:", err.message);
-        return res.status(500).json({ error: "verify-fact failed" });
+        console.error("feedback error:", err.message);
+        return res.status(500).json({ error: "feedback failed" });
     }
 });
 
 // ------------------------------------
-// POST /clear-cache
+// POST /pair
+// Trades the one-time pairing code from the server console (or the dashboard's
+// "New Pairing Code") for a client token, sent as "Authorization: Bearer <token>"
+// on every other request. Pairing from an extension also allows its origin.
+// Body: { code: string, label?: string }
+// Returns: { token: string }
+// ------------------------------------
+app.post("/pair", (req, res) => {
+    try {
+        const { code, label } = req.body;
+        if (typeof code !== "string" || !code.trim()) {
+            return res.status(400).json({ error: "code is required" });
+        }
+
+        const token = auth.pair(code, { label, origin: req.headers.origin });
+        if (!token) return auth.rejectPairing(req, res);
+
+        console.log(`🔐 Paired ${req.headers.origin || "a client without an origin"}${label ? ` (${label})` : ""}`);
+        return res.json({ token });
+    } catch (err) {
+        console.error("pair error:", err.message);
+        return res.status(500).json({ error: "pair failed" });
+    }
+});
+
+// ------------------------------------
+// POST /unpair
+// Revokes the token the request was made with
+// Returns: { success: boolean }
+// ------------------------------------
+app.post("/unpair", requireClient, (req, res) => {
+    try {
+        const removed = auth.unpair(auth.bearerToken(req));
+        if (removed) console.log("🔐 Client unpaired");
+        return res.json({ success: removed });
+    } catch (err) {
+        console.error("unpair error:", err.message);
+        return res.status(500).json({ error: "unpair failed" });
+    }
+});
+
+// ------------------------------------
+// POST /pairing-code (admin)
+// Starts a new pairing code, replacing the current one
+// Returns: { code: string, expiresAt: string }
+// ------------------------------------
+app.post("/pairing-code", requireAdmin, (req, res) => {
+    const pairing = auth.issuePairingCode();
+    console.log(`🔐 New pairing code: ${pairing.code}`);
+    res.json(pairing);
+});
+
+// ------------------------------------
+// POST /clear-cache (admin)
 // Calls valkey.flushall()
 // ------------------------------------
-app.post("/clear-cache", async (req, res) => {
+app.post("/clear-cache", requireAdmin, async (req, res) => {
     try {
         await valkey.flushall();
+        semanticCache.reset();
         console.log("🧹 Cache cleared (FLUSHALL)");
         res.json({ success: true, message: "Cache cleared" });
     } catch (err) {
@@ -299,32 +655,55 @@ app.post("/clear-cache", async (req, res) => {
 });
 
 // ------------------------------------
-// POST /reset-stats
+// POST /reset-stats (admin)
 // Resets hit/miss counters
 // ------------------------------------
-app.post("/reset-stats", (req, res) => {
+app.post("/reset-stats", requireAdmin, (req, res) => {
     cacheHits = 0;
     cacheMisses = 0;
     semanticHits = 0;
+    semanticRejected = 0;
+    rejectedNearHits = [];
+    searchCacheHits = 0;
+    searchCacheMisses = 0;
+    sharedSummaries = 0;
+    semanticCache.resetStats();
+    resetLlmQueueStats();
+    auth.resetAuthStats();
     console.log("📊 Stats reset");
     res.json({ success: true, message: "Stats reset" });
 });
 
 // ------------------------------------
-// GET /metrics
+// GET /metrics (admin)
 // Returns: JSON or HTML Dashboard
 // ------------------------------------
-app.get("/metrics", async (req, res) => {
+app.get("/metrics", requireAdmin, async (req, res) => {
     try {
         const dbsize = await valkey.dbsize();
         const info = await valkey.info("memory");
         const memoryMatch = info.match(/used_memory_human:(.*)/);
         const usedMemory = memoryMatch ? memoryMatch[1].trim() : "unknown";
 
+        const feedback = await feedbackTotals(valkey);
+
         const stats = {
             cacheHits,
             cacheMisses,
+            sharedSummaries,
             semanticHits,
+            searchCacheHits,
+            searchCacheMisses,
+            semanticEntries: semanticCache.size(),
+            semanticExpired: semanticCache.expiredCount(),
+            semanticOutdated: semanticCache.outdatedCount(),
+            semanticRejected,
+            rejectedNearHits,
+            feedback,
+            llm: describeLlmConfig(),
+            prompts: describePrompts(),
+            llmQueue: describeLlmQueue(),
+            auth: auth.describeAuth(),
             totalKeys: dbsize,
             usedMemory: usedMemory,
             uptime: process.uptime()
@@ -394,6 +773,7 @@ app.get("/metrics", async (req, res) => {
         .value { font-size: 32px; font-weight: 800; }
         .value.hits { color: var(--success); }
         .value.misses { color: var(--error); }
+        .value.small { font-size: 16px; font-weight: 600; overflow-wrap: anywhere; }
         .actions {
             display: flex;
             gap: 16px;
@@ -412,6 +792,11 @@ app.get("/metrics", async (req, res) => {
         button.primary { background: var(--accent); }
         button.primary:hover { background: #6e40ff; padding: 12px 32px; }
         .status { margin-top: 20px; font-size: 14px; color: var(--text-dim); }
+        .rejections { margin-bottom: 40px; }
+        .rejections h2 { font-size: 16px; margin: 0 0 12px; }
+        .rejection { background: var(--card); border-radius: 12px; padding: 12px 16px; margin-bottom: 8px; font-size: 13px; }
+        .rejection .mismatch { color: var(--error); }
+        .rejection .dim { color: var(--text-dim); }
     </style>
 </head>
 <body>
@@ -434,6 +819,10 @@ app.get("/metrics", async (req, res) => {
                 <div class="label">Hit Rate</div>
                 <div class="value">${hitRate}%</div>
             </div>
+            <div class="card">
+                <div class="label">Shared Summaries</div>
+                <div class="value hits">${stats.sharedSummaries}</div>
+            </div>
             <div class="card">
                 <div class="label">Total Keys</div>
                 <div class="value">${stats.totalKeys}</div>
@@ -442,15 +831,115 @@ app.get("/metrics", async (req, res) => {
                 <div class="label">Semantic Hits</div>
                 <div class="value" style="color:var(--accent)">${stats.semanticHits}</div>
             </div>
+            <div class="card">
+                <div class="label">Semantic Entries</div>
+                <div class="value">${stats.semanticEntries}</div>
+            </div>
+            <div class="card">
+                <div class="label">Semantic Expired</div>
+                <div class="value misses">${stats.semanticExpired}</div>
+            </div>
+            <div class="card">
+                <div class="label">Outdated Prompt Evictions</div>
+                <div class="value misses">${stats.semanticOutdated}</div>
+            </div>
+            <div class="card">
+                <div class="label">Rejected Near-Hits</div>
+                <div class="value misses">${stats.semanticRejected}</div>
+            </div>
+            <div class="card">
+                <div class="label">Feedback Votes</div>
+                <div class="value">${stats.feedback.total}</div>
+            </div>
+            <div class="card">
+                <div class="label">Agree / Disagree / Report</div>
+                <div class="value">${stats.feedback.agree} / ${stats.feedback.disagree} / ${stats.feedback.report}</div>
+            </div>
+            <div class="card">
+                <div class="label">Dispute Rate</div>
+                <div class="value misses">${(stats.feedback.disputeRate * 100).toFixed(1)}%</div>
+            </div>
+            <div class="card">
+                <div class="label">Demoted Verdicts</div>
+                <div class="value misses">${stats.feedback.demoted}</div>
+            </div>
+            <div class="card">
+                <div class="label">Search Hits</div>
+                <div class="value hits">${stats.searchCacheHits}</div>
+            </div>
+            <div class="card">
+                <div class="label">Search Misses</div>
+                <div class="value misses">${stats.searchCacheMisses}</div>
+            </div>
+            <div class="card">
+                <div class="label">Summarize LLM</div>
+                <div class="value small">${escapeHtml(`${stats.llm.summarize.provider} · ${stats.llm.summarize.model} · prompt v${stats.prompts.summarize}`)}</div>
+            </div>
+            <div class="card">
+                <div class="label">Verify LLM</div>
+                <div class="value small">${escapeHtml(`${stats.llm.verify.provider} · ${stats.llm.verify.model} · prompt v${stats.prompts.verify}`)}</div>
+            </div>
+            <div class="card">
+                <div class="label">LLM Queue</div>
+                <div class="value">${stats.llmQueue.queued}</div>
+            </div>
+            <div class="card">
+                <div class="label">LLM Throttled / Rate-Limited</div>
+                <div class="value misses">${Object.values(stats.llmQueue.throttled).reduce((a, b) => a + b, 0)} / ${stats.llmQueue.rateLimited}</div>
+            </div>
+            <div class="card">
+                <div class="label">LLM Retries / Failed</div>
+                <div class="value misses">${stats.llmQueue.retries} / ${stats.llmQueue.failures}</div>
+            </div>
+            <div class="card">
+                <div class="label">Paired Clients</div>
+                <div class="value">${stats.auth.pairedClients}</div>
+            </div>
+            <div class="card">
+                <div class="label">Rejected Requests</div>
+                <div class="value misses">${stats.auth.rejectedTotal}</div>
+            </div>
             <div class="card">
                 <div class="label">Memory Used</div>
                 <div class="value">${stats.usedMemory}</div>
             </div>
         </div>
 
+        ${stats.rejectedNearHits.length > 0 ? `
+        <div class="rejections">
+            <h2>Recent Rejected Near-Hits</h2>
+            ${stats.rejectedNearHits.map(r => `
+            <div class="rejection">
+                <div>${escapeHtml(r.claim)}</div>
+                <div class="dim">≈ ${escapeHtml(r.cachedClaim || "(no claim text)")} (${(r.similarity * 100).toFixed(1)}%)</div>
+                <div class="mismatch">${escapeHtml(r.mismatches.join("; "))}</div>
+            </div>`).join("")}
+        </div>` : ""}
+
+        ${stats.llmQueue.recentEvents.length > 0 ? `
+        <div class="rejections">
+            <h2>Recent LLM Throttling</h2>
+            ${stats.llmQueue.recentEvents.map(e => `
+            <div class="rejection">
+                <div>${escapeHtml(e.provider)}: ${escapeHtml(e.reason)}</div>
+                <div class="dim">waited ${(e.waitMs / 1000).toFixed(1)}s · ${escapeHtml(e.at)}</div>
+            </div>`).join("")}
+        </div>` : ""}
+
+        ${stats.auth.recentRejections.length > 0 ? `
+        <div class="rejections">
+            <h2>Recent Rejected Requests</h2>
+            ${stats.auth.recentRejections.map(r => `
+            <div class="rejection">
+                <div>${escapeHtml(`${r.method} ${r.path}`)}: <span class="mismatch">${escapeHtml(r.reason)}</span></div>
+                <div class="dim">${escapeHtml(r.origin || r.ip || "unknown")} · ${escapeHtml(r.at)}</div>
+            </div>`).join("")}
+        </div>` : ""}
+
         <div class="actions">
             <button class="primary" onclick="doAction('/clear-cache')">Clear Cache</button>
             <button onclick="doAction('/reset-stats')">Reset Stats</button>
+            <button onclick="newPairingCode()">New Pairing Code</button>
             <button onclick="location.reload()">Refresh Data</button>
         </div>
 
@@ -458,6 +947,16 @@ app.get("/metrics", async (req, res) => {
     </div>
 
     <script>
+        // The browser resends the dashboard's admin login; when it has none (or
+        // an outdated one) the server answers 401
+        async function postAdmin(endpoint) {
+            const res = await fetch(endpoint, { method: 'POST', credentials: 'same-origin' });
+            const data = await res.json().catch(() => ({}));
+            if (res.status === 401) throw new Error('admin login required. Reload the page and sign in with ADMIN_TOKEN');
+            if (!res.ok) throw new Error(data.error || 'HTTP ' + res.status);
+            return data;
+        }
+
         async function doAction(endpoint) {
             const btn = event.target;
             const originalText = btn.innerText;
@@ -465,8 +964,7 @@ app.get("/metrics", async (req, res) => {
             btn.disabled = true;
 
             try {
-                const res = await fetch(endpoint, { method: 'POST' });
-                const data = await res.json();
+                const data = await postAdmin(endpoint);
                 document.getElementById('status').innerText = data.message || 'Action completed';
                 setTimeout(() => location.reload(), 1000);
             } catch (err) {
@@ -475,6 +973,16 @@ app.get("/metrics", async (req, res) => {
                 btn.disabled = false;
             }
         }
+
+        async function newPairingCode() {
+            try {
+                const data = await postAdmin('/pairing-code');
+                document.getElementById('status').innerText =
+                    'Pairing code: ' + data.code + ' (valid until ' + new Date(data.expiresAt).toLocaleTimeString() + ')';
+            } catch (err) {
+                document.getElementById('status').innerText = 'Error: ' + err.message;
+            }
+        }
     </script>
 </body>
 </html>
@@ -491,16 +999,30 @@ app.get("/metrics", async (req, res) => {
 // ------------------------------------
 // GET /health
 // ------------------------------------
-app.get("/health", async (req, res) => {
+app.get("/health", requireClient, async (req, res) => {
     try {
         await valkey.ping();
-        res.json({ status: "ok", valkey: "connected" });
+        res.json({ status: "ok", valkey: "connected", llm: describeLlmConfig() });
     } catch {
-        res.json({ status: "ok", valkey: "disconnected" });
+        res.json({ status: "ok", valkey: "disconnected", llm: describeLlmConfig() });
     }
 });
 
-app.listen(PORT, () => {
-    console.log(`🚀 PostPolice Cache Server running on http://localhost:${PORT}`);
-});
+// Tests require the app and listen on a port of their own (see test/)
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`🚀 PostPolice Cache Server running on http://localhost:${PORT}`);
+        for (const [task, { provider, model }] of Object.entries(describeLlmConfig())) {
+            console.log(`🤖 ${task}: ${provider} (${model})`);
+        }
+        const { code, expiresAt } = auth.issuePairingCode();
+        console.log(`🔐 Pairing code: ${code} (enter it on the extension's options page before ${new Date(expiresAt).toLocaleTimeString()})`);
+        const admin = auth.adminCredentials();
+        if (admin.generated) {
+            console.log(`🔐 Admin token for this run: ${admin.token} (set ADMIN_TOKEN to keep one)`);
+        }
+    });
+}
+
+module.exports = { app, valkeyReady };
 
@@ -0,0 +1,330 @@
+// ------------------------------------
+// LLM providers for /extract-claims and /verify-fact
+// Each provider turns one chat request ({ system, user, temperature, maxTokens, json })
+// into text, so the routes don't care which API answered. The provider and model
+// are configured per task, e.g. summaries on Groq and verification on a local model.
+// Every call goes through the scheduler (llmScheduler.js), which keeps within
+// each provider's rate limits and retries 429s and server errors.
+// ------------------------------------
+
+const { LlmScheduler, estimateTokens, parseRetryAfter } = require("./llmScheduler");
+
+const LLM_TIMEOUT_MS = 60000;
+
+// Tasks and their environment prefixes: SUMMARIZE_LLM_PROVIDER, VERIFY_LLM_MODEL, ...
+const LLM_TASKS = {
+    summarize: "SUMMARIZE",
+    verify: "VERIFY"
+};
+
+// Verdict vocabulary of the extension; other labels models use are mapped onto it
+const VERDICTS = ["VERIFIED", "FALSE", "UNCERTAIN"];
+const VERDICT_ALIASES = {
+    TRUE: "VERIFIED",
+    CORRECT: "VERIFIED",
+    ACCURATE: "VERIFIED",
+    SUPPORTED: "VERIFIED",
+    CONFIRMED: "VERIFIED",
+    INCORRECT: "FALSE",
+    INACCURATE: "FALSE",
+    REFUTED: "FALSE",
+    DEBUNKED: "FALSE",
+    UNVERIFIED: "UNCERTAIN",
+    UNKNOWN: "UNCERTAIN",
+    INSUFFICIENT: "UNCERTAIN",
+    MIXED: "UNCERTAIN"
+};
+
+/**
+ * fetch() with the LLM timeout; `signal` (e.g. a batch deadline) also aborts it.
+ */
+async function fetchWithTimeout(url, options, signal) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), LLM_TIMEOUT_MS);
+    const abort = () => controller.abort();
+    signal?.addEventListener("abort", abort);
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timeout);
+        signal?.removeEventListener("abort", abort);
+    }
+}
+
+/**
+ * Error for a failed provider call; `status` is passed on to the client.
+ * `retryAfterMs` is how long the provider asked us to wait, if it said.
+ */
+function providerError(status, message, retryAfterMs) {
+    const error = new Error(message);
+    error.status = status;
+    if (retryAfterMs !== undefined) error.retryAfterMs = retryAfterMs;
+    return error;
+}
+
+// ------------------------------------
+// OpenAI-compatible chat completions (Groq, llama.cpp, Ollama, LM Studio, vLLM)
+// ------------------------------------
+
+async function openAiChat({ baseUrl, apiKey, label }, model, request, signal) {
+    const response = await fetchWithTimeout(`${baseUrl.replace(/\/+$/, "")}/chat/completions`, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            ...(apiKey ? { "Authorization": `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+            model,
+            messages: [
+                { role: "system", content: request.system },
+                { role: "user", content: request.user }
+            ],
+            temperature: request.temperature,
+            max_tokens: request.maxTokens,
+            ...(request.json ? { response_format: { type: "json_object" } } : {})
+        })
+    }, signal);
+
+    if (!response.ok) {
+        const errText = await response.text();
+        console.error(`${label} API error:`, response.status, errText);
+        throw providerError(response.status, errText, parseRetryAfter(response.headers.get("retry-after")));
+    }
+
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content || "";
+}
+
+const groqProvider = {
+    id: "groq",
+    label: "Groq",
+    defaultModel: "llama-3.1-8b-instant",
+    rateLimits: { rpm: 30, tpm: 6000 },     // free tier, llama-3.1-8b-instant
+
+    async chat(model, request, signal) {
+        if (!process.env.GROQ_API_KEY) {
+            throw providerError(500, "GROQ_API_KEY is not set");
+        }
+        return openAiChat({
+            baseUrl: "https://api.groq.com/openai/v1",
+            apiKey: process.env.GROQ_API_KEY,
+            label: this.label
+        }, model, request, signal);
+    }
+};
+
+const localProvider = {
+    id: "local",
+    label: "Local (OpenAI-compatible)",
+    defaultModel: process.env.LOCAL_LLM_MODEL || "llama3.1:8b",
+    rateLimits: { rpm: 0, tpm: 0 },         // your own hardware: no limit
+
+    async chat(model, request, signal) {
+        return openAiChat({
+            // Ollama's default; llama.cpp's server listens on http://localhost:8080/v1
+            baseUrl: process.env.LOCAL_LLM_URL || "http://localhost:11434/v1",
+            apiKey: process.env.LOCAL_LLM_API_KEY,
+            label: this.label
+        }, model, request, signal);
+    }
+};
+
+// ------------------------------------
+// Gemini (generateContent)
+// ------------------------------------
+
+const geminiProvider = {
+    id: "gemini",
+    label: "Gemini",
+    defaultModel: "gemini-2.5-flash-lite",
+    rateLimits: { rpm: 15, tpm: 250000 },   // free tier, gemini-2.5-flash-lite
+
+    async chat(model, request, signal) {
+        if (!process.env.GEMINI_API_KEY) {
+            throw providerError(500, "GEMINI_API_KEY is not set");
+        }
+
+        const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent`;
+        const response = await fetchWithTimeout(url, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "x-goog-api-key": process.env.GEMINI_API_KEY
+            },
+            body: JSON.stringify({
+                systemInstruction: { parts: [{ text: request.system }] },
+                contents: [{ role: "user", parts: [{ text: request.user }] }],
+                generationConfig: {
+                    temperature: request.temperature,
+                    maxOutputTokens: request.maxTokens,
+                    ...(request.json ? { responseMimeType: "application/json" } : {})
+                }
+            })
+        }, signal);
+
+        if (!response.ok) {
+            const errText = await response.text();
+            console.error("Gemini API error:", response.status, errText);
+            // Gemini puts the wait in the error body (RetryInfo) rather than a header
+            const retryDelay = errText.match(/"retryDelay":\s*"(\d+(?:\.\d+)?)s"/);
+            throw providerError(response.status, errText,
+                parseRetryAfter(response.headers.get("retry-after") || retryDelay?.[1]));
+        }
+
+        const data = await response.json();
+        return (data.candidates?.[0]?.content?.parts || []).map(part => part.text || "").join("");
+    }
+};
+
+const LLM_PROVIDERS = {
+    [groqProvider.id]: groqProvider,
+    [geminiProvider.id]: geminiProvider,
+    [localProvider.id]: localProvider
+};
+
+/**
+ * Provider and model for a task: <TASK>_LLM_PROVIDER / <TASK>_LLM_MODEL, then
+ * LLM_PROVIDER / LLM_MODEL, then Groq with its default model.
+ * @param {string} task - A key of LLM_TASKS
+ * @returns {{task: string, provider: Object, model: string}}
+ */
+function getLlmConfig(task) {
+    const prefix = LLM_TASKS[task];
+    if (!prefix) throw new Error(`Unknown LLM task "${task}"`);
+
+    const providerId = process.env[`${prefix}_LLM_PROVIDER`] || process.env.LLM_PROVIDER || groqProvider.id;
+    const provider = LLM_PROVIDERS[providerId];
+    if (!provider) {
+        throw new Error(`Unknown LLM provider "${providerId}" (expected ${Object.keys(LLM_PROVIDERS).join(", ")})`);
+    }
+
+    // A global LLM_MODEL only applies when it is for the same provider as the task
+    const sameProvider = !process.env[`${prefix}_LLM_PROVIDER`] || process.env[`${prefix}_LLM_PROVIDER`] === process.env.LLM_PROVIDER;
+    const model = process.env[`${prefix}_LLM_MODEL`] ||
+        (sameProvider && process.env.LLM_MODEL) ||
+        provider.defaultModel;
+
+    return { task, provider, model };
+}
+
+function numberFromEnv(name) {
+    const value = process.env[name];
+    return value !== undefined && value !== "" && Number.isFinite(Number(value)) ? Number(value) : undefined;
+}
+
+/**
+ * A provider's budget: <PROVIDER>_LLM_RPM / <PROVIDER>_LLM_TPM, then LLM_RPM /
+ * LLM_TPM, then the provider's free-tier limits. 0 means no limit.
+ * @param {string} providerId
+ * @returns {{rpm: number, tpm: number}}
+ */
+function rateLimitsFor(providerId) {
+    const prefix = providerId.toUpperCase();
+    const defaults = LLM_PROVIDERS[providerId]?.rateLimits || { rpm: 0, tpm: 0 };
+    return {
+        rpm: numberFromEnv(`${prefix}_LLM_RPM`) ?? numberFromEnv("LLM_RPM") ?? defaults.rpm,
+        tpm: numberFromEnv(`${prefix}_LLM_TPM`) ?? numberFromEnv("LLM_TPM") ?? defaults.tpm
+    };
+}
+
+function retrySettings() {
+    return {
+        maxRetries: numberFromEnv("LLM_MAX_RETRIES") ?? 3,
+        baseMs: numberFromEnv("LLM_RETRY_BASE_MS") ?? 1000,
+        maxBackoffMs: 30000,
+        maxWaitMs: numberFromEnv("LLM_RETRY_MAX_WAIT_MS") ?? 60000
+    };
+}
+
+const scheduler = new LlmScheduler({ limits: rateLimitsFor, retry: retrySettings });
+
+/**
+ * Sends one chat request to the provider configured for a task.
+ * @param {string} task - "summarize" | "verify"
+ * @param {Object} request
+ * @param {string} request.system
+ * @param {string} request.user
+ * @param {number} [request.temperature]
+ * @param {number} [request.maxTokens]
+ * @param {boolean} [request.json] - Ask for a JSON object response
+ * @param {AbortSignal} [signal] - Also takes the call out of the scheduler's queue
+ * @param {Object} [options]
+ * @param {string} [options.priority] - "interactive" | "normal" | "background" (see llmScheduler.js)
+ * @returns {Promise<{text: string, provider: string, model: string}>}
+ * @throws {Error} With `status` set when the provider returns an error (after retries)
+ */
+async function complete(task, request, signal, { priority } = {}) {
+    const { provider, model } = getLlmConfig(task);
+    const fullRequest = { temperature: 0.2, maxTokens: 1024, ...request };
+
+    const text = await scheduler.run(provider.id, { tokens: estimateTokens(fullRequest), priority, signal }, () => {
+        console.log(`🤖 Calling ${provider.label} (${model}) for ${task}...`);
+        return provider.chat(model, fullRequest, signal);
+    });
+    return { text: text.trim(), provider: provider.id, model };
+}
+
+/**
+ * The scheduler's queue depth and throttling counters (for /metrics).
+ */
+function describeLlmQueue() {
+    return scheduler.stats();
+}
+
+function resetLlmQueueStats() {
+    scheduler.resetStats();
+}
+
+/**
+ * Parses a JSON object from model output, tolerating code fences and text around it
+ * (local models don't always honour JSON mode).
+ * @param {string} text
+ * @returns {Object}
+ * @throws {SyntaxError} If there is no JSON object in the text
+ */
+function parseJsonResponse(text) {
+    const unfenced = text.replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+    try {
+        return JSON.parse(unfenced);
+    } catch (err) {
+        const start = unfenced.indexOf("{");
+        const end = unfenced.lastIndexOf("}");
+        if (start === -1 || end <= start) throw err;
+        return JSON.parse(unfenced.slice(start, end + 1));
+    }
+}
+
+/**
+ * Maps a model's verdict label onto VERIFIED / FALSE / UNCERTAIN
+ * (e.g. Gemini-style TRUE becomes VERIFIED). Unknown labels are UNCERTAIN.
+ * @param {string} label
+ * @returns {"VERIFIED"|"FALSE"|"UNCERTAIN"}
+ */
+function normalizeVerdict(label) {
+    const upper = typeof label === "string" ? label.trim().toUpperCase().replace(/[^A-Z]/g, "") : "";
+    if (VERDICTS.includes(upper)) return upper;
+    return VERDICT_ALIASES[upper] || "UNCERTAIN";
+}
+
+/**
+ * Provider and model per task, for /health and /metrics.
+ * @returns {Object<string, {provider: string, model: string}>}
+ */
+function describeLlmConfig() {
+    return Object.fromEntries(Object.keys(LLM_TASKS).map((task) => {
+        const { provider, model } = getLlmConfig(task);
+        return [task, { provider: provider.id, model }];
+    }));
+}
+
+module.exports = {
+    LLM_PROVIDERS,
+    VERDICTS,
+    getLlmConfig,
+    complete,
+    parseJsonResponse,
+    normalizeVerdict,
+    describeLlmConfig,
+    describeLlmQueue,
+    resetLlmQueueStats
+};
@@ -0,0 +1,299 @@
+// ------------------------------------
+// Scheduler for outbound LLM calls
+// Every provider call waits here for room in the provider's requests-per-minute
+// and tokens-per-minute budget (a sliding one-minute window). Waiting calls are
+// served by priority: the tab the user is looking at before background tabs and
+// batch jobs. A 429 or 5xx is retried with exponential backoff and full jitter;
+// a Retry-After from the provider is honoured, and after a 429 the whole
+// provider pauses so queued calls don't hit the same limit.
+// ------------------------------------
+
+// Lower runs first
+const PRIORITIES = {
+    interactive: 0,     // the tab in view, a claim the user re-checks
+    normal: 1,
+    background: 2       // tabs in the background, batch CLI runs
+};
+
+// Why a call had to wait, as shown on /metrics
+const THROTTLE_REASONS = {
+    pause: "paused after a 429",
+    rpm: "requests-per-minute budget",
+    tpm: "tokens-per-minute budget"
+};
+
+const WINDOW_MS = 60000;
+const MAX_RECENT_EVENTS = 20; // kept for /metrics
+
+const DEFAULT_RETRY = {
+    maxRetries: 3,
+    baseMs: 1000,
+    maxBackoffMs: 30000,
+    maxWaitMs: 60000    // longer Retry-After: fail now rather than hold the request
+};
+
+/**
+ * @param {string} [priority]
+ * @returns {"interactive"|"normal"|"background"} Unknown values are "normal"
+ */
+function normalizePriority(priority) {
+    return Object.hasOwn(PRIORITIES, priority) ? priority : "normal";
+}
+
+/**
+ * Rough token count of a chat request, as providers count it against a TPM
+ * budget: the prompt (about 4 characters a token) plus the tokens it may generate.
+ * @param {{system?: string, user?: string, maxTokens?: number}} request
+ * @returns {number}
+ */
+function estimateTokens(request) {
+    const promptChars = (request.system || "").length + (request.user || "").length;
+    return Math.ceil(promptChars / 4) + (request.maxTokens || 0);
+}
+
+/**
+ * Whether a failed call is worth retrying: rate limits and server errors.
+ */
+function isRetryable(err) {
+    return err.status === 429 || (err.status >= 500 && err.status <= 599);
+}
+
+/**
+ * Parses a Retry-After header: seconds, or an HTTP date.
+ * @param {string|null} value
+ * @returns {number|undefined} Milliseconds to wait
+ */
+function parseRetryAfter(value) {
+    if (!value) return undefined;
+    if (/^\s*\d+(\.\d+)?\s*$/.test(value)) return Math.round(Number(value) * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+function abortError(signal) {
+    return signal.reason ?? new DOMException("This operation was aborted", "AbortError");
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(abortError(signal));
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError(signal));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+class LlmScheduler {
+    /**
+     * @param {Object} [options]
+     * @param {(providerId: string) => {rpm: number, tpm: number}} [options.limits] - Read before every
+     *   dispatch, so budget changes apply at once; 0 means no limit
+     * @param {() => {maxRetries: number, baseMs: number, maxBackoffMs: number, maxWaitMs: number}} [options.retry]
+     * @param {number} [options.windowMs]
+     * @param {() => number} [options.random] - For the backoff jitter
+     */
+    constructor({ limits = () => ({ rpm: 0, tpm: 0 }), retry = () => DEFAULT_RETRY, windowMs = WINDOW_MS, random = Math.random } = {}) {
+        this.limits = limits;
+        this.retry = retry;
+        this.windowMs = windowMs;
+        this.random = random;
+        this.providers = new Map();
+        this.resetStats();
+    }
+
+    /**
+     * Runs a provider call when the budget allows, retrying rate limits and server errors.
+     * @template R
+     * @param {string} providerId
+     * @param {Object} options
+     * @param {number} options.tokens - From estimateTokens
+     * @param {string} [options.priority] - A key of PRIORITIES
+     * @param {AbortSignal} [options.signal] - Abandons the call, queued or waiting to retry
+     * @param {() => Promise<R>} call
+     * @returns {Promise<R>}
+     * @throws {Error} The call's last error once retries run out (or the wait would be too long)
+     */
+    async run(providerId, { tokens, priority, signal }, call) {
+        priority = normalizePriority(priority);
+
+        for (let attempt = 0; ; attempt++) {
+            await this.acquire(providerId, tokens, priority, signal);
+            try {
+                return await call();
+            } catch (err) {
+                if (signal?.aborted || !isRetryable(err)) throw err;
+
+                const { maxRetries, baseMs, maxBackoffMs, maxWaitMs } = this.retry();
+                if (attempt >= maxRetries) {
+                    this.counters.failures++;
+                    throw err;
+                }
+
+                const backoffMs = Math.round(this.random() * Math.min(maxBackoffMs, baseMs * 2 ** attempt));
+                const waitMs = err.retryAfterMs ?? backoffMs;
+                if (waitMs > maxWaitMs) {
+                    this.counters.failures++;
+                    this.record(providerId, `${err.status} (Retry-After ${Math.round(waitMs / 1000)}s too long)`, waitMs);
+                    throw err;
+                }
+
+                this.counters.retries++;
+                if (err.status === 429) {
+                    this.counters.rateLimited++;
+                    // The limit is the provider's, so everyone waits
+                    this.pause(providerId, waitMs);
+                    this.record(providerId, err.retryAfterMs !== undefined ? "429 (Retry-After)" : "429", waitMs);
+                } else {
+                    this.counters.serverErrors++;
+                    this.record(providerId, String(err.status), waitMs);
+                    await sleep(waitMs, signal);
+                }
+                console.log(`🔁 ${providerId} returned ${err.status}, retry ${attempt + 1}/${maxRetries} in ${waitMs}ms`);
+            }
+        }
+    }
+
+    state(providerId) {
+        if (!this.providers.has(providerId)) {
+            this.providers.set(providerId, { queue: [], window: [], pausedUntil: 0, timer: null });
+        }
+        return this.providers.get(providerId);
+    }
+
+    /**
+     * Waits for a place in the provider's budget.
+     */
+    acquire(providerId, tokens, priority, signal) {
+        if (signal?.aborted) return Promise.reject(abortError(signal));
+
+        const state = this.state(providerId);
+        return new Promise((resolve, reject) => {
+            const waiter = { tokens, priority, rank: PRIORITIES[priority], resolve, reject, throttled: false };
+
+            if (signal) {
+                waiter.onAbort = () => {
+                    state.queue.splice(state.queue.indexOf(waiter), 1);
+                    reject(abortError(signal));
+                    this.dispatch(providerId);
+                };
+                signal.addEventListener("abort", waiter.onAbort, { once: true });
+                waiter.signal = signal;
+            }
+
+            // Sorted by priority, then arrival
+            const at = state.queue.findIndex(w => w.rank > waiter.rank);
+            state.queue.splice(at === -1 ? state.queue.length : at, 0, waiter);
+            this.dispatch(providerId);
+        });
+    }
+
+    /**
+     * Lets waiting calls through while the budget has room; otherwise sets a
+     * timer for when it will.
+     */
+    dispatch(providerId) {
+        const state = this.state(providerId);
+        clearTimeout(state.timer);
+        state.timer = null;
+
+        while (state.queue.length > 0) {
+            const now = Date.now();
+            state.window = state.window.filter(call => call.at > now - this.windowMs);
+
+            const next = state.queue[0];
+            const { until, reason } = this.nextSlot(providerId, next.tokens, now);
+            if (until > now) {
+                if (!next.throttled) {
+                    next.throttled = true;
+                    this.counters.throttled[reason]++;
+                    this.record(providerId, THROTTLE_REASONS[reason], until - now);
+                }
+                state.timer = setTimeout(() => this.dispatch(providerId), until - now);
+                return;
+            }
+
+            state.queue.shift();
+            state.window.push({ at: now, tokens: next.tokens });
+            next.signal?.removeEventListener("abort", next.onAbort);
+            next.resolve();
+        }
+    }
+
+    /**
+     * When a call of `tokens` fits the budget.
+     * @returns {{until: number, reason?: "pause"|"rpm"|"tpm"}}
+     */
+    nextSlot(providerId, tokens, now) {
+        const { pausedUntil, window } = this.state(providerId);
+        if (pausedUntil > now) return { until: pausedUntil, reason: "pause" };
+
+        const { rpm, tpm } = this.limits(providerId);
+
+        if (rpm > 0 && window.length >= rpm) {
+            return { until: window[window.length - rpm].at + this.windowMs, reason: "rpm" };
+        }
+
+        // A call bigger than the whole budget still runs, once the window is empty
+        let used = window.reduce((sum, call) => sum + call.tokens, 0);
+        if (tpm > 0 && used + tokens > tpm && window.length > 0) {
+            for (const call of window) {
+                used -= call.tokens;
+                if (used + tokens <= tpm || used === 0) {
+                    return { until: call.at + this.windowMs, reason: "tpm" };
+                }
+            }
+        }
+        return { until: now };
+    }
+
+    pause(providerId, ms) {
+        const state = this.state(providerId);
+        state.pausedUntil = Math.max(state.pausedUntil, Date.now() + ms);
+    }
+
+    record(provider, reason, waitMs) {
+        this.recentEvents.unshift({ provider, reason, waitMs: Math.round(waitMs), at: new Date().toISOString() });
+        this.recentEvents.length = Math.min(this.recentEvents.length, MAX_RECENT_EVENTS);
+    }
+
+    /**
+     * Queue depth and throttling counters (for /metrics).
+     * @returns {{queued: number, queuedByProvider: Object<string, number>,
+     *   queuedByPriority: Object<string, number>, throttled: {pause: number, rpm: number, tpm: number},
+     *   rateLimited: number, serverErrors: number, retries: number, failures: number,
+     *   recentEvents: Array<{provider: string, reason: string, waitMs: number, at: string}>}}
+     */
+    stats() {
+        const queuedByProvider = {};
+        const queuedByPriority = Object.fromEntries(Object.keys(PRIORITIES).map(p => [p, 0]));
+        for (const [providerId, { queue }] of this.providers) {
+            if (queue.length > 0) queuedByProvider[providerId] = queue.length;
+            queue.forEach(waiter => queuedByPriority[waiter.priority]++);
+        }
+
+        return {
+            queued: Object.values(queuedByProvider).reduce((a, b) => a + b, 0),
+            queuedByProvider,
+            queuedByPriority,
+            throttled: { ...this.counters.throttled },
+            rateLimited: this.counters.rateLimited,
+            serverErrors: this.counters.serverErrors,
+            retries: this.counters.retries,
+            failures: this.counters.failures,
+            recentEvents: [...this.recentEvents]
+        };
+    }
+
+    resetStats() {
+        this.counters = { throttled: { pause: 0, rpm: 0, tpm: 0 }, rateLimited: 0, serverErrors: 0, retries: 0, failures: 0 };
+        this.recentEvents = [];
+    }
+}
+
+module.exports = { PRIORITIES, LlmScheduler, normalizePriority, estimateTokens, parseRetryAfter };
@@ -0,0 +1,157 @@
+// ------------------------------------
+// Prompt registry
+// Every prompt the server sends to an LLM lives here, with a version. Cached
+// results (summaries, semantic verdicts) record the prompt version and the
+// provider/model that produced them, and are only reused under the same ones,
+// so editing a prompt retires everything the old wording produced.
+//
+// Bump `version` whenever a prompt's text or sampling settings change
+// (test/prompts.test.js fails until you do).
+// ------------------------------------
+
+const { getLlmConfig } = require("./llm");
+
+const PROMPTS = {
+    // The extension's page summary: the claims it searches for and verifies
+    summarize: {
+        version: 1,
+        task: "summarize",
+        temperature: 0.3,
+        maxTokens: 1024,
+        system: `You are an AI assistant that reads text and extracts a **concise summary of verifiable content**.
+
+STRICT LIMIT: Return EXACTLY or FEWER than 5 bullet points. NEVER return more than 5.
+
+Guidelines:
+1. Include only factual statements, news reports, or claims that can be verified later.
+2. Ignore opinions, personal thoughts, jokes, speculation, or generic commentary.
+3. Focus on content that could appear in a news article or report.
+4. Return ONLY the top 5 most important verifiable bullet points. NEVER EXCEED 5 BULLET POINTS.
+5. Return only **verifiable information**, without interpretation or judgment about truth.
+6. Keep the summary concise and clear, suitable for feeding to a search API for verification.
+
+Example input:
+"NASA launched a new satellite today. Many people are excited. The weather was sunny. Elon Musk tweeted about the launch."
+
+Example output:
+"- NASA launched a new satellite today.
+- Elon Musk tweeted about the launch."`,
+        user: ({ text }) => `Extract the top 5 most important verifiable facts from the following text. Return ONLY bullet points, maximum 5.
+
+Text:
+${text}
+
+Verifiable summary (max 5 bullets):`
+    },
+
+    // factChecker.js --url: every claim on a page, not just the top 5
+    "extract-claims": {
+        version: 1,
+        task: "summarize",
+        temperature: 0.3,
+        maxTokens: 1024,
+        system: `You are an assistant that extracts verifiable factual claims from text.
+Return ONLY bullet points ("- ..."), one self-contained claim per line, maximum 10.
+Ignore opinions, jokes, speculation and generic commentary.
+Do not judge whether the claims are true.`,
+        user: ({ text }) => `Extract the verifiable claims from the following text.
+
+Text:
+${text}
+
+Claims:`
+    },
+
+    // /verify-fact's verdict (verify.js)
+    verify: {
+        version: 1,
+        task: "verify",
+        temperature: 0.1,
+        maxTokens: 768,
+        json: true,
+        system: `You are a strict fact-checker.
+Compare the CLAIM against the EVIDENCE provided.
+The EVIDENCE is a numbered list of sources, each followed by quoted passages from that article.
+Each source is labelled with a credibility tier (1 is most reliable) and a category; prefer fact-checkers, wire services and journals over general news when sources disagree.
+Return a JSON object with:
+- "verdict": One of "VERIFIED", "FALSE", "UNCERTAIN"
+- "reasoning": A short explanation (max 1 sentence)
+- "confidence": How sure you are of the verdict, from 0 to 1
+- "citations": An array of { "source": <source number>, "quote": <exact sentence copied from that source's passages>, "stance": "SUPPORTS" | "REFUTES" | "NEUTRAL" }
+- "timeSensitivity": How soon the verdict could change: "BREAKING" (developing news), "STABLE" (current facts that change slowly) or "HISTORICAL" (settled past events)
+
+Rules:
+1. If evidence directly supports the claim -> VERIFIED
+2. If evidence contradicts the claim -> FALSE
+3. If evidence is unrelated or insufficient -> UNCERTAIN
+4. Cite every source that supports or refutes the claim. Quotes must be copied word for word, never paraphrased.`,
+        user: ({ claim, evidenceText }) => `CLAIM: "${claim}"
+
+EVIDENCE:
+${evidenceText}
+
+Verify the claim based ONLY on the evidence.`
+    }
+};
+
+/**
+ * @param {string} id - A key of PROMPTS
+ * @returns {{id: string, version: number, task: string, system: string, user: Function,
+ *   temperature: number, maxTokens: number, json?: boolean}}
+ * @throws {Error} With `status` 400 for an unknown prompt
+ */
+function getPrompt(id) {
+    const prompt = Object.hasOwn(PROMPTS, id) ? PROMPTS[id] : null;
+    if (!prompt) {
+        const error = new Error(`Unknown prompt "${id}" (expected ${Object.keys(PROMPTS).join(", ")})`);
+        error.status = 400;
+        throw error;
+    }
+    return { id, ...prompt };
+}
+
+/**
+ * Fills in a prompt: the request for llm.complete(prompt.task, ...).
+ * @param {string} id
+ * @param {Object} vars - The prompt's placeholders ({ text } or { claim, evidenceText })
+ * @returns {{system: string, user: string, temperature: number, maxTokens: number, json?: boolean}}
+ */
+function buildRequest(id, vars) {
+    const { system, user, temperature, maxTokens, json } = getPrompt(id);
+    return { system, user: user(vars), temperature, maxTokens, ...(json && { json }) };
+}
+
+/**
+ * What a result made with this prompt right now would be produced by: the
+ * prompt version and the model its task is currently configured to use.
+ * @param {string} id
+ * @returns {{prompt: string, promptVersion: number, provider: string, model: string}}
+ */
+function promptIdentity(id) {
+    const { version, task } = getPrompt(id);
+    const { provider, model } = getLlmConfig(task);
+    return { prompt: id, promptVersion: version, provider: provider.id, model };
+}
+
+/**
+ * Whether a cached entry was produced by the given identity. Entries from before
+ * prompts were versioned have no identity and never match.
+ * @param {{prompt?: string, promptVersion?: number, provider?: string, model?: string}} entry
+ * @param {{prompt: string, promptVersion: number, provider: string, model: string}} identity
+ */
+function sameIdentity(entry, identity) {
+    return entry.prompt === identity.prompt &&
+        entry.promptVersion === identity.promptVersion &&
+        entry.provider === identity.provider &&
+        entry.model === identity.model;
+}
+
+/**
+ * Current version of each prompt (for /metrics).
+ * @returns {Object<string, number>}
+ */
+function describePrompts() {
+    return Object.fromEntries(Object.entries(PROMPTS).map(([id, prompt]) => [id, prompt.version]));
+}
+
+module.exports = { PROMPTS, getPrompt, buildRequest, promptIdentity, sameIdentity, describePrompts };
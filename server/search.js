@@ -0,0 +1,231 @@
+// ------------------------------------
+// Web search providers for /search
+// Each provider turns a query into results of one shared shape
+// ({ title, url, snippet }); filtering to trusted domains happens after.
+// Where a provider's server is (SEARXNG_URL) is server configuration only:
+// clients choose a provider, never a host for this server to fetch.
+// ------------------------------------
+
+const fs = require("fs/promises");
+const path = require("path");
+
+const DEFAULT_PROVIDER = process.env.SEARCH_PROVIDER || "duckduckgo";
+const DEFAULT_SEARXNG_URL = "http://localhost:8888";
+const SEARCH_TIMEOUT_MS = 10000;
+
+// Fixture file used by the mock provider
+const MOCK_SEARCH_FIXTURES = path.join(__dirname, "fixtures", "search-results.json");
+
+/**
+ * Builds the query sent to web search engines: the claim plus site: filters.
+ * @param {string} query - The claim to search for
+ * @param {string[]} domains - Trusted domains, most important first
+ * @returns {string}
+ */
+function buildSiteFilteredQuery(query, domains) {
+    // Truncate query to first 150 chars to leave room for site filters
+    const truncatedQuery = query.substring(0, 150);
+
+    // Build site filter string for whitelisted domains
+    const siteFilters = domains.slice(0, 10) // Use top 10 to keep query reasonable
+        .map(domain => `site:${domain}`)
+        .join(" OR ");
+
+    return siteFilters ? `${truncatedQuery} (${siteFilters})` : truncatedQuery;
+}
+
+/**
+ * fetch() with the search timeout; `options.signal` (e.g. a batch deadline) also aborts it.
+ */
+async function fetchWithTimeout(url, options = {}) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), SEARCH_TIMEOUT_MS);
+    const abort = () => controller.abort();
+    options.signal?.addEventListener("abort", abort);
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timeout);
+        options.signal?.removeEventListener("abort", abort);
+    }
+}
+
+// ------------------------------------
+// DuckDuckGo (HTML endpoint)
+// ------------------------------------
+
+/**
+ * Parses DuckDuckGo HTML search results.
+ * @param {string} html - HTML content from DuckDuckGo
+ * @returns {Array<{title: string, url: string, snippet: string}>}
+ */
+function parseDuckDuckGoResults(html) {
+    const results = [];
+
+    // Parse using result blocks
+    const resultBlocks = html.split(/class="result\s/);
+
+    for (let i = 1; i < resultBlocks.length; i++) {
+        const block = resultBlocks[i];
+
+        // Extract URL - look for the actual link, not DDG redirect
+        const urlMatch = block.match(/href="\/\/duckduckgo\.com\/l\/\?uddg=([^&"]+)/);
+        const directUrlMatch = block.match(/class="result__url"[^>]*href="([^"]*)"/);
+
+        let url = "";
+        if (urlMatch) {
+            url = decodeURIComponent(urlMatch[1]);
+        } else if (directUrlMatch) {
+            url = directUrlMatch[1];
+            if (!url.startsWith("http")) {
+                url = "https://" + url;
+            }
+        }
+
+        // Extract title
+        const titleMatch = block.match(/class="result__a"[^>]*>([^<]+)</);
+        const title = titleMatch ? titleMatch[1].trim() : "";
+
+        // Extract snippet
+        const snippetMatch = block.match(/class="result__snippet"[^>]*>([^<]+)/);
+        const snippet = snippetMatch ? snippetMatch[1].trim() : "";
+
+        if (url && title) {
+            results.push({ url, title, snippet });
+        }
+    }
+
+    return results;
+}
+
+const duckDuckGoProvider = {
+    id: "duckduckgo",
+    label: "DuckDuckGo (HTML)",
+
+    async search(query, { domains, signal }) {
+        const fullQuery = buildSiteFilteredQuery(query, domains);
+        const searchUrl = `https://html.duckduckgo.com/html/?q=${encodeURIComponent(fullQuery)}`;
+
+        const response = await fetchWithTimeout(searchUrl, {
+            signal,
+            headers: {
+                "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36"
+            }
+        });
+        if (!response.ok) {
+            throw new Error(`DuckDuckGo search failed: HTTP ${response.status}`);
+        }
+
+        return parseDuckDuckGoResults(await response.text());
+    }
+};
+
+// ------------------------------------
+// SearXNG (self-hosted, JSON API)
+// ------------------------------------
+
+const searxngProvider = {
+    id: "searxng",
+    label: "SearXNG (self-hosted)",
+
+    async search(query, { domains, signal }) {
+        const baseUrl = (process.env.SEARXNG_URL || DEFAULT_SEARXNG_URL).replace(/\/+$/, "");
+        const fullQuery = buildSiteFilteredQuery(query, domains);
+        const searchUrl = `${baseUrl}/search?format=json&q=${encodeURIComponent(fullQuery)}`;
+
+        const response = await fetchWithTimeout(searchUrl, { signal, headers: { "Accept": "application/json" } });
+        if (!response.ok) {
+            throw new Error(`SearXNG search failed: HTTP ${response.status} (is format=json enabled?)`);
+        }
+
+        const data = await response.json();
+        return (data.results || [])
+            .filter(result => result.url && result.title)
+            .map(result => ({
+                title: result.title.trim(),
+                url: result.url,
+                snippet: (result.content || "").trim()
+            }));
+    }
+};
+
+// ------------------------------------
+// Mock (fixture-backed, for tests and offline work)
+// ------------------------------------
+
+const mockProvider = {
+    id: "mock",
+    label: "Mock (offline fixtures)",
+
+    /**
+     * Returns the results of the first fixture whose keywords all appear in the query.
+     * Fixture format: [{ "keywords": ["word", ...], "results": [{ title, url, snippet }, ...] }]
+     */
+    async search(query) {
+        const fixtures = JSON.parse(await fs.readFile(MOCK_SEARCH_FIXTURES, "utf8"));
+        const normalizedQuery = query.toLowerCase();
+
+        const fixture = fixtures.find(f =>
+            f.keywords.every(keyword => normalizedQuery.includes(keyword.toLowerCase()))
+        );
+        return fixture ? fixture.results : [];
+    }
+};
+
+const SEARCH_PROVIDERS = {
+    [duckDuckGoProvider.id]: duckDuckGoProvider,
+    [searxngProvider.id]: searxngProvider,
+    [mockProvider.id]: mockProvider
+};
+
+/**
+ * Looks up a provider by id, falling back to the configured default.
+ * @param {string} [id]
+ */
+function getSearchProvider(id) {
+    return SEARCH_PROVIDERS[id] || SEARCH_PROVIDERS[DEFAULT_PROVIDER] || duckDuckGoProvider;
+}
+
+/**
+ * Normalizes a query for cache keys: case, whitespace and trailing punctuation don't matter.
+ * @param {string} query
+ * @returns {string}
+ */
+function normalizeQuery(query) {
+    return query.toLowerCase().replace(/\s+/g, " ").replace(/[\s.!?,;:]+$/, "").trim();
+}
+
+/**
+ * Finds the trusted domain a URL belongs to (exact host or subdomain).
+ * Same matching as the extension's domains.js.
+ * @param {string} url
+ * @param {string[]} domains
+ * @returns {string|null}
+ */
+function matchTrustedDomain(url, domains) {
+    try {
+        const hostname = new URL(url).hostname.toLowerCase();
+        return domains.find(domain => hostname === domain || hostname.endsWith("." + domain)) || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Checks whether a URL belongs to one of the trusted domains (exact host or subdomain).
+ * @param {string} url
+ * @param {string[]} domains
+ * @returns {boolean}
+ */
+function isTrustedUrl(url, domains) {
+    return matchTrustedDomain(url, domains) !== null;
+}
+
+module.exports = {
+    SEARCH_PROVIDERS,
+    getSearchProvider,
+    normalizeQuery,
+    matchTrustedDomain,
+    isTrustedUrl,
+    parseDuckDuckGoResults
+};
@@ -0,0 +1,332 @@
+// ------------------------------------
+// Semantic verdict cache
+// Verdicts are stored in Valkey, one hash field per claim and model; the vectors are
+// also held in an in-process HNSW index so lookups don't scan every entry.
+// The index graph is snapshotted to Valkey so restarts don't rebuild it.
+// Each entry expires according to its time-sensitivity class (see freshness.js);
+// a background sweep evicts stale entries.
+// Entries record the prompt version and model of their verdict (see prompts.js).
+// Verdicts from an older "verify" prompt are evicted; verdicts from another model
+// are skipped but kept, in case the configuration is switched back.
+// ------------------------------------
+
+const crypto = require("crypto");
+const { HnswIndex } = require("./vectorIndex");
+const { DEFAULT_TIME_SENSITIVITY, expiryFor, formatAge } = require("./freshness");
+const { getPrompt, sameIdentity } = require("./prompts");
+
+const ENTRIES_KEY = "semantic:entries";     // hash: id -> { claim, vector, result, createdAt, timeSensitivity, expiresAt,
+                                            //              prompt, promptVersion, provider, model }
+const SNAPSHOT_KEY = "semantic:index";      // string: HnswIndex.toJSON()
+const LEGACY_KEY = "semantic_verdicts";     // hash: JSON(vector) -> result (pre-index format)
+const SNAPSHOT_DELAY_MS = 30000;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+// findNearest starts with a few candidates and widens the search while the
+// nearest ones are expired, outdated or from another model
+const NEAREST_CANDIDATES = 3;
+const MAX_NEAREST_CANDIDATES = 96;
+
+let index = new HnswIndex();
+let valkey = null;
+let ready = false;
+let snapshotTimer = null;
+let sweepTimer = null;
+let expiredEvictions = 0;
+let outdatedEvictions = 0;
+
+/**
+ * Id of a claim's entry (also used to key feedback on its verdict). Each
+ * provider and model has its own entry, so verdicts from another model are kept.
+ * @param {string} claim
+ * @param {{provider: string, model: string}} producedBy - The verdict's provider and model
+ * @returns {string}
+ */
+function entryId(claim, { provider, model }) {
+    return crypto.createHash("sha256")
+        .update(`${provider}\n${model}\n${claim.trim().toLowerCase()}`)
+        .digest("hex")
+        .substring(0, 32);
+}
+
+/**
+ * Entries written before expiry existed get the default class from createdAt.
+ */
+function expiresAt(entry) {
+    if (entry.expiresAt) return entry.expiresAt;
+    return (entry.createdAt || 0) + expiryFor(entry.timeSensitivity || DEFAULT_TIME_SENSITIVITY);
+}
+
+function isExpired(entry, now = Date.now()) {
+    return expiresAt(entry) <= now;
+}
+
+/**
+ * Made with another version of the "verify" prompt (or before prompts had versions).
+ */
+function isOutdated(entry) {
+    return entry.prompt !== "verify" || entry.promptVersion !== getPrompt("verify").version;
+}
+
+async function evict(id, reason = "expired") {
+    await valkey.hdel(ENTRIES_KEY, id);
+    index.remove(id);
+    if (reason === "outdated") outdatedEvictions++;
+    else expiredEvictions++;
+    scheduleSnapshot();
+}
+
+/**
+ * Evicts every expired or outdated entry.
+ * @returns {Promise<number>} Number of entries evicted
+ */
+async function sweepExpired() {
+    if (!ready) return 0;
+    const now = Date.now();
+    let evicted = 0;
+
+    for (const [id, json] of Object.entries(await valkey.hgetall(ENTRIES_KEY))) {
+        let entry = null;
+        try {
+            entry = JSON.parse(json);
+        } catch (e) { }
+        if (!entry || isExpired(entry, now)) {
+            await evict(id);
+            evicted++;
+        } else if (isOutdated(entry)) {
+            await evict(id, "outdated");
+            evicted++;
+        }
+    }
+
+    if (evicted > 0) console.log(`🧽 Swept ${evicted} expired or outdated semantic verdicts`);
+    return evicted;
+}
+
+function startSweep() {
+    if (sweepTimer) return;
+    sweepTimer = setInterval(() => {
+        sweepExpired().catch(err => console.error("❌ Semantic cache sweep failed:", err.message));
+    }, SWEEP_INTERVAL_MS);
+    sweepTimer.unref();
+}
+
+function scheduleSnapshot() {
+    if (snapshotTimer) return;
+    snapshotTimer = setTimeout(async () => {
+        snapshotTimer = null;
+        try {
+            await valkey.set(SNAPSHOT_KEY, JSON.stringify(index.toJSON()));
+            console.log(`💾 Saved semantic index snapshot (${index.size} vectors)`);
+        } catch (err) {
+            console.error("❌ Semantic index snapshot failed:", err.message);
+        }
+    }, SNAPSHOT_DELAY_MS);
+    snapshotTimer.unref();
+}
+
+/**
+ * Drops the old `semantic_verdicts` hash (vector JSON as field name). Its
+ * verdicts have no claim text to check near-hits against, so they could never
+ * be reused.
+ */
+async function dropLegacyEntries() {
+    const removed = await valkey.del(LEGACY_KEY);
+    if (removed > 0) console.log("🗑️ Dropped the legacy semantic verdicts (they have no claim text)");
+}
+
+/**
+ * Loads entries and the graph snapshot from Valkey. Entries added after the last
+ * snapshot are inserted; if there is no usable snapshot the index is rebuilt.
+ * @param {import("iovalkey").default} client
+ */
+async function init(client) {
+    valkey = client;
+    const started = Date.now();
+
+    await dropLegacyEntries();
+
+    const vectorsById = new Map();
+    const claimless = [];
+    for (const [id, json] of Object.entries(await valkey.hgetall(ENTRIES_KEY))) {
+        try {
+            const entry = JSON.parse(json);
+            // Migrated from the legacy hash by earlier versions: never reusable
+            if (!entry.claim) {
+                claimless.push(id);
+                continue;
+            }
+            vectorsById.set(id, entry.vector);
+        } catch (e) { }
+    }
+    if (claimless.length > 0) {
+        await valkey.hdel(ENTRIES_KEY, ...claimless);
+        console.log(`🗑️ Dropped ${claimless.length} semantic verdicts without claim text`);
+    }
+
+    const snapshot = await valkey.get(SNAPSHOT_KEY);
+    let restored = null;
+    if (snapshot) {
+        try {
+            restored = HnswIndex.fromJSON(JSON.parse(snapshot), vectorsById);
+        } catch (e) { }
+    }
+    index = restored || new HnswIndex();
+
+    let inserted = 0;
+    for (const [id, vector] of vectorsById) {
+        if (!index.has(id)) {
+            index.add(id, vector);
+            inserted++;
+        }
+    }
+    if (inserted > 0) scheduleSnapshot();
+
+    ready = true;
+    console.log(`✅ Semantic index ready: ${index.size} vectors (${inserted} inserted, ${Date.now() - started}ms)`);
+
+    await sweepExpired();
+    startSweep();
+}
+
+/**
+ * Finds the most similar cached verdict that has not expired and was produced
+ * by the given prompt version and model.
+ * @param {number[]} embedding
+ * @param {{prompt: string, promptVersion: number, provider: string, model: string}} identity - promptIdentity("verify")
+ * @returns {Promise<{id: string, similarity: number, claim: string, result: Object, createdAt: number, ageMs: number, timeSensitivity: string}|null>}
+ */
+async function findNearest(embedding, identity) {
+    if (!ready) return null;
+
+    const examined = new Set();
+    for (let k = NEAREST_CANDIDATES; ; k = Math.min(k * 4, MAX_NEAREST_CANDIDATES)) {
+        const candidates = index.search(embedding, k);
+        const found = await firstUsable(candidates, identity, examined);
+        if (found) return found;
+        if (candidates.length < k || k >= MAX_NEAREST_CANDIDATES) return null;
+    }
+}
+
+/**
+ * First candidate (best first) whose entry is live and matches the identity,
+ * evicting expired and outdated entries on the way. Ids in `examined` are
+ * skipped, and every id looked at is added to it.
+ */
+async function firstUsable(candidates, identity, examined) {
+    for (const nearest of candidates) {
+        if (examined.has(nearest.id)) continue;
+        examined.add(nearest.id);
+
+        const json = await valkey.hget(ENTRIES_KEY, nearest.id);
+        if (!json) {
+            index.remove(nearest.id); // evicted elsewhere (e.g. flushall)
+            continue;
+        }
+
+        let entry;
+        try {
+            entry = JSON.parse(json);
+        } catch {
+            // A corrupt entry would fail every lookup that reaches it
+            await evict(nearest.id);
+            continue;
+        }
+        if (isExpired(entry)) {
+            console.log(`⌛ Evicting expired ${entry.timeSensitivity || DEFAULT_TIME_SENSITIVITY} verdict (${formatAge(Date.now() - entry.createdAt)} old)`);
+            await evict(nearest.id);
+            continue;
+        }
+        if (isOutdated(entry)) {
+            console.log(`🗑️ Evicting verdict from an outdated prompt (${entry.prompt || "unversioned"} v${entry.promptVersion ?? "?"})`);
+            await evict(nearest.id, "outdated");
+            continue;
+        }
+        if (!sameIdentity(entry, identity)) {
+            console.log(`↪️ Skipping verdict from ${entry.provider} / ${entry.model}`);
+            continue;
+        }
+
+        return {
+            id: nearest.id,
+            similarity: nearest.similarity,
+            claim: entry.claim,
+            result: entry.result,
+            createdAt: entry.createdAt,
+            ageMs: Date.now() - entry.createdAt,
+            timeSensitivity: entry.timeSensitivity || DEFAULT_TIME_SENSITIVITY
+        };
+    }
+    return null;
+}
+
+/**
+ * Stores a verdict for a claim and indexes its embedding.
+ * @param {string} claim
+ * @param {number[]} embedding
+ * @param {Object} result - The verdict returned to clients
+ * @param {string} [timeSensitivity] - "BREAKING", "STABLE" or "HISTORICAL"
+ * @param {{prompt: string, promptVersion: number, provider: string, model: string}} producedBy - From judgeClaim
+ */
+async function store(claim, embedding, result, timeSensitivity = DEFAULT_TIME_SENSITIVITY, producedBy) {
+    const id = entryId(claim, producedBy);
+    const createdAt = Date.now();
+    const { prompt, promptVersion, provider, model } = producedBy;
+    const entry = {
+        claim,
+        vector: embedding,
+        result,
+        createdAt,
+        timeSensitivity,
+        expiresAt: createdAt + expiryFor(timeSensitivity),
+        prompt,
+        promptVersion,
+        provider,
+        model
+    };
+    await valkey.hset(ENTRIES_KEY, id, JSON.stringify(entry));
+    if (ready) {
+        index.add(id, embedding);
+        scheduleSnapshot();
+    }
+}
+
+/**
+ * Drops a verdict that users disputed, so the claim is verified again next time.
+ * @param {string} id
+ * @returns {Promise<boolean>} Whether the entry existed
+ */
+async function demote(id) {
+    const removed = await valkey.hdel(ENTRIES_KEY, id);
+    index.remove(id);
+    if (removed > 0) {
+        scheduleSnapshot();
+        console.log(`👎 Demoted disputed semantic verdict ${id}`);
+    }
+    return removed > 0;
+}
+
+/**
+ * Drops the in-memory index (after the Valkey data was flushed).
+ */
+function reset() {
+    index = new HnswIndex();
+}
+
+function size() {
+    return index.size;
+}
+
+function expiredCount() {
+    return expiredEvictions;
+}
+
+function outdatedCount() {
+    return outdatedEvictions;
+}
+
+function resetStats() {
+    expiredEvictions = 0;
+    outdatedEvictions = 0;
+}
+
+module.exports = { entryId, init, findNearest, store, demote, sweepExpired, reset, size, expiredCount, outdatedCount, resetStats };
@@ -0,0 +1,153 @@
+// ------------------------------------
+// Tests for pairing, client tokens, admin credentials and origin checks (auth.js)
+// ------------------------------------
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { startTestServer, ADMIN_TOKEN } = require("./support/testServer");
+const { issuePairingCode } = require("../auth");
+
+const EXTENSION = "chrome-extension://abcdefghijklmnopabcdefghijklmnop";
+const WEB_PAGE = "https://news.example";
+
+describe("authentication", () => {
+    let server;
+
+    before(async () => {
+        server = await startTestServer();
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    beforeEach(async () => {
+        await server.reset();
+    });
+
+    async function metrics() {
+        return (await server.get("/metrics", server.adminHeaders)).json();
+    }
+
+    function pair(code, origin) {
+        return server.post("/pair", { code, label: "Chrome" }, origin ? { Origin: origin, Authorization: "" } : { Authorization: "" });
+    }
+
+    it("turns web pages away before the route runs, even with valid credentials", async () => {
+        await server.valkey.set("summary:kept", "x");
+
+        const res = await server.post("/clear-cache", {}, { ...server.adminHeaders, Origin: WEB_PAGE });
+        assert.equal(res.status, 403);
+        assert.equal(res.headers.get("access-control-allow-origin"), null);
+        assert.equal(await server.valkey.get("summary:kept"), "x");
+
+        const preflight = await fetch(server.baseUrl + "/extract-claims", {
+            method: "OPTIONS",
+            headers: { Origin: WEB_PAGE, "Access-Control-Request-Method": "POST" }
+        });
+        assert.equal(preflight.status, 403);
+    });
+
+    it("answers the dashboard's localhost origin, but not a rebound host name", async () => {
+        const port = new URL(server.baseUrl).port;
+        const res = await server.get("/metrics", { ...server.adminHeaders, Origin: `http://localhost:${port}` });
+        assert.equal(res.status, 200);
+
+        // DNS rebinding: a page on evil.example resolves its name to 127.0.0.1,
+        // so its requests carry its own name in both Origin and Host
+        const status = await new Promise((resolve, reject) => {
+            http.get({
+                host: "127.0.0.1",
+                port,
+                path: "/metrics",
+                headers: { ...server.adminHeaders, Host: `evil.example:${port}`, Origin: `http://evil.example:${port}` }
+            }, (rebound) => {
+                rebound.resume();
+                resolve(rebound.statusCode);
+            }).on("error", reject);
+        });
+        assert.equal(status, 403);
+    });
+
+    it("requires a paired client's token on every route", async () => {
+        for (const headers of [{ Authorization: "" }, { Authorization: "Bearer not-a-token" }]) {
+            assert.equal((await server.post("/extract-claims", { text: "Page" }, headers)).status, 401);
+            assert.equal((await server.get("/health", headers)).status, 401);
+        }
+        assert.equal(server.llm.requests.length, 0);
+        assert.equal((await server.get("/health")).status, 200);
+    });
+
+    it("pairs an extension once per code and then answers its origin", async () => {
+        const { code } = issuePairingCode();
+
+        const res = await pair(code.toLowerCase(), EXTENSION);
+        assert.equal(res.status, 200);
+        const { token } = await res.json();
+
+        const health = await server.get("/health", { Authorization: `Bearer ${token}`, Origin: EXTENSION });
+        assert.equal(health.status, 200);
+        assert.equal(health.headers.get("access-control-allow-origin"), EXTENSION);
+
+        assert.equal((await pair(code, EXTENSION)).status, 403);
+        assert.equal((await metrics()).auth.pairedClients, 2);
+    });
+
+    it("withdraws the pairing code after repeated wrong guesses", async () => {
+        const { code } = issuePairingCode();
+
+        for (let i = 0; i < 5; i++) {
+            assert.equal((await pair("AAAA-AAAA")).status, 403);
+        }
+        assert.equal((await pair(code)).status, 403);
+    });
+
+    it("keeps admin routes to the admin token, asking browsers to log in", async () => {
+        const res = await server.post("/reset-stats", {});
+        assert.equal(res.status, 401);
+        assert.match(res.headers.get("www-authenticate"), /^Basic realm="PostPolice admin"/);
+        assert.equal((await server.post("/pairing-code", {})).status, 401);
+
+        const basic = `Basic ${Buffer.from(`admin:${ADMIN_TOKEN}`).toString("base64")}`;
+        const dashboard = await server.get("/metrics", { Authorization: basic, Accept: "text/html" });
+        assert.equal(dashboard.status, 200);
+
+        const wrong = `Basic ${Buffer.from("admin:guess").toString("base64")}`;
+        assert.equal((await server.get("/metrics", { Authorization: wrong })).status, 401);
+
+        const issued = await (await server.post("/pairing-code", {}, server.adminHeaders)).json();
+        assert.match(issued.code, /^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+    });
+
+    it("keeps clients paired across a cache clear, until they unpair", async () => {
+        const { code } = issuePairingCode();
+        const { token } = await (await pair(code)).json();
+        const headers = { Authorization: `Bearer ${token}` };
+
+        await server.post("/clear-cache", {}, server.adminHeaders);
+        assert.equal((await server.get("/health", headers)).status, 200);
+
+        assert.deepEqual(await (await server.post("/unpair", {}, headers)).json(), { success: true });
+        assert.equal((await server.get("/health", headers)).status, 401);
+    });
+
+    it("logs and counts rejected requests by reason", async () => {
+        await server.post("/clear-cache", {}, { Origin: WEB_PAGE });
+        await server.post("/verify-fact", { claim: "x" }, { Authorization: "" });
+        await server.post("/reset-stats", {});
+
+        const { auth } = await metrics();
+        assert.deepEqual(auth.rejected, { origin: 1, token: 1, admin: 1, pairing: 0 });
+        assert.equal(auth.rejectedTotal, 3);
+        assert.deepEqual(auth.recentRejections.map(r => [r.method, r.path, r.reason]), [
+            ["POST", "/reset-stats", "missing or wrong admin credentials"],
+            ["POST", "/verify-fact", "missing or unknown client token"],
+            ["POST", "/clear-cache", "origin not allowed"]
+        ]);
+        assert.equal(auth.recentRejections[2].origin, WEB_PAGE);
+
+        await server.post("/reset-stats", {}, server.adminHeaders);
+        assert.equal((await metrics()).auth.rejectedTotal, 0);
+    });
+});
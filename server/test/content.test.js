@@ -0,0 +1,392 @@
+// ------------------------------------
+// jsdom tests for the extension's content script (content.js): text extraction,
+// verdict highlighting, per-post checking on feeds (siteAdapters.js) and the
+// claim registry that rescans add to.
+// ------------------------------------
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadContentScript } = require("./support/contentScript");
+
+const ARTICLE = `
+    <header><p>Subscribe now to read unlimited stories</p></header>
+    <nav><ul><li>World news and politics from everywhere</li></ul></nav>
+    <div class="story">
+        <h1>Eiffel Tower grows to 330 metres with new antenna</h1>
+        <p>The Eiffel Tower now stands <a href="/height">330 metres</a> tall after a <b>digital radio</b> antenna was added. It was 324 metres tall before.</p>
+        <p>Short caption.</p>
+        <ul><li><a href="/related">Related: how the tower was built for the 1889 fair</a></li></ul>
+        <div data-testid="tweetText">Watching the helicopter lift the antenna from the Champ de Mars</div>
+        <p style="display: none">This paragraph is hidden with display none</p>
+        <p style="visibility: hidden">This paragraph is hidden with visibility hidden</p>
+        <div class="ad"><p>Cheap flights to Paris, book your trip today</p></div>
+    </div>
+    <aside><p>Most read: ten things to do in Paris this spring</p></aside>
+    <script>var tracking = "a script that should never be read as text";</script>
+    <footer><p>Copyright 2022 The Associated Press. All rights reserved.</p></footer>
+`;
+
+const FEED = `
+    <main>
+        <article data-testid="tweet">
+            <div data-testid="User-Name"><a href="/nasa">NASA</a><a href="/nasa/status/111"><time>2h</time></a></div>
+            <div data-testid="tweetText"><span>The Artemis II crew will fly around the Moon in April 2026.</span></div>
+            <div role="link"><a href="/esa/status/999">Quoted post from ESA</a></div>
+        </article>
+        <article data-testid="tweet">
+            <div data-testid="User-Name"><a href="/weather">Weather</a><a href="/weather/status/222"><time>3h</time></a></div>
+            <div data-testid="tweetText">Paris recorded its hottest day ever at 42.6 degrees Celsius in July 2019.</div>
+        </article>
+        <article data-testid="tweet">
+            <div data-testid="tweetText">Promoted: buy our product today, limited offer.</div>
+        </article>
+    </main>
+`;
+const PARIS_CLAIM = "Paris recorded its hottest day at 42.6 degrees Celsius in July 2019";
+const ARTEMIS_CLAIM = "The Artemis II crew will fly around the Moon in April 2026";
+
+/**
+ * Texts found by extractVisibleText, as a plain array (jsdom's arrays belong to another realm).
+ */
+function visibleTexts(postPolice) {
+    return Array.from(postPolice.extractVisibleText(), ({ text }) => text);
+}
+
+describe("content.js", () => {
+    describe("extractVisibleText", () => {
+        it("returns the visible article text in document order", () => {
+            const { postPolice } = loadContentScript(ARTICLE);
+            assert.deepEqual(visibleTexts(postPolice), [
+                "Eiffel Tower grows to 330 metres with new antenna",
+                // Direct text only: the link and <b> text are left to their own elements
+                "The Eiffel Tower now stands  tall after a  antenna was added. It was 324 metres tall before.",
+                // No direct text: falls back to the element's whole text
+                "Related: how the tower was built for the 1889 fair",
+                "Watching the helicopter lift the antenna from the Champ de Mars"
+            ]);
+        });
+
+        it("pairs each text with its element", () => {
+            const { postPolice, document } = loadContentScript(ARTICLE);
+            const [heading] = postPolice.extractVisibleText();
+            assert.equal(heading.element, document.querySelector("h1"));
+        });
+
+        it("skips text that is too short to hold a claim", () => {
+            const { postPolice } = loadContentScript("<p>Too short.</p><span>Nineteen characters</span><span>Twenty characters!!!</span>");
+            assert.deepEqual(visibleTexts(postPolice), ["Twenty characters!!!"]);
+        });
+
+        it("returns nothing for a page without content elements", () => {
+            const { postPolice } = loadContentScript("<div>Only a div with some text but no content tags</div>");
+            assert.deepEqual(visibleTexts(postPolice), []);
+        });
+    });
+
+    describe("highlightClaimOnPage", () => {
+        const result = {
+            verdict: "FALSE",
+            reasoning: "The tower is 330 metres tall, not 300.",
+            confidence: 0.8,
+            citations: [{ url: "https://apnews.com/a", quote: "330 metres", stance: "REFUTES" }]
+        };
+
+        it("highlights the sentence matching the claim across inline formatting", () => {
+            const { postPolice, window } = loadContentScript(ARTICLE);
+            const claim = "The Eiffel Tower stands 330 metres tall after a digital radio antenna was added";
+            const range = postPolice.findClaimRange(claim);
+
+            assert.equal(range.toString(), "The Eiffel Tower now stands 330 metres tall after a digital radio antenna was added.");
+
+            postPolice.highlightClaimOnPage(claim, result, range);
+            const highlight = window.CSS.highlights.get(postPolice.VERDICT_HIGHLIGHT_NAMES.FALSE);
+            assert.ok(highlight.has(range));
+
+            const [entry] = postPolice.highlightedClaims();
+            assert.equal(entry.range, range);
+            assert.equal(entry.claim, claim);
+            assert.equal(entry.verdict, "FALSE");
+            assert.equal(entry.reasoning, result.reasoning);
+            assert.equal(entry.confidence, 0.8);
+            assert.deepEqual(entry.citations, result.citations);
+        });
+
+        it("leaves the page's DOM untouched", () => {
+            const { postPolice, document } = loadContentScript(ARTICLE);
+            const before = document.body.innerHTML;
+
+            const claim = "It was 324 metres tall before";
+            postPolice.highlightClaimOnPage(claim, result, postPolice.findClaimRange(claim));
+            assert.equal(postPolice.highlightedClaims().length, 1);
+            assert.equal(document.body.innerHTML, before);
+        });
+
+        it("uses the UNCERTAIN highlight for an unknown verdict and defaults citations", () => {
+            const { postPolice, window } = loadContentScript(ARTICLE);
+            const claim = "It was 324 metres tall before";
+            const range = postPolice.findClaimRange(claim);
+
+            postPolice.highlightClaimOnPage(claim, { verdict: "MISLEADING", reasoning: "" }, range);
+            assert.ok(window.CSS.highlights.get(postPolice.VERDICT_HIGHLIGHT_NAMES.UNCERTAIN).has(range));
+            assert.equal(postPolice.highlightedClaims()[0].citations.length, 0);
+        });
+
+        it("does nothing when the claim is not on the page", () => {
+            const { postPolice, window } = loadContentScript(ARTICLE);
+            const range = postPolice.findClaimRange("The Louvre welcomed nine million visitors last year");
+            assert.equal(range, null);
+
+            postPolice.highlightClaimOnPage("The Louvre welcomed nine million visitors last year", result, range);
+            assert.equal(window.CSS.highlights.size, 0);
+            assert.equal(postPolice.highlightedClaims().length, 0);
+        });
+
+        it("ignores text in navigation and footers", () => {
+            const { postPolice } = loadContentScript(ARTICLE);
+            assert.equal(postPolice.findClaimRange("Copyright 2022 The Associated Press"), null);
+        });
+
+        it("skips highlighting without the CSS Custom Highlight API", () => {
+            const { postPolice } = loadContentScript(ARTICLE, { highlights: false });
+            const claim = "It was 324 metres tall before";
+
+            postPolice.highlightClaimOnPage(claim, result, postPolice.findClaimRange(claim));
+            assert.equal(postPolice.highlightedClaims().length, 0);
+        });
+
+        it("can be cleared again", () => {
+            const { postPolice, window } = loadContentScript(ARTICLE);
+            const claim = "It was 324 metres tall before";
+            const range = postPolice.findClaimRange(claim);
+            postPolice.highlightClaimOnPage(claim, result, range);
+
+            postPolice.clearHighlight(range);
+            assert.equal(window.CSS.highlights.get(postPolice.VERDICT_HIGHLIGHT_NAMES.FALSE).size, 0);
+            assert.equal(postPolice.highlightedClaims().length, 0);
+        });
+    });
+
+    describe("site adapters", () => {
+        it("finds X posts by their status ID, with only the post's own text", () => {
+            const { postPolice } = loadContentScript(FEED, { url: "https://x.com/home" });
+
+            assert.equal(postPolice.siteAdapter.id, "x");
+            const posts = Array.from(postPolice.findPosts(postPolice.siteAdapter), ({ id, text }) => ({ id, text }));
+            // The promoted post has no status link, so it can't be remembered and is skipped
+            assert.deepEqual(posts, [
+                { id: "111", text: "The Artemis II crew will fly around the Moon in April 2026." },
+                { id: "222", text: "Paris recorded its hottest day ever at 42.6 degrees Celsius in July 2019." }
+            ]);
+        });
+
+        it("reads Reddit posts on both the current site and old.reddit.com", () => {
+            const { postPolice } = loadContentScript(`
+                <shreddit-post id="t3_abc12"><a slot="title">Study finds coffee drinkers live longer</a><div slot="text-body"><p>The cohort had 500,000 people.</p></div></shreddit-post>
+                <div class="thing link" data-fullname="t3_def34"><p><a class="title">Mars rover finds organic molecules</a></p></div>
+            `, { url: "https://www.reddit.com/r/science/" });
+
+            assert.equal(postPolice.siteAdapter.id, "reddit");
+            const posts = Array.from(postPolice.findPosts(postPolice.siteAdapter), ({ id, text }) => ({ id, text }));
+            assert.deepEqual(posts, [
+                { id: "t3_abc12", text: "Study finds coffee drinkers live longer\n\nThe cohort had 500,000 people." },
+                { id: "t3_def34", text: "Mars rover finds organic molecules" }
+            ]);
+        });
+
+        it("recognises Mastodon on any instance, and leaves other sites (even with a #mastodon element) to the page scan", () => {
+            const mastodon = loadContentScript(`
+                <div id="mastodon"><div class="status" data-id="10987"><div class="status__content__text"><p>The new bridge opens to traffic on Monday.</p></div></div></div>
+            `, { url: "https://social.example/home" });
+            assert.equal(mastodon.postPolice.siteAdapter.id, "mastodon");
+            assert.equal(mastodon.postPolice.findPosts(mastodon.postPolice.siteAdapter)[0].id, "10987");
+
+            // Before the feed renders, the app's meta tag identifies it
+            const loading = loadContentScript('<meta name="application-name" content="Mastodon"><div id="mastodon"></div>');
+            assert.equal(loading.postPolice.siteAdapter.id, "mastodon");
+
+            // Instances that put their own name in the meta tag still embed the app's state
+            const named = loadContentScript('<meta name="application-name" content="mastodon.social">' +
+                '<script id="initial-state" type="application/json">{}</script><div id="mastodon"></div>');
+            assert.equal(named.postPolice.siteAdapter.id, "mastodon");
+
+            // A page that merely has an element with that id
+            assert.equal(loadContentScript(`<section id="mastodon"><p>Follow us on Mastodon.</p></section>${ARTICLE}`).postPolice.siteAdapter, null);
+            assert.equal(loadContentScript(ARTICLE).postPolice.siteAdapter, null);
+        });
+
+        it("detects Mastodon when its posts render after the page loaded", async () => {
+            const { postPolice, document } = loadContentScript(
+                '<meta name="application-name" content="social.example"><div id="mastodon"></div>',
+                { url: "https://social.example/home" });
+            assert.equal(postPolice.siteAdapter, null);
+
+            document.getElementById("mastodon").innerHTML =
+                '<div class="status" data-id="10987"><div class="status__content__text"><p>The new bridge opens to traffic on Monday.</p></div></div>';
+            await postPolice.scanPage();
+
+            assert.equal(postPolice.siteAdapter.id, "mastodon");
+            assert.equal(postPolice.findPosts(postPolice.siteAdapter)[0].id, "10987");
+        });
+    });
+
+    describe("post verdicts", () => {
+        function badgeOf(postPolice, article) {
+            const host = article.querySelector('[data-testid="User-Name"] > postpolice-post-badge');
+            return host && postPolice.postBadgeRoots.get(host).querySelector("button");
+        }
+
+        function streamClaims(postPolice) {
+            const entries = [];
+            postPolice.handleStreamEvent({
+                event: "claims",
+                summary: `- ${PARIS_CLAIM}\n- ${ARTEMIS_CLAIM}`,
+                claims: [PARIS_CLAIM, ARTEMIS_CLAIM],
+                postIds: ["222", "111"]
+            }, entries);
+            return entries;
+        }
+
+        it("ties each claim to its post and badges the post with its verdict", () => {
+            const { postPolice, document, window } = loadContentScript(FEED, { url: "https://x.com/home" });
+            const [artemis, paris] = document.querySelectorAll("article");
+            const entries = streamClaims(postPolice);
+
+            assert.deepEqual(Array.from(postPolice.claimLinks, item => item.postId), ["222", "111"]);
+            assert.equal(badgeOf(postPolice, paris).className, "pending");
+
+            postPolice.handleStreamEvent({
+                event: "verdict",
+                index: 0,
+                result: { claim: PARIS_CLAIM, verdict: "FALSE", reasoning: "It was 42.6 °C in 2019.", citations: [], sources: [] }
+            }, entries);
+
+            const badge = badgeOf(postPolice, paris);
+            assert.equal(badge.className, "false");
+            assert.match(badge.textContent, /False claim/);
+            assert.equal(badgeOf(postPolice, artemis).className, "pending");
+
+            const [highlighted] = postPolice.highlightedClaims();
+            assert.ok(paris.contains(highlighted.range.startContainer));
+
+            badge.click();
+            assert.equal(document.querySelector("postpolice-verdict-card").style.display, "block");
+            assert.equal(window.location.pathname, "/home");
+        });
+
+        it("puts the badge and highlight back when the feed re-renders a checked post", () => {
+            const { postPolice, document } = loadContentScript(FEED, { url: "https://x.com/home" });
+            const entries = streamClaims(postPolice);
+            postPolice.handleStreamEvent({
+                event: "verdict",
+                index: 0,
+                result: { claim: PARIS_CLAIM, verdict: "VERIFIED", reasoning: "Météo-France", citations: [], sources: [] }
+            }, entries);
+
+            const paris = document.querySelectorAll("article")[1];
+            const rendered = paris.cloneNode(true);
+            paris.replaceWith(rendered);
+            postPolice.refreshPostResults();
+
+            assert.equal(badgeOf(postPolice, rendered).className, "verified");
+            assert.equal(rendered.querySelectorAll("postpolice-post-badge").length, 1);
+            const [highlighted] = postPolice.highlightedClaims();
+            assert.ok(rendered.contains(highlighted.range.startContainer));
+            assert.equal(postPolice.highlightedClaims().length, 1);
+        });
+
+        it("clears every pending claim when the whole scan fails, and checks them again next scan", () => {
+            const { postPolice, document } = loadContentScript(FEED, { url: "https://x.com/home" });
+            const [artemis, paris] = document.querySelectorAll("article");
+            const entries = streamClaims(postPolice);
+            assert.equal(badgeOf(postPolice, paris).className, "pending");
+
+            postPolice.handleStreamEvent({ event: "error", error: "HTTP 401" }, entries);
+
+            assert.deepEqual(Array.from(postPolice.claimLinks, ({ pending, error }) => ({ pending, error })), [
+                { pending: false, error: "HTTP 401" },
+                { pending: false, error: "HTTP 401" }
+            ]);
+            assert.equal(badgeOf(postPolice, paris), null);
+            assert.equal(badgeOf(postPolice, artemis), null);
+            assert.equal(document.defaultView.CSS.highlights.get(postPolice.VERDICT_HIGHLIGHT_NAMES.PENDING)?.size ?? 0, 0);
+
+            // The next scan of those posts gets the same claims back to check
+            const retry = streamClaims(postPolice);
+            assert.deepEqual(retry.map(entry => entry.claimLinkObj), Array.from(postPolice.claimLinks));
+            assert.equal(postPolice.claimLinks.length, 2);
+            assert.equal(badgeOf(postPolice, paris).className, "pending");
+        });
+
+        it("re-checks a claim into its own post's record when two posts make it", async () => {
+            const { postPolice, window } = loadContentScript(FEED, { url: "https://x.com/home" });
+            const entries = [];
+            postPolice.handleStreamEvent({
+                event: "claims",
+                summary: `- ${PARIS_CLAIM}`,
+                claims: [PARIS_CLAIM, PARIS_CLAIM],
+                postIds: ["222", "111"]
+            }, entries);
+
+            const sources = [{ title: "Météo-France", url: "https://meteofrance.com/record", snippet: "42.6 °C" }];
+            window.chrome.runtime.sendMessage = async (message) => (message.type === "SEARCH_CLAIM"
+                ? { claim: message.claim, sources, searchedAt: 1 }
+                : { verdict: "FALSE", reasoning: "It was 42.6 °C in 2019.", citations: [] });
+
+            const rechecked = await postPolice.reverifyClaim(1);
+            assert.equal(rechecked, postPolice.claimLinks[1]);
+            assert.equal(rechecked.verdict, "FALSE");
+            assert.deepEqual(entries[1].verificationObj.sources, sources);
+            assert.equal(entries[0].verificationObj.sources, undefined);
+        });
+    });
+
+    describe("incremental rescans", () => {
+        const TOWER_CLAIM = "It was 324 metres tall before";
+        const FAIR_CLAIM = "The tower was built for the 1889 fair";
+
+        it("keeps earlier verdicts and only adds the claims a rescan newly finds", () => {
+            const { postPolice } = loadContentScript(ARTICLE);
+            const first = [];
+            postPolice.handleStreamEvent({ event: "claims", summary: `- ${TOWER_CLAIM}`, claims: [TOWER_CLAIM] }, first);
+            postPolice.handleStreamEvent({
+                event: "verdict",
+                index: 0,
+                result: { claim: TOWER_CLAIM, verdict: "VERIFIED", reasoning: "Before the antenna.", citations: [], sources: [] }
+            }, first);
+
+            const second = [];
+            postPolice.handleStreamEvent({
+                event: "claims",
+                summary: `- ${TOWER_CLAIM}\n- ${FAIR_CLAIM}`,
+                claims: [TOWER_CLAIM, FAIR_CLAIM]
+            }, second);
+            assert.equal(second[0], null);
+
+            // A result for the known claim leaves its first verdict alone
+            postPolice.handleStreamEvent({
+                event: "verdict",
+                index: 0,
+                result: { claim: TOWER_CLAIM, verdict: "FALSE", reasoning: "Rechecked.", citations: [], sources: [] }
+            }, second);
+            postPolice.handleStreamEvent({ event: "error", index: 0, error: "timeout" }, second);
+
+            assert.deepEqual(Array.from(postPolice.claimLinks, ({ claim, verdict, pending, error }) => ({ claim, verdict, pending, error })), [
+                { claim: TOWER_CLAIM, verdict: "VERIFIED", pending: false, error: undefined },
+                { claim: FAIR_CLAIM, verdict: undefined, pending: true, error: undefined }
+            ]);
+        });
+
+        it("starts the record over on a full rescan", () => {
+            const { postPolice } = loadContentScript(ARTICLE);
+            postPolice.handleStreamEvent({ event: "claims", summary: `- ${TOWER_CLAIM}`, claims: [TOWER_CLAIM] }, []);
+
+            postPolice.resetClaimRegistry();
+            assert.equal(postPolice.claimLinks.length, 0);
+
+            const entries = [];
+            postPolice.handleStreamEvent({ event: "claims", summary: `- ${TOWER_CLAIM}`, claims: [TOWER_CLAIM] }, entries);
+            assert.equal(postPolice.claimLinks.length, 1);
+            assert.equal(entries[0].claimLinkObj, postPolice.claimLinks[0]);
+        });
+    });
+});
@@ -0,0 +1,228 @@
+// ------------------------------------
+// Tests for the verdict evaluation (eval/): scoring, the report, and
+// reproducible runs against the fake LLM with recorded responses.
+// ------------------------------------
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startFakeLlm } = require("./support/fakeLlm");
+const { ERROR_LABEL, scoreRun, formatReport } = require("../eval/metrics");
+const { EXIT_CODES, loadDataset, buildEvidence, runConfig, main } = require("../eval/verdicts");
+
+const DATASET = [
+    {
+        id: "eiffel",
+        claim: "The Eiffel Tower is 330 metres tall",
+        expected: "VERIFIED",
+        evidence: [{
+            title: "Eiffel Tower grows",
+            url: "https://apnews.example/eiffel",
+            tier: 1,
+            category: "wire",
+            passages: ["The Eiffel Tower now stands 330 metres tall."]
+        }]
+    },
+    {
+        id: "moon",
+        claim: "The Moon is made of cheese",
+        expected: "FALSE",
+        evidence: [{ title: "The Moon", url: "https://nasa.example/moon", passages: ["The Moon is made of rock."] }]
+    },
+    {
+        id: "mayor",
+        claim: "The mayor resigned on Monday",
+        expected: "UNCERTAIN",
+        evidence: "[1] City council agenda (Tier 3, local)\n\"The council meets on Tuesday.\""
+    }
+];
+
+function verdictReply(verdict) {
+    return JSON.stringify({ verdict, reasoning: `Judged ${verdict}.`, confidence: 0.9, citations: [] });
+}
+
+// Answers from the claim in the prompt, so results don't depend on request order
+function replyFor(request) {
+    const user = request.messages.find(m => m.role === "user").content;
+    if (user.includes("Eiffel")) return verdictReply("VERIFIED");
+    if (user.includes("cheese")) return verdictReply("VERIFIED");
+    return "not json";
+}
+
+describe("scoreRun", () => {
+    it("computes accuracy, per-verdict precision/recall and the confusion matrix", () => {
+        const metrics = scoreRun([
+            { expected: "VERIFIED", predicted: "VERIFIED" },
+            { expected: "VERIFIED", predicted: "UNCERTAIN" },
+            { expected: "FALSE", predicted: "FALSE" },
+            { expected: "FALSE", predicted: "VERIFIED" },
+            { expected: "UNCERTAIN", predicted: "UNCERTAIN", parsed: false },
+            { expected: "UNCERTAIN", predicted: ERROR_LABEL }
+        ]);
+
+        assert.equal(metrics.total, 6);
+        assert.equal(metrics.correct, 3);
+        assert.equal(metrics.accuracy, 0.5);
+        assert.deepEqual(metrics.perClass.VERIFIED, { precision: 0.5, recall: 0.5, f1: 0.5, support: 2 });
+        assert.deepEqual(metrics.perClass.FALSE, { precision: 1, recall: 0.5, f1: 2 / 3, support: 2 });
+        assert.deepEqual(metrics.perClass.UNCERTAIN, { precision: 0.5, recall: 0.5, f1: 0.5, support: 2 });
+        assert.equal(metrics.confusion.FALSE.VERIFIED, 1);
+        assert.equal(metrics.confusion.UNCERTAIN[ERROR_LABEL], 1);
+        assert.equal(metrics.parseFailures, 1);
+        assert.equal(metrics.errors, 1);
+    });
+
+    it("leaves precision empty for a verdict that was never predicted", () => {
+        const metrics = scoreRun([{ expected: "FALSE", predicted: "UNCERTAIN" }]);
+
+        assert.equal(metrics.perClass.FALSE.precision, null);
+        assert.equal(metrics.perClass.FALSE.recall, 0);
+        assert.equal(metrics.macroF1, 0);
+    });
+});
+
+describe("formatReport", () => {
+    it("puts runs side by side and lists the claims they disagree on", () => {
+        const run = (name, predicted) => {
+            const predictions = DATASET.map((entry, i) => ({ id: entry.id, claim: entry.claim, expected: entry.expected, predicted: predicted[i] }));
+            return { name, llm: { provider: "local", model: name }, metrics: scoreRun(predictions), predictions };
+        };
+        const report = formatReport([
+            run("small", ["VERIFIED", "VERIFIED", "UNCERTAIN"]),
+            run("large", ["VERIFIED", "FALSE", "UNCERTAIN"])
+        ], "Test report");
+
+        assert.match(report, /^# Test report/);
+        assert.match(report, /\| Accuracy \| 66\.7% \(2\/3\) \| 100\.0% \(3\/3\) \|/);
+        assert.match(report, /\| FALSE precision \/ recall \| — \/ 0\.0% \| 100\.0% \/ 100\.0% \|/);
+        assert.match(report, /## Confusion matrix: small/);
+        assert.match(report, /\| FALSE \| 1 \| 0 \| 0 \| 0 \|/);
+        assert.match(report, /\| moon \| The Moon is made of cheese \| FALSE \| VERIFIED \| FALSE \|/);
+        assert.doesNotMatch(report, /\| eiffel \|/);
+    });
+});
+
+describe("dataset", () => {
+    it("ships a labeled dataset that loads", () => {
+        const dataset = loadDataset(path.join(__dirname, "..", "eval", "claims.jsonl"));
+
+        assert.ok(dataset.length > 0);
+        for (const entry of dataset) {
+            assert.ok(buildEvidence(entry).evidenceText.length > 0, entry.id);
+        }
+    });
+
+    it("reports the line of an invalid entry", () => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "postpolice-eval-")), "claims.jsonl");
+        fs.writeFileSync(file, `${JSON.stringify(DATASET[0])}\n${JSON.stringify({ ...DATASET[1], expected: "TRUE" })}\n`);
+
+        assert.throws(() => loadDataset(file), { message: /claims\.jsonl line 2: "expected" must be one of/, exitCode: EXIT_CODES.USAGE });
+    });
+});
+
+describe("runConfig", () => {
+    it("scores the verify step's verdicts and records failures as errors", async () => {
+        const complete = async (task, request) => {
+            assert.equal(task, "verify");
+            if (request.user.includes("mayor")) throw new Error("provider down");
+            return { text: verdictReply(request.user.includes("Eiffel") ? "VERIFIED" : "FALSE"), provider: "stub", model: "stub" };
+        };
+
+        const run = await runConfig(DATASET, { name: "stub", env: { VERIFY_LLM_PROVIDER: "local", VERIFY_LLM_MODEL: "stub-model" } }, { complete });
+
+        assert.deepEqual(run.llm, { provider: "local", model: "stub-model" });
+        assert.deepEqual(run.predictions.map(p => p.predicted), ["VERIFIED", "FALSE", ERROR_LABEL]);
+        assert.equal(run.predictions[2].error, "provider down");
+        assert.equal(run.metrics.correct, 2);
+        assert.equal(run.metrics.errors, 1);
+        assert.equal(process.env.VERIFY_LLM_MODEL, undefined);
+    });
+});
+
+describe("eval command", () => {
+    let llm;
+    let dir;
+    let datasetFile;
+    let restore;
+
+    before(async () => {
+        llm = await startFakeLlm();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "postpolice-eval-"));
+        datasetFile = path.join(dir, "claims.jsonl");
+        fs.writeFileSync(datasetFile, DATASET.map(entry => JSON.stringify(entry)).join("\n") + "\n");
+
+        const env = { VERIFY_LLM_PROVIDER: "local", VERIFY_LLM_MODEL: "fake-model", LOCAL_LLM_URL: llm.url };
+        const saved = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+        Object.assign(process.env, env);
+        restore = () => {
+            for (const [key, value] of Object.entries(saved)) {
+                if (value === undefined) delete process.env[key];
+                else process.env[key] = value;
+            }
+        };
+    });
+
+    after(async () => {
+        restore();
+        await llm.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // Runs main() with its report and progress captured
+    async function run(args) {
+        const output = [];
+        const { log } = console;
+        const write = process.stderr.write;
+        console.log = (...parts) => output.push(parts.join(" "));
+        process.stderr.write = () => true;
+        try {
+            const code = await main(["--dataset", datasetFile, "--recordings", path.join(dir, "recordings.json"), ...args]);
+            return { code, report: output.join("\n") };
+        } finally {
+            console.log = log;
+            process.stderr.write = write;
+        }
+    }
+
+    it("records LLM responses and replays them without the LLM", async () => {
+        for (let i = 0; i < DATASET.length; i++) llm.reply(replyFor);
+        const recorded = await run(["--llm", "record", "--out", path.join(dir, "recorded.json")]);
+
+        assert.equal(recorded.code, EXIT_CODES.OK);
+        assert.equal(llm.requests.length, DATASET.length);
+        assert.match(recorded.report, /\| Accuracy \| 66\.7% \(2\/3\) \|/);
+        assert.match(recorded.report, /\| Unparseable responses \| 1 \|/);
+
+        const saved = JSON.parse(fs.readFileSync(path.join(dir, "recorded.json"), "utf8"));
+        assert.equal(saved.llmMode, "record");
+        assert.equal(saved.dataset.claims, DATASET.length);
+        assert.deepEqual(saved.runs[0].predictions.map(p => p.predicted), ["VERIFIED", "VERIFIED", "UNCERTAIN"]);
+
+        const replayed = await run(["--llm", "replay", "--out", path.join(dir, "replayed.json"), "--baseline", path.join(dir, "recorded.json")]);
+
+        assert.equal(replayed.code, EXIT_CODES.OK);
+        assert.equal(llm.requests.length, DATASET.length);
+        assert.match(replayed.report, /\| Accuracy \| 66\.7% \(2\/3\) \| 66\.7% \(2\/3\) \|/);
+        assert.match(replayed.report, /\*\*current \(saved \d{4}-\d{2}-\d{2}\)\*\*/);
+    });
+
+    it("fails a replay whose prompt was never recorded", async () => {
+        const result = await run(["--llm", "replay", "--out", path.join(dir, "other.json")]);
+        assert.equal(result.code, EXIT_CODES.OK);
+
+        process.env.VERIFY_LLM_MODEL = "other-model";
+        try {
+            const missing = await run(["--llm", "replay", "--out", path.join(dir, "missing.json")]);
+            assert.equal(missing.code, EXIT_CODES.INCOMPLETE);
+            assert.match(missing.report, /\| Errors \| 3 \|/);
+        } finally {
+            process.env.VERIFY_LLM_MODEL = "fake-model";
+        }
+    });
+
+    it("rejects an unknown configuration", async () => {
+        await assert.rejects(run(["--config", "nope"]), { message: /unknown config "nope"/, exitCode: EXIT_CODES.USAGE });
+    });
+});
@@ -0,0 +1,275 @@
+// ------------------------------------
+// Tests for the batch fact-checking CLI (../factChecker.js): input parsing,
+// output formats, and whole runs against the offline test server, covering
+// resume, concurrency and exit codes.
+// ------------------------------------
+
+const { describe, it, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startTestServer } = require("./support/testServer");
+
+const DOMAINS = "apnews.com,reuters.com,nasa.gov";
+const APNEWS_URL = "https://apnews.com/article/eiffel-tower-antenna-height";
+const REUTERS_URL = "https://www.reuters.com/world/europe/eiffel-tower-height-2022-03-15/";
+const NASA_URL = "https://www.nasa.gov/mission/apollo-11/";
+const DELETED_URL = "https://apnews.com/article/deleted-story";
+
+const EIFFEL_CLAIM = "The Eiffel Tower is 330 metres tall";
+const APOLLO_CLAIM = "Apollo 11 landed on the Moon in July 1969";
+const OBSCURE_CLAIM = "An obscure claim nobody has written about";
+const EIFFEL_QUOTE = "The Eiffel Tower now stands 330 metres tall after a digital radio antenna was fixed to its summit on Tuesday";
+
+const NETWORK = {
+    searches: [
+        { keywords: ["eiffel tower"], fixture: "eiffel-tower.html" },
+        { keywords: ["apollo 11"], fixture: "apollo-11.html" }
+    ],
+    pages: {
+        [APNEWS_URL]: "apnews-eiffel-tower.html",
+        [REUTERS_URL]: "reuters-eiffel-tower.html",
+        [NASA_URL]: "nasa-apollo-11.html",
+        [DELETED_URL]: { status: 404 }
+    }
+};
+
+const SAMPLE_ROW = {
+    id: "1",
+    claim: 'The "Eiffel" tower, 330 | metres',
+    verdict: "VERIFIED",
+    confidence: 0.82,
+    reasoning: "AP reports the new height.",
+    sources: [APNEWS_URL],
+    citations: [],
+    cached: false,
+    error: null
+};
+
+function verdictJson(verdict, quote, stance = "SUPPORTS") {
+    return JSON.stringify({
+        verdict,
+        reasoning: "The source reports it.",
+        confidence: 0.9,
+        citations: quote ? [{ source: 1, quote, stance }] : [],
+        timeSensitivity: "HISTORICAL"
+    });
+}
+
+describe("factChecker.js", () => {
+    let server;
+    let factChecker;
+    let dir;
+
+    before(async () => {
+        server = await startTestServer(NETWORK);
+        // The CLI reads its token when it is loaded
+        process.env.POSTPOLICE_TOKEN = server.token;
+        factChecker = require("../../factChecker");
+    });
+
+    after(async () => {
+        delete process.env.POSTPOLICE_TOKEN;
+        await server.close();
+    });
+
+    beforeEach(async () => {
+        await server.reset();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "postpolice-cli-"));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function writeClaims(claims) {
+        const input = path.join(dir, "claims.jsonl");
+        fs.writeFileSync(input, claims.map((claim, i) => JSON.stringify({ id: `c${i + 1}`, claim })).join("\n"));
+        return input;
+    }
+
+    function readRows(output) {
+        return fs.readFileSync(output, "utf8").trim().split("\n").map(line => JSON.parse(line));
+    }
+
+    function runCli(...args) {
+        return factChecker.run([...args, "--server", server.baseUrl, "--domains", DOMAINS]);
+    }
+
+    /**
+     * Records the /verify-batch requests the CLI sends, and how many were in flight at once.
+     */
+    function watchBatches() {
+        const { fetch } = globalThis;
+        const watch = { claims: [], inFlight: 0, maxInFlight: 0 };
+        globalThis.fetch = async (url, options) => {
+            if (!String(url).endsWith("/verify-batch")) return fetch(url, options);
+            watch.claims.push(JSON.parse(options.body).claims);
+            watch.maxInFlight = Math.max(watch.maxInFlight, ++watch.inFlight);
+            try {
+                return await fetch(url, options);
+            } finally {
+                watch.inFlight--;
+            }
+        };
+        watch.restore = () => {
+            globalThis.fetch = fetch;
+        };
+        return watch;
+    }
+
+    describe("input", () => {
+        it("parses JSONL and CSV claims", () => {
+            const jsonl = factChecker.parseClaims('{"id": "a", "claim": "First claim"}\n\n"Second claim"\n', "jsonl");
+            assert.deepEqual(jsonl, [{ id: "a", claim: "First claim" }, { id: "3", claim: "Second claim" }]);
+
+            const csv = factChecker.parseClaims('id,claim\nx,"Quoted, with ""comma"""\ny,Plain claim\n', "csv");
+            assert.deepEqual(csv, [{ id: "x", claim: 'Quoted, with "comma"' }, { id: "y", claim: "Plain claim" }]);
+
+            assert.throws(() => factChecker.parseClaims("notes\nsomething\n", "csv"), /"claim" column/);
+            assert.throws(() => factChecker.parseClaims("{not json", "jsonl"), /Line 1 is not valid JSON/);
+        });
+
+        it("extracts a page's article text without scripts and navigation", () => {
+            const text = factChecker.extractPageText(`<html><head><script>var x = "Eiffel";</script></head><body>
+                <nav><p>Home | World | Politics | Business | Sport | Culture</p></nav>
+                <article><p>The <b>Eiffel Tower</b> grew to 330 metres, officials said on Tuesday &amp; confirmed later.</p></article>
+            </body></html>`);
+            assert.equal(text, "The Eiffel Tower grew to 330 metres, officials said on Tuesday & confirmed later.");
+        });
+    });
+
+    describe("output", () => {
+        it("formats results as JSONL, CSV and Markdown", () => {
+            assert.equal(JSON.parse(factChecker.formatResults([SAMPLE_ROW], "jsonl")).verdict, "VERIFIED");
+
+            const [header, row] = factChecker.formatResults([SAMPLE_ROW], "csv").split("\n");
+            assert.match(header, /^id,claim,verdict/);
+            assert.match(row, /"The ""Eiffel"" tower, 330 \| metres"/);
+
+            const md = factChecker.formatResults([SAMPLE_ROW], "md");
+            assert.match(md, /330 \\\| metres/);
+            assert.match(md, /\*\*VERIFIED\*\*/);
+            assert.match(md, /82%/);
+        });
+    });
+
+    describe("verifyFact", () => {
+        it("verifies a statement against the given links", async () => {
+            server.llm.reply(verdictJson("VERIFIED", EIFFEL_QUOTE));
+
+            const result = await factChecker.verifyFact(EIFFEL_CLAIM, [APNEWS_URL], server.baseUrl, ["apnews.com"]);
+            assert.equal(result.verdict, "VERIFIED");
+            assert.equal(result.citations[0].url, APNEWS_URL);
+            assert.deepEqual(server.network.requests, [APNEWS_URL]);
+        });
+
+        it("requires a statement and links", async () => {
+            await assert.rejects(factChecker.verifyFact("", [APNEWS_URL], server.baseUrl), /required/);
+            await assert.rejects(factChecker.verifyFact("Some fact", [], server.baseUrl), /required/);
+        });
+    });
+
+    describe("batch runs", () => {
+        it("checks every claim in input order and exits 0", async () => {
+            server.llm.reply(verdictJson("VERIFIED", EIFFEL_QUOTE));
+            const output = path.join(dir, "results.jsonl");
+
+            const code = await runCli("--input", writeClaims([EIFFEL_CLAIM, OBSCURE_CLAIM]), "--output", output);
+            assert.equal(code, factChecker.EXIT_CODES.OK);
+            assert.deepEqual(readRows(output).map(row => [row.id, row.verdict]), [["c1", "VERIFIED"], ["c2", "NO SOURCES"]]);
+            assert.equal(fs.existsSync(`${output}.progress.jsonl`), false);
+        });
+
+        it("exits 1 when a claim has a --fail-on verdict", async () => {
+            server.llm.reply(verdictJson("FALSE", EIFFEL_QUOTE, "REFUTES"));
+            const input = writeClaims([EIFFEL_CLAIM]);
+
+            assert.equal(await runCli("--input", input, "--output", path.join(dir, "a.md")), factChecker.EXIT_CODES.FLAGGED);
+            // Only the verdicts listed fail the run
+            assert.equal(await runCli("--input", input, "--output", path.join(dir, "b.md"), "--fail-on", "UNCERTAIN"),
+                factChecker.EXIT_CODES.OK);
+        });
+
+        it("exits 2 for bad arguments and unreadable input", async () => {
+            const input = writeClaims([EIFFEL_CLAIM]);
+            fs.writeFileSync(path.join(dir, "broken.jsonl"), "{not json");
+
+            for (const args of [
+                ["--input", input],
+                ["--input", input, "--output", path.join(dir, "out.txt")],
+                ["--input", path.join(dir, "broken.jsonl"), "--output", path.join(dir, "out.jsonl")],
+                ["--input", path.join(dir, "missing.jsonl"), "--output", path.join(dir, "out.jsonl")],
+                ["--input", input, "--output", path.join(dir, "out.jsonl"), "--concurrency", "0"]
+            ]) {
+                assert.equal(await runCli(...args), factChecker.EXIT_CODES.USAGE, args.join(" "));
+            }
+            assert.equal(server.llm.requests.length, 0);
+        });
+
+        it("exits 3 when the page or the server fails in --url mode", async () => {
+            const output = path.join(dir, "results.jsonl");
+            assert.equal(await runCli("--url", DELETED_URL, "--output", output), factChecker.EXIT_CODES.INCOMPLETE);
+
+            server.llm.replyError(500, "provider down");
+            assert.equal(await runCli("--url", APNEWS_URL, "--output", output), factChecker.EXIT_CODES.INCOMPLETE);
+        });
+
+        it("extracts the claims of a page with --url", async () => {
+            server.llm.reply(`- ${EIFFEL_CLAIM}\n- ${OBSCURE_CLAIM}`);
+            server.llm.reply(verdictJson("VERIFIED", EIFFEL_QUOTE));
+            const output = path.join(dir, "results.jsonl");
+
+            assert.equal(await runCli("--url", APNEWS_URL, "--output", output), factChecker.EXIT_CODES.OK);
+            assert.deepEqual(readRows(output).map(row => [row.id, row.claim]), [["1", EIFFEL_CLAIM], ["2", OBSCURE_CLAIM]]);
+        });
+
+        it("exits 3 when claims fail, and resumes with only those on the next run", async () => {
+            const input = writeClaims([EIFFEL_CLAIM, APOLLO_CLAIM]);
+            const output = path.join(dir, "results.jsonl");
+            const args = ["--input", input, "--output", output, "--batch-size", "1", "--concurrency", "1"];
+
+            server.llm.reply(verdictJson("VERIFIED", EIFFEL_QUOTE));
+            server.llm.replyError(500, "provider down");
+            assert.equal(await runCli(...args), factChecker.EXIT_CODES.INCOMPLETE);
+            assert.deepEqual(readRows(output).map(row => [row.verdict, Boolean(row.error)]), [["VERIFIED", false], [null, true]]);
+            assert.ok(fs.existsSync(`${output}.progress.jsonl`));
+
+            const watch = watchBatches();
+            try {
+                server.llm.reply(verdictJson("UNCERTAIN"));
+                assert.equal(await runCli(...args), factChecker.EXIT_CODES.OK);
+            } finally {
+                watch.restore();
+            }
+            assert.deepEqual(watch.claims, [[APOLLO_CLAIM]]);
+            assert.deepEqual(readRows(output).map(row => row.verdict), ["VERIFIED", "UNCERTAIN"]);
+            assert.equal(fs.existsSync(`${output}.progress.jsonl`), false);
+
+            // --fresh checks everything again
+            const fresh = watchBatches();
+            try {
+                await runCli(...args, "--fresh");
+            } finally {
+                fresh.restore();
+            }
+            assert.equal(fresh.claims.length, 2);
+        });
+
+        it("keeps at most --concurrency batches in flight", async () => {
+            const claims = [EIFFEL_CLAIM, APOLLO_CLAIM, OBSCURE_CLAIM, "Another obscure claim about nothing"];
+            const output = path.join(dir, "results.jsonl");
+
+            const watch = watchBatches();
+            try {
+                await runCli("--input", writeClaims(claims), "--output", output, "--batch-size", "1", "--concurrency", "2");
+            } finally {
+                watch.restore();
+            }
+            assert.equal(watch.claims.length, 4);
+            assert.equal(watch.maxInFlight, 2);
+            assert.deepEqual(readRows(output).map(row => row.claim), claims);
+        });
+    });
+});
@@ -0,0 +1,191 @@
+// ------------------------------------
+// Tests for the LLM call scheduler (llmScheduler.js): budgets, priorities,
+// retries. Windows and waits are shortened to milliseconds.
+// ------------------------------------
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { LlmScheduler, estimateTokens, parseRetryAfter } = require("../llmScheduler");
+
+const WINDOW_MS = 120;
+
+function scheduler({ rpm = 0, tpm = 0, maxRetries = 3, baseMs = 20, maxWaitMs = 1000 } = {}) {
+    return new LlmScheduler({
+        limits: () => ({ rpm, tpm }),
+        retry: () => ({ maxRetries, baseMs, maxBackoffMs: 1000, maxWaitMs }),
+        windowMs: WINDOW_MS,
+        random: () => 0.5
+    });
+}
+
+function providerError(status, retryAfterMs) {
+    const error = new Error(`HTTP ${status}`);
+    error.status = status;
+    if (retryAfterMs !== undefined) error.retryAfterMs = retryAfterMs;
+    return error;
+}
+
+/**
+ * A call that records when it started and fails with the given errors first.
+ */
+function recordingCall(log, name, errors = []) {
+    return async () => {
+        log.push({ name, at: Date.now() });
+        if (errors.length > 0) throw errors.shift();
+        return name;
+    };
+}
+
+describe("LlmScheduler", () => {
+    // Retries are logged; see support/testServer.js for why tests keep stdout quiet
+    const consoleLog = console.log;
+    before(() => {
+        if (!process.env.POSTPOLICE_TEST_LOGS) console.log = () => {};
+    });
+    after(() => {
+        console.log = consoleLog;
+    });
+
+    it("holds calls beyond the requests-per-minute budget until the window moves on", async () => {
+        const llm = scheduler({ rpm: 2 });
+        const log = [];
+        const started = Date.now();
+
+        const results = await Promise.all(["a", "b", "c"].map(name =>
+            llm.run("groq", { tokens: 10 }, recordingCall(log, name))));
+
+        assert.deepEqual(results, ["a", "b", "c"]);
+        assert.ok(log[1].at - started < WINDOW_MS / 2);
+        assert.ok(log[2].at - started >= WINDOW_MS - 5, `third call started after ${log[2].at - started}ms`);
+        assert.equal(llm.stats().throttled.rpm, 1);
+        assert.equal(llm.stats().recentEvents[0].reason, "requests-per-minute budget");
+    });
+
+    it("holds calls beyond the tokens-per-minute budget", async () => {
+        const llm = scheduler({ tpm: 100 });
+        const log = [];
+        const started = Date.now();
+
+        await Promise.all([
+            llm.run("groq", { tokens: 60 }, recordingCall(log, "a")),
+            llm.run("groq", { tokens: 60 }, recordingCall(log, "b"))
+        ]);
+
+        assert.ok(log[1].at - started >= WINDOW_MS - 5);
+        assert.equal(llm.stats().throttled.tpm, 1);
+    });
+
+    it("keeps budgets per provider", async () => {
+        const llm = scheduler({ rpm: 1 });
+        const log = [];
+        const started = Date.now();
+
+        await Promise.all([
+            llm.run("groq", { tokens: 1 }, recordingCall(log, "groq")),
+            llm.run("gemini", { tokens: 1 }, recordingCall(log, "gemini"))
+        ]);
+
+        assert.ok(log.every(call => call.at - started < WINDOW_MS / 2));
+    });
+
+    it("serves waiting calls by priority, then in arrival order", async () => {
+        const llm = scheduler({ rpm: 1 });
+        const log = [];
+
+        const first = llm.run("groq", { tokens: 1 }, recordingCall(log, "first"));
+        const waiting = [
+            llm.run("groq", { tokens: 1, priority: "background" }, recordingCall(log, "background")),
+            llm.run("groq", { tokens: 1, priority: "normal" }, recordingCall(log, "normal 1")),
+            llm.run("groq", { tokens: 1, priority: "interactive" }, recordingCall(log, "interactive")),
+            llm.run("groq", { tokens: 1 }, recordingCall(log, "normal 2"))
+        ];
+        assert.deepEqual(llm.stats().queuedByPriority, { interactive: 1, normal: 2, background: 1 });
+        assert.equal(llm.stats().queuedByProvider.groq, 4);
+
+        await Promise.all([first, ...waiting]);
+        assert.deepEqual(log.map(call => call.name), ["first", "interactive", "normal 1", "normal 2", "background"]);
+        assert.equal(llm.stats().queued, 0);
+    });
+
+    it("takes an aborted call out of the queue", async () => {
+        const llm = scheduler({ rpm: 1 });
+        const log = [];
+        const controller = new AbortController();
+
+        const first = llm.run("groq", { tokens: 1 }, recordingCall(log, "first"));
+        const aborted = llm.run("groq", { tokens: 1, signal: controller.signal }, recordingCall(log, "aborted"));
+        controller.abort(new Error("tab closed"));
+
+        await assert.rejects(aborted, { message: "tab closed" });
+        await first;
+        assert.equal(llm.stats().queued, 0);
+        assert.deepEqual(log.map(call => call.name), ["first"]);
+    });
+
+    it("honours Retry-After on a 429 and pauses the provider's other calls", async () => {
+        const llm = scheduler();
+        const log = [];
+        const started = Date.now();
+
+        const limited = llm.run("groq", { tokens: 1 }, recordingCall(log, "limited", [providerError(429, 80)]));
+        await new Promise(resolve => setTimeout(resolve, 10));
+        const other = llm.run("groq", { tokens: 1 }, recordingCall(log, "other"));
+
+        assert.deepEqual(await Promise.all([limited, other]), ["limited", "other"]);
+        const [, ...afterPause] = log;
+        assert.ok(afterPause.every(call => call.at - started >= 75), JSON.stringify(log.map(c => c.at - started)));
+
+        const stats = llm.stats();
+        assert.equal(stats.rateLimited, 1);
+        assert.equal(stats.retries, 1);
+        assert.equal(stats.throttled.pause, 1);
+        assert.deepEqual(stats.recentEvents.map(e => e.reason), ["paused after a 429", "429 (Retry-After)"]);
+    });
+
+    it("backs off exponentially with jitter on server errors", async () => {
+        const llm = scheduler({ baseMs: 40 });
+        const log = [];
+
+        const result = await llm.run("groq", { tokens: 1 }, recordingCall(log, "flaky", [providerError(503), providerError(502)]));
+
+        assert.equal(result, "flaky");
+        // random() is 0.5: half of 40ms, then half of 80ms
+        assert.ok(log[1].at - log[0].at >= 15);
+        assert.ok(log[2].at - log[1].at >= 35);
+        assert.deepEqual(llm.stats().recentEvents.map(e => [e.reason, e.waitMs]), [["502", 40], ["503", 20]]);
+        assert.equal(llm.stats().serverErrors, 2);
+    });
+
+    it("gives up after the last retry, on other errors, and on a Retry-After that is too long", async () => {
+        const llm = scheduler({ maxRetries: 1, baseMs: 1, maxWaitMs: 500 });
+
+        await assert.rejects(llm.run("groq", { tokens: 1 }, recordingCall([], "down", [providerError(500), providerError(500)])), { status: 500 });
+        assert.equal(llm.stats().retries, 1);
+        assert.equal(llm.stats().failures, 1);
+
+        const log = [];
+        await assert.rejects(llm.run("groq", { tokens: 1 }, recordingCall(log, "bad", [providerError(401)])), { status: 401 });
+        assert.equal(log.length, 1);
+
+        await assert.rejects(llm.run("groq", { tokens: 1 }, recordingCall([], "slow", [providerError(429, 5000)])), { status: 429 });
+        assert.equal(llm.stats().failures, 2);
+        assert.match(llm.stats().recentEvents[0].reason, /Retry-After 5s too long/);
+    });
+});
+
+describe("parseRetryAfter", () => {
+    it("reads seconds and HTTP dates", () => {
+        assert.equal(parseRetryAfter("2"), 2000);
+        assert.equal(parseRetryAfter("0.5"), 500);
+        const ms = parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+        assert.ok(ms > 8000 && ms <= 10000, `${ms}`);
+        assert.equal(parseRetryAfter(null), undefined);
+        assert.equal(parseRetryAfter("soon"), undefined);
+    });
+});
+
+describe("estimateTokens", () => {
+    it("counts the prompt at about 4 characters a token, plus the tokens it may generate", () => {
+        assert.equal(estimateTokens({ system: "a".repeat(40), user: "b".repeat(39), maxTokens: 100 }), 120);
+    });
+});
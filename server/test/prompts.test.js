@@ -0,0 +1,65 @@
+// ------------------------------------
+// Tests for the prompt registry (prompts.js)
+// ------------------------------------
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { PROMPTS, getPrompt, buildRequest, promptIdentity, sameIdentity } = require("../prompts");
+
+// Hash of each prompt at its current version. When a prompt changes, bump its
+// version in prompts.js (so cached results from the old wording are retired)
+// and update the entry here.
+const FINGERPRINTS = {
+    summarize: { version: 1, sha256: "16a16288be9ff355" },
+    "extract-claims": { version: 1, sha256: "24b2e76fbfcec58c" },
+    verify: { version: 1, sha256: "4b8bf05706146847" }
+};
+
+function fingerprint(id) {
+    const request = buildRequest(id, { text: "{text}", claim: "{claim}", evidenceText: "{evidenceText}" });
+    return crypto.createHash("sha256").update(JSON.stringify(request)).digest("hex").substring(0, 16);
+}
+
+describe("prompt registry", () => {
+    const savedEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...savedEnv };
+    });
+
+    it("has a version bump for every prompt change", () => {
+        assert.deepEqual(Object.keys(PROMPTS).sort(), Object.keys(FINGERPRINTS).sort());
+        for (const [id, expected] of Object.entries(FINGERPRINTS)) {
+            const actual = { version: PROMPTS[id].version, sha256: fingerprint(id) };
+            assert.deepEqual(actual, expected,
+                `the "${id}" prompt changed: bump its version in prompts.js, then update FINGERPRINTS`);
+        }
+    });
+
+    it("fills in the prompt and its sampling settings", () => {
+        const request = buildRequest("verify", { claim: "Water boils at 100 °C", evidenceText: "[1] ..." });
+
+        assert.equal(request.system, getPrompt("verify").system);
+        assert.match(request.user, /^CLAIM: "Water boils at 100 °C"\n\nEVIDENCE:\n\[1\] \.\.\./);
+        assert.equal(request.temperature, 0.1);
+        assert.equal(request.json, true);
+        assert.equal("json" in buildRequest("summarize", { text: "Page" }), false);
+    });
+
+    it("rejects unknown prompts with a 400", () => {
+        assert.throws(() => getPrompt("toString"), { status: 400, message: /Unknown prompt "toString"/ });
+    });
+
+    it("identifies results by prompt version and the task's current model", () => {
+        process.env.SUMMARIZE_LLM_PROVIDER = "local";
+        process.env.SUMMARIZE_LLM_MODEL = "small-model";
+        const identity = promptIdentity("extract-claims");
+
+        assert.deepEqual(identity, { prompt: "extract-claims", promptVersion: 1, provider: "local", model: "small-model" });
+        assert.ok(sameIdentity({ ...identity, createdAt: 1 }, identity));
+        assert.ok(!sameIdentity({ ...identity, promptVersion: 0 }, identity));
+        assert.ok(!sameIdentity({ ...identity, model: "large-model" }, identity));
+        assert.ok(!sameIdentity({ summary: "unversioned" }, identity));
+    });
+});
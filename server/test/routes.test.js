@@ -0,0 +1,677 @@
+// ------------------------------------
+// Route tests for the Express server (index.js), fully offline: see
+// support/testServer.js for the Valkey, embedding, LLM and network stand-ins.
+// ------------------------------------
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, FAKE_MODEL } = require("./support/testServer");
+const { getPrompt } = require("../prompts");
+
+const DOMAINS = ["apnews.com", "reuters.com", "nasa.gov"];
+const APNEWS_URL = "https://apnews.com/article/eiffel-tower-antenna-height";
+const REUTERS_URL = "https://www.reuters.com/world/europe/eiffel-tower-height-2022-03-15/";
+const NASA_URL = "https://www.nasa.gov/mission/apollo-11/";
+const DELETED_URL = "https://apnews.com/article/deleted-story";
+const MOVED_URL = "https://apnews.com/article/eiffel-tower";
+const METADATA_REDIRECT_URL = "https://apnews.com/go/metadata";
+const METADATA_URL = "http://169.254.169.254/latest/meta-data/";
+// On a trusted domain, but the host name resolves to an internal address
+const INTRANET_URL = "https://intranet.apnews.com/wiki/eiffel-tower";
+const INTRANET_REDIRECT_URL = "https://apnews.com/go/intranet";
+
+const EIFFEL_CLAIM = "The Eiffel Tower is 330 metres tall";
+const APOLLO_CLAIM = "Apollo 11 landed on the Moon in July 1969";
+const EIFFEL_QUOTE = "The Eiffel Tower now stands 330 metres tall after a digital radio antenna was fixed to its summit on Tuesday";
+const APOLLO_QUOTE = "The lunar module Eagle landed in the Sea of Tranquility on July 20, 1969.";
+
+const NETWORK = {
+    searches: [
+        { keywords: ["eiffel tower"], fixture: "eiffel-tower.html" },
+        { keywords: ["apollo 11"], fixture: "apollo-11.html" }
+    ],
+    pages: {
+        [APNEWS_URL]: "apnews-eiffel-tower.html",
+        [REUTERS_URL]: "reuters-eiffel-tower.html",
+        [NASA_URL]: "nasa-apollo-11.html",
+        [DELETED_URL]: { status: 404 },
+        [MOVED_URL]: { status: 301, location: "/article/eiffel-tower-antenna-height" },
+        [METADATA_REDIRECT_URL]: { status: 302, location: METADATA_URL },
+        [INTRANET_URL]: "apnews-eiffel-tower.html",
+        [INTRANET_REDIRECT_URL]: { status: 302, location: INTRANET_URL }
+    },
+    hosts: {
+        "intranet.apnews.com": "10.0.0.5"
+    }
+};
+
+/**
+ * Model output for a verdict that cites source 1.
+ */
+function verdictJson(verdict, quote, stance = "SUPPORTS") {
+    return JSON.stringify({
+        verdict,
+        reasoning: "The source reports it.",
+        confidence: 0.9,
+        citations: quote ? [{ source: 1, quote, stance }] : [],
+        timeSensitivity: "HISTORICAL"
+    });
+}
+
+/**
+ * Answers whichever claim the verification prompt is about.
+ */
+function verdictForPrompt(request) {
+    const prompt = request.messages[1].content;
+    if (prompt.includes("Eiffel")) return verdictJson("VERIFIED", EIFFEL_QUOTE);
+    if (prompt.includes("Apollo")) return verdictJson("VERIFIED", APOLLO_QUOTE);
+    return verdictJson("UNCERTAIN");
+}
+
+/**
+ * Reads a Server-Sent Events body into [{ event, data }].
+ */
+function parseEventStream(text) {
+    return text.split("\n\n").filter(Boolean).map((block) => {
+        const event = block.match(/^event: (.*)$/m)[1];
+        const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+        return { event, data };
+    });
+}
+
+describe("server routes", () => {
+    let server;
+
+    before(async () => {
+        server = await startTestServer(NETWORK);
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    beforeEach(async () => {
+        await server.reset();
+    });
+
+    async function metrics() {
+        return (await server.get("/metrics", server.adminHeaders)).json();
+    }
+
+    async function verifyEiffel(claim = EIFFEL_CLAIM) {
+        const res = await server.post("/verify-fact", {
+            claim,
+            sources: [{ url: APNEWS_URL, title: "AP News", tier: 1, category: "wire" }, { url: REUTERS_URL }],
+            domains: DOMAINS
+        });
+        assert.equal(res.status, 200);
+        return res.json();
+    }
+
+    describe("GET /health", () => {
+        it("reports Valkey and the LLM configuration", async () => {
+            const res = await server.get("/health");
+            assert.deepEqual(await res.json(), {
+                status: "ok",
+                valkey: "connected",
+                llm: {
+                    summarize: { provider: "local", model: FAKE_MODEL },
+                    verify: { provider: "local", model: FAKE_MODEL }
+                }
+            });
+        });
+    });
+
+    describe("POST /extract-claims", () => {
+        const TEXT = "Page text about the Eiffel Tower.";
+
+        it("summarizes with the registry's prompt on a miss, caches with a TTL, then hits", async () => {
+            server.llm.reply("  - The tower is 330 metres tall  ");
+            const producedBy = { prompt: "summarize", promptVersion: getPrompt("summarize").version, provider: "local", model: FAKE_MODEL };
+
+            let res = await server.post("/extract-claims", { text: TEXT });
+            assert.deepEqual(await res.json(), { summary: "- The tower is 330 metres tall", cached: false, shared: false, producedBy });
+
+            const [request] = server.llm.requests;
+            assert.equal(request.model, FAKE_MODEL);
+            assert.equal(request.temperature, 0.3);
+            assert.equal(request.messages[0].content, getPrompt("summarize").system);
+            assert.match(request.messages[1].content, /\n\nText:\nPage text about the Eiffel Tower\.\n\n/);
+
+            const [key] = [...server.valkey.data.keys()].filter(k => k.startsWith("summary:"));
+            const ttlMs = server.valkey.data.get(key).expiresAt - Date.now();
+            assert.ok(ttlMs > 590 * 1000 && ttlMs <= 600 * 1000, `TTL was ${ttlMs}ms`);
+
+            res = await server.post("/extract-claims", { text: TEXT });
+            assert.deepEqual(await res.json(), { summary: "- The tower is 330 metres tall", cached: true, shared: false, producedBy });
+            assert.equal(server.llm.requests.length, 1);
+
+            const stats = await metrics();
+            assert.equal(stats.cacheHits, 1);
+            assert.equal(stats.cacheMisses, 1);
+        });
+
+        it("makes one LLM call for concurrent identical requests", async () => {
+            server.llm.reply("- The tower is 330 metres tall", { delayMs: 100 });
+
+            const bodies = await Promise.all([1, 2, 3].map(async () =>
+                (await server.post("/extract-claims", { text: TEXT })).json()));
+
+            assert.equal(server.llm.requests.length, 1);
+            assert.deepEqual(bodies.map(b => b.summary), Array(3).fill("- The tower is 330 metres tall"));
+            assert.deepEqual(bodies.map(b => b.shared).sort(), [false, true, true]);
+
+            const stats = await metrics();
+            assert.equal(stats.cacheMisses, 1);
+            assert.equal(stats.sharedSummaries, 2);
+        });
+
+        it("shares a failed call's error, then retries", async () => {
+            server.llm.replyError(503, "model is loading");
+
+            const statuses = await Promise.all([1, 2].map(async () =>
+                (await server.post("/extract-claims", { text: TEXT })).status));
+            assert.deepEqual(statuses, [503, 503]);
+            assert.equal(server.llm.requests.length, 1);
+
+            const res = await server.post("/extract-claims", { text: TEXT });
+            assert.equal(res.status, 200);
+            assert.equal(server.llm.requests.length, 2);
+        });
+
+        it("keys summaries by prompt and model", async () => {
+            server.llm.reply("- Summary");
+            await server.post("/extract-claims", { text: TEXT });
+
+            server.llm.reply("- Claim one");
+            let body = await (await server.post("/extract-claims", { text: TEXT, prompt: "extract-claims" })).json();
+            assert.equal(body.cached, false);
+            assert.equal(body.producedBy.prompt, "extract-claims");
+            assert.equal(server.llm.requests[1].messages[0].content, getPrompt("extract-claims").system);
+
+            process.env.SUMMARIZE_LLM_MODEL = "other-model";
+            try {
+                server.llm.reply("- Other summary");
+                body = await (await server.post("/extract-claims", { text: TEXT })).json();
+                assert.equal(body.cached, false);
+                assert.equal(body.producedBy.model, "other-model");
+            } finally {
+                process.env.SUMMARIZE_LLM_MODEL = FAKE_MODEL;
+            }
+
+            body = await (await server.post("/extract-claims", { text: TEXT })).json();
+            assert.deepEqual([body.cached, body.summary], [true, "- Summary"]);
+            assert.equal(server.llm.requests.length, 3);
+        });
+
+        it("passes on the provider's error status", async () => {
+            server.llm.replyError(503, "model is loading");
+
+            const res = await server.post("/extract-claims", { text: TEXT });
+            assert.equal(res.status, 503);
+            assert.deepEqual(await res.json(), { error: "model is loading" });
+        });
+
+        it("requires text and a known prompt", async () => {
+            assert.equal((await server.post("/extract-claims", { prompt: "summarize" })).status, 400);
+            assert.equal((await server.post("/extract-claims", { text: "  " })).status, 400);
+            assert.equal((await server.post("/extract-claims", { text: TEXT, prompt: "poem" })).status, 400);
+            assert.equal(server.llm.requests.length, 0);
+        });
+    });
+
+    describe("POST /search", () => {
+        it("parses DuckDuckGo results, keeps trusted domains and caches them", async () => {
+            let res = await server.post("/search", { query: EIFFEL_CLAIM, domains: DOMAINS });
+            let body = await res.json();
+            assert.equal(body.provider, "duckduckgo");
+            assert.equal(body.cached, false);
+            assert.deepEqual(body.results.map(r => r.url), [APNEWS_URL, REUTERS_URL]);
+            assert.equal(body.results[0].title, "Eiffel Tower grows to 330 metres with new antenna");
+            assert.match(body.results[0].snippet, /now stands 330 metres tall/);
+
+            const [searchUrl] = server.network.requests;
+            assert.match(decodeURIComponent(searchUrl), /site:apnews\.com OR site:reuters\.com OR site:nasa\.gov/);
+
+            // Case and trailing punctuation don't change the cache key
+            res = await server.post("/search", { query: "the eiffel tower is 330 metres tall.", domains: DOMAINS });
+            body = await res.json();
+            assert.equal(body.cached, true);
+            assert.equal(body.results.length, 2);
+            assert.equal(server.network.requests.length, 1);
+
+            const stats = await metrics();
+            assert.equal(stats.searchCacheHits, 1);
+            assert.equal(stats.searchCacheMisses, 1);
+        });
+
+        it("returns the results even when they can't be cached", async () => {
+            const { set } = server.valkey;
+            server.valkey.set = async () => { throw new Error("READONLY"); };
+            try {
+                const res = await server.post("/search", { query: EIFFEL_CLAIM, domains: DOMAINS });
+                assert.equal(res.status, 200);
+                assert.equal((await res.json()).results.length, 2);
+            } finally {
+                server.valkey.set = set;
+            }
+        });
+
+        it("returns no results for an empty results page", async () => {
+            const res = await server.post("/search", { query: "An obscure claim", domains: DOMAINS });
+            assert.deepEqual((await res.json()).results, []);
+        });
+
+        it("answers 502 when the provider cannot be reached", async () => {
+            process.env.SEARXNG_URL = "https://searx.example";
+            try {
+                const res = await server.post("/search", {
+                    query: EIFFEL_CLAIM,
+                    domains: DOMAINS,
+                    provider: "searxng",
+                    // Ignored: only the server's SEARXNG_URL is queried
+                    searxngUrl: "http://169.254.169.254"
+                });
+                assert.equal(res.status, 502);
+            } finally {
+                delete process.env.SEARXNG_URL;
+            }
+            assert.equal(server.network.requests.length, 1);
+            assert.match(server.network.requests[0], /^https:\/\/searx\.example\/search\?format=json/);
+        });
+
+        it("requires a query and domains", async () => {
+            assert.equal((await server.post("/search", { query: EIFFEL_CLAIM })).status, 400);
+            assert.equal((await server.post("/search", { domains: DOMAINS })).status, 400);
+            assert.equal((await server.post("/search", { query: "   ", domains: DOMAINS })).status, 400);
+            assert.equal((await server.post("/search", { query: ["eiffel"], domains: DOMAINS })).status, 400);
+        });
+    });
+
+    describe("POST /verify-fact", () => {
+        it("verifies against passages from the source pages on a cache miss", async () => {
+            server.llm.reply(verdictJson("VERIFIED", EIFFEL_QUOTE));
+
+            const body = await verifyEiffel();
+            assert.equal(body.verdict, "VERIFIED");
+            assert.equal(body.confidence, 0.9);
+            assert.equal(body.cached, undefined);
+            assert.deepEqual(body.citations, [{
+                url: APNEWS_URL,
+                title: "AP News",
+                tier: 1,
+                category: "wire",
+                quote: EIFFEL_QUOTE,
+                stance: "SUPPORTS"
+            }]);
+
+            const [request] = server.llm.requests;
+            assert.equal(request.model, FAKE_MODEL);
+            assert.deepEqual(request.response_format, { type: "json_object" });
+            const prompt = request.messages[1].content;
+            assert.match(prompt, /CLAIM: "The Eiffel Tower is 330 metres tall"/);
+            assert.match(prompt, /now stands 330 metres tall/);         // <article> paragraphs
+            assert.match(prompt, /its operator SETE said/);             // JSON-LD articleBody
+            assert.doesNotMatch(prompt, /Copyright 2022/);              // footer stripped
+        });
+
+        it("reuses the verdict for a semantically identical claim", async () => {
+            server.llm.reply(verdictJson("VERIFIED", EIFFEL_QUOTE));
+            const first = await verifyEiffel();
+
+            const second = await verifyEiffel("the Eiffel Tower is 330 metres tall!");
+            assert.equal(server.llm.requests.length, 1);
+            assert.equal(second.verdict, first.verdict);
+            assert.deepEqual(second.citations, first.citations);
+            assert.ok(second.cached.similarity > 0.99);
+            assert.equal(second.cached.timeSensitivity, "HISTORICAL");
+            assert.match(second.cached.id, /^[0-9a-f]{32}$/);
+
+            const stats = await metrics();
+            assert.equal(stats.semanticHits, 1);
+            assert.equal(stats.semanticEntries, 1);
+        });
+
+        it("only reuses verdicts from the current verify prompt and model", async () => {
+            server.llm.reply(verdictJson("VERIFIED", EIFFEL_QUOTE));
+            await verifyEiffel();
+
+            // Another model: skipped, but kept for when it is configured again
+            process.env.VERIFY_LLM_MODEL = "other-model";
+            try {
+                server.llm.reply(verdictJson("VERIFIED", EIFFEL_QUOTE));
+                assert.equal((await verifyEiffel("the Eiffel Tower is 330 metres tall!")).cached, undefined);
+                assert.equal(server.llm.requests.length, 2);
+            } finally {
+                process.env.VERIFY_LLM_MODEL = FAKE_MODEL;
+            }
+
+            // An older prompt version: evicted
+            const entries = server.valkey.data.get("semantic:entries").value;
+            for (const [id, json] of entries) {
+                entries.set(id, JSON.stringify({ ...JSON.parse(json), promptVersion: 0, model: FAKE_MODEL }));
+            }
+            server.llm.reply(verdictJson("VERIFIED", EIFFEL_QUOTE));
+            assert.equal((await verifyEiffel()).cached, undefined);
+            assert.equal(server.llm.requests.length, 3);
+
+            const stats = await metrics();
+            assert.equal(stats.semanticHits, 0);
+            assert.equal(stats.semanticOutdated, 2);
+            assert.equal(stats.semanticEntries, 1);
+            assert.ok((await verifyEiffel()).cached.similarity > 0.99);
+        });
+
+        it("answers UNCERTAIN for malformed LLM JSON and does not cache it", async () => {
+            server.llm.reply("Sure! The claim looks { mostly true.");
+            server.llm.reply(verdictJson("VERIFIED", EIFFEL_QUOTE));
+
+            const body = await verifyEiffel();
+            assert.deepEqual(body, { verdict: "UNCERTAIN", reasoning: "Failed to parse API response", citations: [] });
+            assert.equal((await metrics()).semanticEntries, 0);
+
+            // Not cached, so the next request asks the LLM again
+            assert.equal((await verifyEiffel()).verdict, "VERIFIED");
+            assert.equal(server.llm.requests.length, 2);
+        });
+
+        it("accepts fenced JSON and maps other verdict labels", async () => {
+            server.llm.reply("```json\n" + verdictJson("TRUE", EIFFEL_QUOTE) + "\n```");
+
+            const body = await verifyEiffel();
+            assert.equal(body.verdict, "VERIFIED");
+            assert.equal(body.citations.length, 1);
+        });
+
+        it("drops citations whose quote is not in the evidence", async () => {
+            server.llm.reply(verdictJson("VERIFIED", "The tower is made of chocolate."));
+
+            const body = await verifyEiffel();
+            assert.deepEqual(body.citations, []);
+        });
+
+        it("skips the LLM when no source can be read", async () => {
+            const res = await server.post("/verify-fact", { claim: EIFFEL_CLAIM, sources: [{ url: DELETED_URL }], domains: DOMAINS });
+            const body = await res.json();
+            assert.equal(body.verdict, "UNCERTAIN");
+            assert.match(body.reasoning, /None of the sources/);
+            assert.equal(server.llm.requests.length, 0);
+        });
+
+        it("verifies against pre-built context", async () => {
+            server.llm.reply(verdictJson("FALSE"));
+
+            const res = await server.post("/verify-fact", { claim: EIFFEL_CLAIM, context: "The tower is 300 metres tall." });
+            assert.equal((await res.json()).verdict, "FALSE");
+            assert.match(server.llm.requests[0].messages[1].content, /The tower is 300 metres tall\./);
+        });
+
+        it("passes on the provider's error status", async () => {
+            server.llm.replyError(429, "rate limited");
+
+            const res = await server.post("/verify-fact", { claim: EIFFEL_CLAIM, context: "Some evidence." });
+            assert.equal(res.status, 429);
+            assert.deepEqual(await res.json(), { error: "rate limited" });
+        });
+
+        it("retries a rate-limited call after the provider's Retry-After", async () => {
+            process.env.LLM_MAX_RETRIES = "2";
+            try {
+                server.llm.replyError(429, "rate limited", { "Retry-After": "0" });
+                server.llm.reply(verdictJson("UNCERTAIN"));
+
+                const res = await server.post("/verify-fact", { claim: EIFFEL_CLAIM, context: "Some evidence.", priority: "interactive" });
+                assert.equal(res.status, 200);
+                assert.equal((await res.json()).verdict, "UNCERTAIN");
+                assert.equal(server.llm.requests.length, 2);
+            } finally {
+                process.env.LLM_MAX_RETRIES = "0";
+            }
+
+            const { llmQueue } = await metrics();
+            assert.equal(llmQueue.queued, 0);
+            assert.equal(llmQueue.rateLimited, 1);
+            assert.equal(llmQueue.retries, 1);
+            assert.equal(llmQueue.failures, 0);
+            assert.deepEqual([llmQueue.recentEvents[0].provider, llmQueue.recentEvents[0].reason], ["local", "429 (Retry-After)"]);
+        });
+
+        it("requires a claim and sources or context", async () => {
+            assert.equal((await server.post("/verify-fact", { claim: EIFFEL_CLAIM })).status, 400);
+            assert.equal((await server.post("/verify-fact", { sources: [{ url: APNEWS_URL }], domains: DOMAINS })).status, 400);
+        });
+
+        it("only fetches sources on trusted domains, never private hosts", async () => {
+            // Not a trusted domain
+            let res = await server.post("/verify-fact", { claim: EIFFEL_CLAIM, sources: [{ url: APNEWS_URL }], domains: ["reuters.com"] });
+            assert.equal(res.status, 400);
+
+            // Trusted by the client, but loopback or link-local (cloud metadata)
+            res = await server.post("/verify-fact", {
+                claim: EIFFEL_CLAIM,
+                sources: [{ url: METADATA_URL }, { url: "http://localhost:6379/" }, { url: "http://[::1]/" }],
+                domains: ["169.254.169.254", "localhost", "::1"]
+            });
+            assert.match((await res.json()).reasoning, /None of the sources/);
+            assert.deepEqual(server.network.requests, []);
+            assert.equal(server.llm.requests.length, 0);
+        });
+
+        it("checks every redirect hop before following it", async () => {
+            server.llm.reply(verdictJson("VERIFIED", EIFFEL_QUOTE));
+            let res = await server.post("/verify-fact", { claim: EIFFEL_CLAIM, sources: [{ url: MOVED_URL }], domains: DOMAINS });
+            assert.equal((await res.json()).verdict, "VERIFIED");
+            assert.deepEqual(server.network.requests, [MOVED_URL, APNEWS_URL]);
+
+            server.network.requests.length = 0;
+            res = await server.post("/verify-fact", { claim: APOLLO_CLAIM, sources: [{ url: METADATA_REDIRECT_URL }], domains: DOMAINS });
+            assert.match((await res.json()).reasoning, /None of the sources/);
+            assert.deepEqual(server.network.requests, [METADATA_REDIRECT_URL]);
+        });
+
+        it("refuses host names that resolve to private addresses, directly or after a redirect", async () => {
+            let res = await server.post("/verify-fact", { claim: EIFFEL_CLAIM, sources: [{ url: INTRANET_URL }], domains: DOMAINS });
+            assert.match((await res.json()).reasoning, /None of the sources/);
+            assert.deepEqual(server.network.requests, []);
+
+            res = await server.post("/verify-fact", { claim: EIFFEL_CLAIM, sources: [{ url: INTRANET_REDIRECT_URL }], domains: DOMAINS });
+            assert.match((await res.json()).reasoning, /None of the sources/);
+            assert.deepEqual(server.network.requests, [INTRANET_REDIRECT_URL]);
+            assert.equal(server.llm.requests.length, 0);
+        });
+    });
+
+    describe("POST /verify-batch", () => {
+        it("searches and verifies each distinct claim once", async () => {
+            server.llm.reply(verdictForPrompt);
+            server.llm.reply(verdictForPrompt);
+
+            const res = await server.post("/verify-batch", {
+                claims: [EIFFEL_CLAIM, APOLLO_CLAIM, "the eiffel tower is 330 metres tall.", "An obscure claim"],
+                domains: DOMAINS,
+                profiles: { "apnews.com": { tier: 1, category: "wire" }, "nasa.gov": { tier: 1, category: "journal" } }
+            });
+            const { results, stats } = await res.json();
+
+            assert.equal(server.llm.requests.length, 2);
+            assert.equal(stats.claims, 4);
+            assert.equal(stats.unique, 3);
+
+            assert.equal(results[0].verdict, "VERIFIED");
+            assert.deepEqual(results[0].sources.map(s => [s.domain, s.tier]), [["apnews.com", 1], ["reuters.com", 3]]);
+            assert.equal(results[1].verdict, "VERIFIED");
+            assert.equal(results[1].citations[0].url, NASA_URL);
+
+            assert.equal(results[2].claim, "the eiffel tower is 330 metres tall.");
+            assert.equal(results[2].duplicateOf, 0);
+            assert.equal(results[2].verdict, "VERIFIED");
+
+            assert.deepEqual(results[3], { claim: "An obscure claim", sources: [] });
+        });
+
+        it("validates the batch", async () => {
+            assert.equal((await server.post("/verify-batch", { claims: [], domains: DOMAINS })).status, 400);
+            assert.equal((await server.post("/verify-batch", { claims: [EIFFEL_CLAIM] })).status, 400);
+
+            const tooMany = Array.from({ length: 21 }, (_, i) => `Claim number ${i}`);
+            const res = await server.post("/verify-batch", { claims: tooMany, domains: DOMAINS });
+            assert.equal(res.status, 400);
+            assert.match((await res.json()).error, /at most 20/);
+        });
+    });
+
+    describe("POST /verify-stream", () => {
+        it("streams sources and verdicts per claim, then done", async () => {
+            server.llm.reply(verdictForPrompt);
+
+            const res = await server.post("/verify-stream", { claims: [EIFFEL_CLAIM, "An obscure claim"], domains: DOMAINS });
+            assert.equal(res.headers.get("content-type"), "text/event-stream");
+            const events = parseEventStream(await res.text());
+
+            const of = (event, index) => events.find(e => e.event === event && e.data.index === index);
+            assert.equal(of("sources", 0).data.sources.length, 2);
+            assert.equal(of("verdict", 0).data.result.verdict, "VERIFIED");
+            assert.deepEqual(of("sources", 1).data.sources, []);
+            assert.deepEqual(of("verdict", 1).data.result, { claim: "An obscure claim", sources: [] });
+
+            // Each claim's sources arrive before its verdict, and done comes last
+            assert.ok(events.indexOf(of("sources", 0)) < events.indexOf(of("verdict", 0)));
+            assert.deepEqual(events.at(-1).event, "done");
+            assert.equal(events.at(-1).data.stats.unique, 2);
+        });
+
+        it("streams an error event for a claim whose check failed", async () => {
+            server.llm.replyError(500, "model crashed");
+
+            const res = await server.post("/verify-stream", { claims: [APOLLO_CLAIM], domains: DOMAINS });
+            const events = parseEventStream(await res.text());
+
+            assert.deepEqual(events.map(e => e.event), ["sources", "error", "done"]);
+            assert.deepEqual(events[1].data, { index: 0, error: "model crashed" });
+        });
+
+        it("answers 400 as JSON for an invalid batch", async () => {
+            const res = await server.post("/verify-stream", { claims: [EIFFEL_CLAIM], domains: [] });
+            assert.equal(res.status, 400);
+            assert.match(res.headers.get("content-type"), /application\/json/);
+        });
+    });
+
+    describe("POST /feedback", () => {
+        const vote = (v, token = server.token) => server.post("/feedback",
+            { claim: EIFFEL_CLAIM, verdict: "VERIFIED", vote: v },
+            { Authorization: `Bearer ${token}` }).then(r => r.json());
+
+        it("counts votes and demotes a disputed cached verdict", async () => {
+            server.llm.reply(verdictJson("VERIFIED", EIFFEL_QUOTE));
+            await verifyEiffel();
+            const [second, third, fourth] = [await server.pairClient(), await server.pairClient(), await server.pairClient()];
+
+            let body = await vote("agree");
+            assert.deepEqual(body, { success: true, counts: { agree: 1, disagree: 0, report: 0 }, demoted: false });
+            await vote("disagree", second);
+            await vote("report", third);
+            body = await vote("disagree", fourth);
+            assert.deepEqual(body.counts, { agree: 1, disagree: 2, report: 1 });
+            assert.equal(body.demoted, true);
+
+            // The demoted verdict is no longer reused
+            server.llm.reply(verdictJson("VERIFIED", EIFFEL_QUOTE));
+            assert.equal((await verifyEiffel()).cached, undefined);
+            assert.equal(server.llm.requests.length, 2);
+
+            const { feedback } = await metrics();
+            assert.equal(feedback.agree, 1);
+            assert.equal(feedback.disagree, 2);
+            assert.equal(feedback.demoted, 1);
+        });
+
+        it("counts each client once, however often it votes", async () => {
+            server.llm.reply(verdictJson("VERIFIED", EIFFEL_QUOTE));
+            await verifyEiffel();
+
+            for (let i = 0; i < 3; i++) {
+                assert.deepEqual(await vote("disagree"), { success: true, counts: { agree: 0, disagree: 1, report: 0 }, demoted: false });
+            }
+            // A changed vote replaces the earlier one
+            assert.deepEqual((await vote("report")).counts, { agree: 0, disagree: 0, report: 1 });
+            assert.ok((await verifyEiffel()).cached);
+
+            const { feedback } = await metrics();
+            assert.deepEqual([feedback.total, feedback.report, feedback.demoted], [1, 1, 0]);
+        });
+
+        it("keeps the votes when there was no cached verdict to demote", async () => {
+            const clients = [server.token, await server.pairClient(), await server.pairClient()];
+            for (const token of clients) {
+                assert.equal((await vote("disagree", token)).demoted, false);
+            }
+
+            // Cached now: the next dispute still sees the earlier ones
+            server.llm.reply(verdictJson("VERIFIED", EIFFEL_QUOTE));
+            await verifyEiffel();
+            const body = await vote("report", await server.pairClient());
+            assert.equal(body.demoted, true);
+            assert.equal((await metrics()).feedback.demoted, 1);
+        });
+
+        it("requires a known vote", async () => {
+            const res = await server.post("/feedback", { claim: EIFFEL_CLAIM, verdict: "VERIFIED", vote: "meh" });
+            assert.equal(res.status, 400);
+        });
+    });
+
+    describe("POST /clear-cache", () => {
+        it("flushes summaries and semantic verdicts", async () => {
+            server.llm.reply("- A fact");
+            await server.post("/extract-claims", { text: "Page text" });
+            server.llm.reply(verdictJson("VERIFIED", EIFFEL_QUOTE));
+            await verifyEiffel();
+
+            const res = await server.post("/clear-cache", {}, server.adminHeaders);
+            assert.deepEqual(await res.json(), { success: true, message: "Cache cleared" });
+
+            const stats = await metrics();
+            assert.equal(stats.semanticEntries, 0);
+            assert.equal(stats.totalKeys, 0);
+
+            server.llm.reply("- A fact");
+            const body = await (await server.post("/extract-claims", { text: "Page text" })).json();
+            assert.equal(body.cached, false);
+        });
+    });
+
+    describe("POST /reset-stats", () => {
+        it("zeroes the counters", async () => {
+            await server.post("/extract-claims", { text: "Page text" });
+            assert.equal((await metrics()).cacheMisses, 1);
+
+            const res = await server.post("/reset-stats", {}, server.adminHeaders);
+            assert.deepEqual(await res.json(), { success: true, message: "Stats reset" });
+
+            const stats = await metrics();
+            assert.equal(stats.cacheMisses, 0);
+            assert.deepEqual(stats.rejectedNearHits, []);
+        });
+    });
+
+    describe("GET /metrics", () => {
+        it("returns JSON stats", async () => {
+            const stats = await metrics();
+            assert.equal(stats.cacheHits, 0);
+            assert.equal(typeof stats.uptime, "number");
+            assert.notEqual(stats.usedMemory, "unknown");
+            assert.deepEqual(stats.llm.verify, { provider: "local", model: FAKE_MODEL });
+            assert.equal(stats.prompts.verify, getPrompt("verify").version);
+            assert.deepEqual(stats.llmQueue.queuedByPriority, { interactive: 0, normal: 0, background: 0 });
+        });
+
+        it("serves the dashboard to browsers", async () => {
+            const res = await server.get("/metrics", { ...server.adminHeaders, Accept: "text/html" });
+            assert.match(res.headers.get("content-type"), /text\/html/);
+            const html = await res.text();
+            assert.match(html, /PostPolice \| Cache Metrics/);
+            assert.match(html, /fake-model/);
+        });
+    });
+});
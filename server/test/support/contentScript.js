@@ -0,0 +1,71 @@
+// ------------------------------------
+// Loads the extension's content scripts into a jsdom page
+// The scripts run in manifest order (domains.js, verdictCard.js, siteAdapters.js, content.js)
+// with a stubbed chrome.runtime that reports the AI as unavailable, so init()
+// stops before scanning. content.js keeps its functions inside an IIFE; the
+// loader appends a line to it that hands the ones under test to the test.
+// ------------------------------------
+
+const fs = require("fs");
+const path = require("path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+const EXTENSION_DIR = path.join(__dirname, "..", "..", "..");
+const CONTENT_SCRIPTS = ["domains.js", "verdictCard.js", "siteAdapters.js", "content.js"];
+const EXPOSED = "window.__postPolice = { extractVisibleText, findClaimRange, highlightClaimOnPage, clearHighlight, " +
+    "highlightedClaims: () => highlightedClaims, VERDICT_HIGHLIGHT_NAMES, get siteAdapter() { return siteAdapter; }, " +
+    "findPosts, handleStreamEvent, refreshPostResults, reverifyClaim, scanPage, claimLinks, postBadgeRoots, resetClaimRegistry };\n";
+
+/**
+ * Minimal CSS Custom Highlight API (jsdom has none): Highlight is a set of ranges,
+ * CSS.highlights maps names to highlights.
+ */
+function installHighlightApi(window) {
+    window.Highlight = class Highlight extends Set { };
+    window.CSS = { highlights: new Map() };
+}
+
+/**
+ * @param {string} bodyHtml
+ * @param {{highlights?: boolean, url?: string}} [options] - highlights: false leaves the Highlight
+ *   API out; url is the page's address (it picks the site adapter)
+ * @returns {{window: Object, document: Document, postPolice: Object}} postPolice holds the
+ *   exposed content.js functions and state, and verdictCard.js's VERDICT_HIGHLIGHT_NAMES
+ *   and postBadgeRoots
+ */
+function loadContentScript(bodyHtml, { highlights = true, url = "https://news.example/article" } = {}) {
+    const dom = new JSDOM(`<!DOCTYPE html><html><head></head><body>${bodyHtml}</body></html>`, {
+        url,
+        runScripts: "outside-only",
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole()  // the scripts' logging is not needed here
+    });
+    const { window } = dom;
+
+    window.chrome = {
+        runtime: {
+            sendMessage: async (message) => (message.type === "CHECK_AI" ? { available: false } : {}),
+            onMessage: { addListener() { } },
+            connect() {
+                throw new Error("content.js should not connect while the AI is unavailable");
+            }
+        }
+    };
+    if (highlights) installHighlightApi(window);
+
+    const sources = CONTENT_SCRIPTS.map(file => fs.readFileSync(path.join(EXTENSION_DIR, file), "utf8"));
+    const content = sources.pop();
+    const instrumented = content.replace(/\}\)\(\);\s*$/, `${EXPOSED}})();\n`);
+    if (instrumented === content) throw new Error("content.js no longer ends with its IIFE");
+
+    // One evaluation, so the scripts' top-level consts are shared as in the extension
+    window.eval([...sources, instrumented].join("\n"));
+
+    return {
+        window,
+        document: window.document,
+        postPolice: window.__postPolice
+    };
+}
+
+module.exports = { loadContentScript };
@@ -0,0 +1,35 @@
+// ------------------------------------
+// Deterministic stand-in for embeddings.js
+// The real module downloads all-MiniLM-L6-v2 when the server starts. Here each
+// word is hashed into one of 384 dimensions, so texts with the same words
+// (whatever their case or punctuation) have similarity 1 and unrelated texts are
+// near 0. cosineSimilarity is the real one.
+// ------------------------------------
+
+const { cosineSimilarity } = require("../../embeddings");
+
+const DIM = 384;
+
+function hashWord(word) {
+    let hash = 2166136261; // FNV-1a
+    for (let i = 0; i < word.length; i++) {
+        hash ^= word.charCodeAt(i);
+        hash = Math.imul(hash, 16777619) >>> 0;
+    }
+    return hash % DIM;
+}
+
+function loadEmbeddingModel() {
+    return Promise.resolve();
+}
+
+async function getEmbedding(text) {
+    const vector = new Array(DIM).fill(0);
+    for (const word of text.toLowerCase().match(/[a-z0-9]+(?:\.[0-9]+)?/g) || []) {
+        vector[hashWord(word)] += 1;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0)) || 1;
+    return vector.map(x => x / norm);
+}
+
+module.exports = { loadEmbeddingModel, getEmbedding, cosineSimilarity };
@@ -0,0 +1,74 @@
+// ------------------------------------
+// Fake OpenAI-compatible LLM server
+// Serves POST /v1/chat/completions on a local port, for the "local" provider
+// (LOCAL_LLM_URL). Tests queue the replies; every request is recorded.
+// ------------------------------------
+
+const http = require("http");
+
+/**
+ * Starts the fake server.
+ * @returns {Promise<{url: string, requests: Object[], reply: Function, replyError: Function, reset: Function, close: Function}>}
+ *   reply(content | (request) => content, { delayMs }?) queues the next reply's message content;
+ *   replyError(status, body, headers?) queues an HTTP error (e.g. with Retry-After). With nothing queued the
+ *   server answers an UNCERTAIN verdict.
+ */
+async function startFakeLlm() {
+    const requests = [];
+    const queue = [];
+
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => { body += chunk; });
+        req.on("end", () => {
+            if (req.method !== "POST" || req.url !== "/v1/chat/completions") {
+                res.writeHead(404, { "Content-Type": "application/json" });
+                return res.end(JSON.stringify({ error: { message: `no route ${req.method} ${req.url}` } }));
+            }
+
+            const request = JSON.parse(body);
+            requests.push({ ...request, headers: req.headers });
+
+            const next = queue.shift() || { content: JSON.stringify({ verdict: "UNCERTAIN", reasoning: "No reply queued.", citations: [] }) };
+            if (next.status) {
+                res.writeHead(next.status, { "Content-Type": "application/json", ...next.headers });
+                return res.end(next.body);
+            }
+
+            const content = typeof next.content === "function" ? next.content(request) : next.content;
+            const id = `chatcmpl-${requests.length}`;
+            setTimeout(() => {
+                res.writeHead(200, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({
+                    id,
+                    object: "chat.completion",
+                    model: request.model,
+                    choices: [{ index: 0, message: { role: "assistant", content }, finish_reason: "stop" }],
+                    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+                }));
+            }, next.delayMs || 0);
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}/v1`,
+        requests,
+        reply(content, { delayMs } = {}) {
+            queue.push({ content, delayMs });
+        },
+        replyError(status, body, headers = {}) {
+            queue.push({ status, body, headers });
+        },
+        reset() {
+            requests.length = 0;
+            queue.length = 0;
+        },
+        close() {
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+module.exports = { startFakeLlm };
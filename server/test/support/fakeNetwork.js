@@ -0,0 +1,85 @@
+// ------------------------------------
+// Offline fetch() for tests
+// Replaces the global fetch: DuckDuckGo searches are answered from recorded
+// HTML fixtures, known article URLs from page fixtures, and localhost (the app
+// under test, the fake LLM) goes through. Anything else fails, so a test can
+// never reach the network. dns.promises.lookup is faked as well: every host
+// resolves to a public test address unless the routes map it elsewhere.
+// ------------------------------------
+
+const dns = require("dns");
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+
+const FIXTURES_DIR = path.join(__dirname, "..", "fixtures");
+const LOCAL_HOSTS = ["127.0.0.1", "localhost", "[::1]"];
+// TEST-NET-3 (RFC 5737): public, but never routed
+const PUBLIC_TEST_ADDRESS = "203.0.113.10";
+
+function readFixture(...parts) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, ...parts), "utf8");
+}
+
+/**
+ * Installs the fake fetch.
+ * @param {Object} routes
+ * @param {Array<{keywords: string[], fixture: string}>} routes.searches - DuckDuckGo result pages
+ *   (fixtures/duckduckgo/), used when all keywords appear in the query; otherwise no-results.html
+ * @param {Object<string, string|{status: number, location?: string}>} routes.pages - URL -> fixtures/pages/ file,
+ *   or an HTTP error or redirect
+ * @param {Object<string, string>} routes.hosts - Host name -> the address it resolves to
+ * @returns {{requests: string[], restore: Function}} URLs requested (other than localhost)
+ */
+function installFakeNetwork({ searches = [], pages = {}, hosts = {} } = {}) {
+    const realFetch = globalThis.fetch;
+    const realLookup = dns.promises.lookup;
+    const requests = [];
+
+    dns.promises.lookup = async (hostname, options = {}) => {
+        const address = hosts[hostname] || (LOCAL_HOSTS.includes(hostname) ? "127.0.0.1" : PUBLIC_TEST_ADDRESS);
+        const resolved = { address, family: net.isIPv6(address) ? 6 : 4 };
+        return options.all ? [resolved] : resolved;
+    };
+
+    globalThis.fetch = async (input, options = {}) => {
+        const url = new URL(typeof input === "string" ? input : input.url);
+        if (LOCAL_HOSTS.includes(url.hostname)) return realFetch(input, options);
+
+        options.signal?.throwIfAborted();
+        requests.push(url.href);
+
+        if (url.hostname === "html.duckduckgo.com") {
+            // Drop the "(site:a OR site:b)" filters searchTrusted appends
+            const query = (url.searchParams.get("q") || "").replace(/\(site:[^)]*\)/g, "").toLowerCase();
+            const match = searches.find(s => s.keywords.every(keyword => query.includes(keyword.toLowerCase())));
+            return new Response(readFixture("duckduckgo", match ? match.fixture : "no-results.html"), {
+                status: 200,
+                headers: { "Content-Type": "text/html; charset=UTF-8" }
+            });
+        }
+
+        const page = pages[url.href];
+        if (typeof page === "string") {
+            return new Response(readFixture("pages", page), {
+                status: 200,
+                headers: { "Content-Type": "text/html; charset=utf-8" }
+            });
+        }
+        if (page) {
+            return new Response(null, { status: page.status, headers: page.location ? { Location: page.location } : {} });
+        }
+
+        throw new TypeError(`fetch failed: network access is disabled in tests (${url.href})`);
+    };
+
+    return {
+        requests,
+        restore() {
+            globalThis.fetch = realFetch;
+            dns.promises.lookup = realLookup;
+        }
+    };
+}
+
+module.exports = { installFakeNetwork, readFixture };
@@ -0,0 +1,194 @@
+// ------------------------------------
+// In-memory stand-in for iovalkey
+// Implements the commands the server uses (strings with EX expiry, hashes,
+// lists, MULTI pipelines), with Valkey's reply shapes: values come back as
+// strings, missing keys as null / {}.
+// ------------------------------------
+
+const EventEmitter = require("events");
+
+class FakeValkey extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = options;
+        this.status = "wait";
+        this.data = new Map();      // key -> { type, value, expiresAt }
+        this.commands = [];         // names of the commands run, for assertions
+        FakeValkey.instances.push(this);
+    }
+
+    async connect() {
+        this.status = "ready";
+        this.emit("ready");
+    }
+
+    async quit() {
+        this.status = "end";
+        return "OK";
+    }
+
+    // ---- keyspace ----
+
+    entry(key, type) {
+        const entry = this.data.get(key);
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            this.data.delete(key);
+            return undefined;
+        }
+        if (entry && type && entry.type !== type) {
+            throw new Error("WRONGTYPE Operation against a key holding the wrong kind of value");
+        }
+        return entry;
+    }
+
+    create(key, type, value) {
+        const entry = this.entry(key, type) || { type, value, expiresAt: null };
+        this.data.set(key, entry);
+        return entry;
+    }
+
+    record(name) {
+        this.commands.push(name);
+    }
+
+    async ping() {
+        this.record("ping");
+        return "PONG";
+    }
+
+    async dbsize() {
+        this.record("dbsize");
+        return [...this.data.keys()].filter(key => this.entry(key)).length;
+    }
+
+    async info() {
+        this.record("info");
+        const bytes = JSON.stringify([...this.data]).length;
+        return `# Memory\r\nused_memory:${bytes}\r\nused_memory_human:${(bytes / 1024).toFixed(2)}K\r\n`;
+    }
+
+    async flushall() {
+        this.record("flushall");
+        this.data.clear();
+        return "OK";
+    }
+
+    async del(...keys) {
+        this.record("del");
+        return keys.filter(key => this.entry(key) && this.data.delete(key)).length;
+    }
+
+    // ---- strings ----
+
+    async get(key) {
+        this.record("get");
+        return this.entry(key, "string")?.value ?? null;
+    }
+
+    async set(key, value, ...args) {
+        this.record("set");
+        const ex = args.findIndex(arg => String(arg).toUpperCase() === "EX");
+        this.data.set(key, {
+            type: "string",
+            value: String(value),
+            expiresAt: ex === -1 ? null : Date.now() + Number(args[ex + 1]) * 1000
+        });
+        return "OK";
+    }
+
+    // ---- hashes ----
+
+    async hget(key, field) {
+        this.record("hget");
+        return this.entry(key, "hash")?.value.get(field) ?? null;
+    }
+
+    async hset(key, ...args) {
+        this.record("hset");
+        const pairs = typeof args[0] === "object" ? Object.entries(args[0]).flat() : args;
+        const hash = this.create(key, "hash", new Map()).value;
+        let added = 0;
+        for (let i = 0; i < pairs.length; i += 2) {
+            if (!hash.has(pairs[i])) added++;
+            hash.set(pairs[i], String(pairs[i + 1]));
+        }
+        return added;
+    }
+
+    async hdel(key, ...fields) {
+        this.record("hdel");
+        const hash = this.entry(key, "hash")?.value;
+        if (!hash) return 0;
+        const removed = fields.filter(field => hash.delete(field)).length;
+        if (hash.size === 0) this.data.delete(key);
+        return removed;
+    }
+
+    async hgetall(key) {
+        this.record("hgetall");
+        return Object.fromEntries(this.entry(key, "hash")?.value || []);
+    }
+
+    async hincrby(key, field, increment) {
+        this.record("hincrby");
+        const hash = this.create(key, "hash", new Map()).value;
+        const value = Number(hash.get(field) || 0) + Number(increment);
+        hash.set(field, String(value));
+        return value;
+    }
+
+    // ---- lists ----
+
+    async lpush(key, ...values) {
+        this.record("lpush");
+        const list = this.create(key, "list", []).value;
+        values.forEach(value => list.unshift(String(value)));
+        return list.length;
+    }
+
+    async ltrim(key, start, stop) {
+        this.record("ltrim");
+        const entry = this.entry(key, "list");
+        if (entry) entry.value = entry.value.slice(start, stop === -1 ? undefined : stop + 1);
+        return "OK";
+    }
+
+    async lrange(key, start, stop) {
+        this.record("lrange");
+        return (this.entry(key, "list")?.value || []).slice(start, stop === -1 ? undefined : stop + 1);
+    }
+
+    // ---- transactions ----
+
+    /**
+     * Queues commands and runs them in order on exec(), which resolves to
+     * [[error, reply], ...] like iovalkey.
+     */
+    multi() {
+        const queued = [];
+        const pipeline = {
+            exec: async () => {
+                const replies = [];
+                for (const [name, args] of queued) {
+                    try {
+                        replies.push([null, await this[name](...args)]);
+                    } catch (err) {
+                        replies.push([err, null]);
+                    }
+                }
+                return replies;
+            }
+        };
+        for (const name of ["get", "set", "del", "hget", "hset", "hdel", "hgetall", "hincrby", "lpush", "ltrim", "lrange"]) {
+            pipeline[name] = (...args) => {
+                queued.push([name, args]);
+                return pipeline;
+            };
+        }
+        return pipeline;
+    }
+}
+
+FakeValkey.instances = [];
+
+module.exports = FakeValkey;
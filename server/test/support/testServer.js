@@ -0,0 +1,124 @@
+// ------------------------------------
+// Starts the Express app offline for route tests
+// iovalkey and embeddings.js are swapped for in-memory stand-ins through the
+// require cache, both LLM tasks use the fake OpenAI-compatible server, and
+// fetch() is limited to fixtures and localhost. Requests are sent as a paired
+// client; admin routes take `adminHeaders`.
+// ------------------------------------
+
+const Module = require("module");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const FakeValkey = require("./fakeValkey");
+const fakeEmbeddings = require("./fakeEmbeddings");
+const { startFakeLlm } = require("./fakeLlm");
+const { installFakeNetwork } = require("./fakeNetwork");
+
+const SERVER_DIR = path.join(__dirname, "..", "..");
+const FAKE_MODEL = "fake-model";
+const ADMIN_TOKEN = "test-admin-token";
+
+/**
+ * Makes require(request) from the server's modules return `exports`.
+ */
+function replaceModule(request, exports) {
+    const filename = require.resolve(request, { paths: [SERVER_DIR] });
+    const stub = new Module(filename, module);
+    stub.filename = filename;
+    stub.loaded = true;
+    stub.exports = exports;
+    require.cache[filename] = stub;
+}
+
+/**
+ * Starts the app on a free port.
+ * @param {Object} [network] - Routes for installFakeNetwork
+ * @returns {Promise<{baseUrl: string, llm: Object, network: Object, valkey: FakeValkey,
+ *   token: string, adminHeaders: Object, pairClient: Function, post: Function, get: Function, reset: Function, close: Function}>}
+ */
+async function startTestServer(network) {
+    // The server logs every request; POSTPOLICE_TEST_LOGS=1 shows them
+    const logging = { log: console.log, error: console.error };
+    if (!process.env.POSTPOLICE_TEST_LOGS) {
+        console.log = () => {};
+        console.error = () => {};
+    }
+
+    const llm = await startFakeLlm();
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "postpolice-test-"));
+
+    Object.assign(process.env, {
+        SUMMARIZE_LLM_PROVIDER: "local",
+        SUMMARIZE_LLM_MODEL: FAKE_MODEL,
+        VERIFY_LLM_PROVIDER: "local",
+        VERIFY_LLM_MODEL: FAKE_MODEL,
+        LOCAL_LLM_URL: llm.url,
+        SEARCH_PROVIDER: "duckduckgo",
+        // Provider errors reach the client at once; tests that retry set LLM_MAX_RETRIES
+        LLM_MAX_RETRIES: "0",
+        LLM_RETRY_BASE_MS: "1",
+        ADMIN_TOKEN,
+        PAIRINGS_FILE: path.join(stateDir, "pairings.json")
+    });
+    replaceModule("iovalkey", FakeValkey);
+    replaceModule("./embeddings", fakeEmbeddings);
+    const fakeNetwork = installFakeNetwork(network);
+
+    const { app, valkeyReady } = require(path.join(SERVER_DIR, "index.js"));
+    await valkeyReady;
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // Pair the way the extension does, with the code from the console
+    const pairClient = async (label = "tests") => {
+        const { code } = require(path.join(SERVER_DIR, "auth.js")).issuePairingCode();
+        const paired = await fetch(baseUrl + "/pair", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ code, label })
+        });
+        return (await paired.json()).token;
+    };
+    const token = await pairClient();
+    const adminHeaders = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+    const post = (route, body, headers = {}) => fetch(baseUrl + route, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}`, ...headers },
+        body: JSON.stringify(body)
+    });
+    const get = (route, headers = {}) => fetch(baseUrl + route, { headers: { Authorization: `Bearer ${token}`, ...headers } });
+
+    return {
+        baseUrl,
+        llm,
+        network: fakeNetwork,
+        valkey: FakeValkey.instances[FakeValkey.instances.length - 1],
+        token,
+        adminHeaders,
+        /** Pairs another client; resolves to its token. */
+        pairClient,
+        post,
+        get,
+        /** Empties the caches and counters between tests. */
+        async reset() {
+            await post("/clear-cache", {}, adminHeaders);
+            await post("/reset-stats", {}, adminHeaders);
+            llm.reset();
+            fakeNetwork.requests.length = 0;
+        },
+        async close() {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            await llm.close();
+            fakeNetwork.restore();
+            fs.rmSync(stateDir, { recursive: true, force: true });
+            Object.assign(console, logging);
+        }
+    };
+}
+
+module.exports = { startTestServer, FAKE_MODEL, ADMIN_TOKEN };
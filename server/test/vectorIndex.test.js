@@ -0,0 +1,248 @@
+// ------------------------------------
+// Tests for the HNSW index (vectorIndex.js) and the semantic cache built on
+// it (semanticCache.js)
+// ------------------------------------
+
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { HnswIndex } = require("../vectorIndex");
+const semanticCache = require("../semanticCache");
+const { promptIdentity } = require("../prompts");
+const FakeValkey = require("./support/fakeValkey");
+
+const DIM = 32;
+
+/**
+ * Deterministic PRNG (mulberry32), so recall does not vary between runs.
+ */
+function seededRandom(seed) {
+    return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function randomVectors(count, random) {
+    return Array.from({ length: count }, () => Array.from({ length: DIM }, () => random() * 2 - 1));
+}
+
+function normalize(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+    return vector.map(x => x / norm);
+}
+
+function bruteForce(vectors, query, k, skip = new Set()) {
+    const q = normalize(query);
+    return vectors
+        .map((vector, i) => ({ id: `v${i}`, score: normalize(vector).reduce((sum, x, d) => sum + x * q[d], 0) }))
+        .filter(({ id }) => !skip.has(id))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k)
+        .map(({ id }) => id);
+}
+
+function buildIndex(vectors, options) {
+    const index = new HnswIndex(options);
+    vectors.forEach((vector, i) => index.add(`v${i}`, vector));
+    return index;
+}
+
+function recall(index, vectors, queries, k, skip) {
+    let hits = 0;
+    for (const query of queries) {
+        const found = new Set(index.search(query, k).map(({ id }) => id));
+        hits += bruteForce(vectors, query, k, skip).filter(id => found.has(id)).length;
+    }
+    return hits / (queries.length * k);
+}
+
+describe("HnswIndex", () => {
+    it("inserts vectors and finds an exact match first", () => {
+        const vectors = randomVectors(50, seededRandom(1));
+        const index = buildIndex(vectors);
+
+        assert.equal(index.size, 50);
+        assert.ok(index.has("v7"));
+        assert.equal(index.has("missing"), false);
+        const [best] = index.search(vectors[7], 1);
+        assert.equal(best.id, "v7");
+        assert.ok(Math.abs(best.similarity - 1) < 1e-5);
+
+        // Re-adding a live id is a no-op
+        index.add("v7", vectors[8]);
+        assert.equal(index.size, 50);
+        assert.equal(index.search(vectors[7], 1)[0].id, "v7");
+
+        assert.deepEqual(new HnswIndex().search(vectors[0], 3), []);
+    });
+
+    it("matches brute-force search on at least 95% of the top 10", () => {
+        const random = seededRandom(2);
+        const vectors = randomVectors(1000, random);
+        const index = buildIndex(vectors);
+
+        assert.ok(recall(index, vectors, randomVectors(50, random), 10) >= 0.95);
+    });
+
+    it("never returns removed vectors", () => {
+        const vectors = randomVectors(100, seededRandom(3));
+        const index = buildIndex(vectors, { maxTombstoneRatio: 1 });
+
+        index.remove("v5");
+        index.remove("v5");
+        index.remove("missing");
+        assert.equal(index.size, 99);
+        assert.equal(index.tombstones, 1);
+        assert.equal(index.has("v5"), false);
+        assert.ok(index.search(vectors[5], 99).every(({ id }) => id !== "v5"));
+
+        // A removed id can be added again
+        index.add("v5", vectors[5]);
+        assert.equal(index.search(vectors[5], 1)[0].id, "v5");
+    });
+
+    it("compacts once tombstones pass maxTombstoneRatio", () => {
+        const random = seededRandom(4);
+        const vectors = randomVectors(200, random);
+        const index = buildIndex(vectors, { maxTombstoneRatio: 0.25 });
+
+        const removed = new Set();
+        for (let i = 0; i < 50; i++) {
+            index.remove(`v${i}`);
+            removed.add(`v${i}`);
+        }
+        assert.equal(index.size, 150);
+        assert.equal(index.tombstones, 50);
+
+        // The 51st tombstone passes a quarter of the graph
+        index.remove("v50");
+        removed.add("v50");
+        assert.equal(index.size, 149);
+        assert.equal(index.tombstones, 0);
+        assert.equal(index.ids.length, 149);
+        assert.equal(index.has("v50"), false);
+        assert.ok(index.has("v51"));
+        assert.ok(recall(index, vectors, randomVectors(20, random), 10, removed) >= 0.95);
+    });
+
+    it("round-trips through a snapshot", () => {
+        const random = seededRandom(5);
+        const vectors = randomVectors(200, random);
+        const index = buildIndex(vectors);
+        index.remove("v3");
+
+        const vectorsById = new Map(vectors.map((vector, i) => [`v${i}`, vector]));
+        const restored = HnswIndex.fromJSON(JSON.parse(JSON.stringify(index)), vectorsById);
+
+        assert.equal(restored.size, 199);
+        assert.equal(restored.has("v3"), false);
+        for (const query of randomVectors(10, random)) {
+            assert.deepEqual(restored.search(query, 5), index.search(query, 5));
+        }
+    });
+
+    it("tombstones snapshot nodes whose vector is gone, and rejects a snapshot without its entry point", () => {
+        const vectors = randomVectors(100, seededRandom(6));
+        const index = buildIndex(vectors);
+        const snapshot = JSON.parse(JSON.stringify(index));
+        const entryId = index.ids[index.entryPoint];
+        const otherId = index.ids.find(id => id !== entryId);
+
+        const vectorsById = new Map(vectors.map((vector, i) => [`v${i}`, vector]));
+        vectorsById.delete(otherId);
+        const restored = HnswIndex.fromJSON(snapshot, vectorsById);
+        assert.equal(restored.size, 99);
+        assert.equal(restored.has(otherId), false);
+
+        vectorsById.delete(entryId);
+        assert.equal(HnswIndex.fromJSON(snapshot, vectorsById), null);
+    });
+
+    it("compacts a snapshot that lost too many vectors", () => {
+        const vectors = randomVectors(100, seededRandom(7));
+        const snapshot = JSON.parse(JSON.stringify(buildIndex(vectors)));
+
+        // Keep the entry point and a third of the rest
+        const kept = new Set([snapshot.ids[snapshot.entryPoint], ...snapshot.ids.filter((id, node) => node % 3 === 0)]);
+        const vectorsById = new Map(vectors.map((vector, i) => [`v${i}`, vector]).filter(([id]) => kept.has(id)));
+
+        const restored = HnswIndex.fromJSON(snapshot, vectorsById);
+        assert.equal(restored.size, kept.size);
+        assert.equal(restored.tombstones, 0);
+    });
+});
+
+describe("semanticCache", () => {
+    after(() => {
+        semanticCache.reset();
+    });
+
+    function vector(values) {
+        return Array.from({ length: DIM }, (_, d) => values[d] || 0);
+    }
+
+    it("looks past the nearest candidates until one matches the model", async () => {
+        await semanticCache.init(new FakeValkey());
+        const identity = promptIdentity("verify");
+        const otherModel = { ...identity, model: "other-model" };
+
+        // Ten verdicts from another model sit nearer than the usable one
+        for (let i = 0; i < 10; i++) {
+            await semanticCache.store(`other ${i}`, vector({ 0: 1, 1: 0.05 * (i + 1) }), { verdict: "FALSE" }, "STABLE", otherModel);
+        }
+        await semanticCache.store("usable", vector({ 0: 1, 2: 0.6 }), { verdict: "VERIFIED" }, "STABLE", identity);
+
+        const nearest = await semanticCache.findNearest(vector({ 0: 1 }), identity);
+        assert.equal(nearest.claim, "usable");
+        assert.equal(nearest.result.verdict, "VERIFIED");
+
+        assert.equal(await semanticCache.findNearest(vector({ 0: 1 }), { ...identity, model: "unknown-model" }), null);
+    });
+
+    it("keeps one verdict per model for the same claim", async () => {
+        await semanticCache.init(new FakeValkey());
+        const identity = promptIdentity("verify");
+        const otherModel = { ...identity, model: "other-model" };
+
+        await semanticCache.store("same claim", vector({ 0: 1 }), { verdict: "VERIFIED" }, "STABLE", identity);
+        await semanticCache.store("same claim", vector({ 0: 1 }), { verdict: "FALSE" }, "STABLE", otherModel);
+
+        assert.equal(semanticCache.size(), 2);
+        assert.notEqual(semanticCache.entryId("same claim", identity), semanticCache.entryId("same claim", otherModel));
+        assert.equal((await semanticCache.findNearest(vector({ 0: 1 }), identity)).result.verdict, "VERIFIED");
+        assert.equal((await semanticCache.findNearest(vector({ 0: 1 }), otherModel)).result.verdict, "FALSE");
+    });
+
+    it("evicts a corrupt entry instead of failing the lookup", async () => {
+        const valkey = new FakeValkey();
+        await semanticCache.init(valkey);
+        const identity = promptIdentity("verify");
+
+        await semanticCache.store("corrupt", vector({ 0: 1 }), { verdict: "FALSE" }, "STABLE", identity);
+        await semanticCache.store("intact", vector({ 0: 1, 1: 0.5 }), { verdict: "VERIFIED" }, "STABLE", identity);
+        await valkey.hset("semantic:entries", semanticCache.entryId("corrupt", identity), "{not json");
+
+        assert.equal((await semanticCache.findNearest(vector({ 0: 1 }), identity)).claim, "intact");
+        assert.equal(semanticCache.size(), 1);
+        assert.deepEqual(Object.keys(await valkey.hgetall("semantic:entries")), [semanticCache.entryId("intact", identity)]);
+    });
+
+    it("drops legacy verdicts that have no claim text", async () => {
+        const valkey = new FakeValkey();
+        const identity = promptIdentity("verify");
+        const entry = (claim, values) => JSON.stringify({
+            claim, vector: vector(values), result: { verdict: "VERIFIED" }, createdAt: Date.now(), timeSensitivity: "STABLE", ...identity
+        });
+        await valkey.hset("semantic_verdicts", JSON.stringify(vector({ 0: 1 })), JSON.stringify({ verdict: "FALSE" }));
+        await valkey.hset("semantic:entries", "migrated", entry("", { 0: 1 }));
+        await valkey.hset("semantic:entries", "kept", entry("kept", { 0: 1, 1: 0.5 }));
+
+        await semanticCache.init(valkey);
+        assert.equal(valkey.data.has("semantic_verdicts"), false);
+        assert.deepEqual(Object.keys(await valkey.hgetall("semantic:entries")), ["kept"]);
+        assert.equal(semanticCache.size(), 1);
+        assert.equal((await semanticCache.findNearest(vector({ 0: 1 }), identity)).claim, "kept");
+    });
+});
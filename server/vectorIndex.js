@@ -0,0 +1,388 @@
+// ------------------------------------
+// In-process HNSW vector index
+// Approximate nearest-neighbour search over normalized embeddings in
+// sub-linear time (Malkov & Yashunin, "Hierarchical Navigable Small World graphs").
+// Similarity is the dot product, i.e. cosine similarity for unit vectors.
+// Removed vectors stay in the graph as tombstones until they make up too much
+// of it; then the graph is rebuilt from the live vectors.
+// ------------------------------------
+
+// Tombstones never trigger a rebuild below this count (small graphs rebuild cheaply anyway)
+const MIN_TOMBSTONES_TO_COMPACT = 16;
+
+/**
+ * Binary heap ordered by `score`; `max` picks a max-heap instead of a min-heap.
+ */
+class Heap {
+    constructor(max = false) {
+        this.items = [];
+        this.sign = max ? -1 : 1;
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.sign * (items[parent].score - items[i].score) <= 0) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let best = i;
+                if (left < items.length && this.sign * (items[left].score - items[best].score) < 0) best = left;
+                if (right < items.length && this.sign * (items[right].score - items[best].score) < 0) best = right;
+                if (best === i) break;
+                [items[best], items[i]] = [items[i], items[best]];
+                i = best;
+            }
+        }
+        return top;
+    }
+}
+
+function normalize(vector) {
+    const out = Float32Array.from(vector);
+    let norm = 0;
+    for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+    norm = Math.sqrt(norm) || 1;
+    for (let i = 0; i < out.length; i++) out[i] /= norm;
+    return out;
+}
+
+function dot(a, b) {
+    // Unrolled by 4: this loop is where nearly all index time goes
+    const n = a.length;
+    let s0 = 0, s1 = 0, s2 = 0, s3 = 0;
+    let i = 0;
+    for (; i + 3 < n; i += 4) {
+        s0 += a[i] * b[i];
+        s1 += a[i + 1] * b[i + 1];
+        s2 += a[i + 2] * b[i + 2];
+        s3 += a[i + 3] * b[i + 3];
+    }
+    for (; i < n; i++) s0 += a[i] * b[i];
+    return s0 + s1 + s2 + s3;
+}
+
+class HnswIndex {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.m=12] - Links per node on upper layers (2m on layer 0)
+     * @param {number} [options.efConstruction=64] - Candidate list size while inserting
+     * @param {number} [options.efSearch=100] - Candidate list size while searching
+     * @param {number} [options.maxTombstoneRatio=0.25] - Share of removed nodes that triggers compact()
+     */
+    constructor({ m = 12, efConstruction = 64, efSearch = 100, maxTombstoneRatio = 0.25 } = {}) {
+        this.m = m;
+        this.efConstruction = efConstruction;
+        this.efSearch = efSearch;
+        this.maxTombstoneRatio = maxTombstoneRatio;
+        this.levelMultiplier = 1 / Math.log(m);
+        this.clear();
+    }
+
+    /**
+     * Empties the graph (options are kept).
+     */
+    clear() {
+        this.ids = [];          // node -> external id
+        this.vectors = [];      // node -> Float32Array
+        this.links = [];        // node -> layer -> neighbour nodes
+        this.deleted = [];      // node -> tombstone flag
+        this.nodeById = new Map();
+        this.entryPoint = -1;
+        this.maxLevel = -1;
+        this.liveCount = 0;
+
+        // Visited marks reused across searches (generation counter avoids clearing)
+        this.visited = new Uint32Array(0);
+        this.visitGeneration = 0;
+    }
+
+    get size() {
+        return this.liveCount;
+    }
+
+    /** Removed nodes still in the graph. */
+    get tombstones() {
+        return this.ids.length - this.liveCount;
+    }
+
+    has(id) {
+        const node = this.nodeById.get(id);
+        return node !== undefined && !this.deleted[node];
+    }
+
+    randomLevel() {
+        return Math.floor(-Math.log(1 - Math.random()) * this.levelMultiplier);
+    }
+
+    maxLinks(level) {
+        return level === 0 ? this.m * 2 : this.m;
+    }
+
+    nextVisitGeneration() {
+        if (this.visited.length < this.vectors.length) {
+            const grown = new Uint32Array(Math.max(this.vectors.length, this.visited.length * 2, 1024));
+            grown.set(this.visited);
+            this.visited = grown;
+        }
+        this.visitGeneration++;
+        if (this.visitGeneration === 0xffffffff) {
+            this.visited.fill(0);
+            this.visitGeneration = 1;
+        }
+        return this.visitGeneration;
+    }
+
+    /**
+     * Best-first search of one layer. Returns up to `ef` nodes as { node, score }, best first.
+     */
+    searchLayer(query, entryNodes, ef, level) {
+        const generation = this.nextVisitGeneration();
+        const candidates = new Heap(true); // best similarity first
+        const results = new Heap(false);   // worst similarity on top
+
+        for (const node of entryNodes) {
+            this.visited[node] = generation;
+            const score = dot(query, this.vectors[node]);
+            candidates.push({ node, score });
+            results.push({ node, score });
+        }
+
+        while (candidates.size > 0) {
+            const current = candidates.pop();
+            if (results.size >= ef && current.score < results.peek().score) break;
+
+            for (const neighbour of this.links[current.node][level] || []) {
+                if (this.visited[neighbour] === generation) continue;
+                this.visited[neighbour] = generation;
+
+                const score = dot(query, this.vectors[neighbour]);
+                if (results.size < ef || score > results.peek().score) {
+                    candidates.push({ node: neighbour, score });
+                    results.push({ node: neighbour, score });
+                    if (results.size > ef) results.pop();
+                }
+            }
+        }
+
+        return results.items.sort((a, b) => b.score - a.score);
+    }
+
+    greedyDescend(query, fromLevel, toLevel) {
+        let current = this.entryPoint;
+        for (let level = fromLevel; level > toLevel; level--) {
+            current = this.searchLayer(query, [current], 1, level)[0].node;
+        }
+        return current;
+    }
+
+    /**
+     * Neighbour selection heuristic: walks candidates best first and keeps one
+     * only if it is closer to the base node than to every neighbour kept so far.
+     * This keeps links pointing in diverse directions, so tight clusters stay
+     * connected to the rest of the graph. Remaining slots are filled best first.
+     * @param {Array<{node: number, score: number}>} candidates - Sorted best first
+     * @param {number} limit
+     * @returns {number[]}
+     */
+    selectNeighbours(candidates, limit) {
+        const kept = [];
+        const skipped = [];
+        for (const candidate of candidates) {
+            if (kept.length >= limit) break;
+            const vector = this.vectors[candidate.node];
+            const diverse = kept.every(k => dot(vector, this.vectors[k]) < candidate.score);
+            (diverse ? kept : skipped).push(candidate.node);
+        }
+        for (const node of skipped) {
+            if (kept.length >= limit) break;
+            kept.push(node);
+        }
+        return kept;
+    }
+
+    /**
+     * Drops a node's least similar link on a layer once it has more than `limit`.
+     * (Plain truncation: re-running the heuristic here costs far more than it
+     * gains, since new nodes already pick diverse links.)
+     */
+    pruneLinks(node, level, limit) {
+        const vector = this.vectors[node];
+        this.links[node][level] = this.links[node][level]
+            .map(neighbour => ({ neighbour, score: dot(vector, this.vectors[neighbour]) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ neighbour }) => neighbour);
+    }
+
+    /**
+     * Adds a vector under an external id. Re-adding a live id is a no-op.
+     * @param {string} id
+     * @param {number[]|Float32Array} vector
+     */
+    add(id, vector) {
+        if (this.has(id)) return;
+
+        const query = normalize(vector);
+        const node = this.vectors.length;
+        const level = this.randomLevel();
+
+        this.ids.push(id);
+        this.vectors.push(query);
+        this.links.push(Array.from({ length: level + 1 }, () => []));
+        this.deleted.push(false);
+        this.nodeById.set(id, node);
+        this.liveCount++;
+
+        if (this.entryPoint === -1) {
+            this.entryPoint = node;
+            this.maxLevel = level;
+            return;
+        }
+
+        let entryNodes = [this.greedyDescend(query, this.maxLevel, level)];
+
+        for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+            const found = this.searchLayer(query, entryNodes, this.efConstruction, l);
+            const limit = this.maxLinks(l);
+            const neighbours = this.selectNeighbours(found, this.m);
+
+            this.links[node][l] = neighbours;
+            for (const neighbour of neighbours) {
+                const neighbourLinks = this.links[neighbour][l];
+                neighbourLinks.push(node);
+                if (neighbourLinks.length > limit) this.pruneLinks(neighbour, l, limit);
+            }
+            entryNodes = found.map(({ node: n }) => n);
+        }
+
+        if (level > this.maxLevel) {
+            this.entryPoint = node;
+            this.maxLevel = level;
+        }
+    }
+
+    /**
+     * Removes an id. The node stays in the graph as a routing waypoint
+     * (tombstone) but is never returned from searches, until tombstones pass
+     * maxTombstoneRatio and the graph is compacted.
+     * @param {string} id
+     */
+    remove(id) {
+        const node = this.nodeById.get(id);
+        if (node === undefined || this.deleted[node]) return;
+        this.deleted[node] = true;
+        this.liveCount--;
+        if (this.needsCompaction()) this.compact();
+    }
+
+    needsCompaction() {
+        return this.tombstones >= MIN_TOMBSTONES_TO_COMPACT &&
+            this.tombstones > this.maxTombstoneRatio * this.ids.length;
+    }
+
+    /**
+     * Rebuilds the graph from the live vectors, dropping every tombstone.
+     */
+    compact() {
+        const live = [];
+        this.ids.forEach((id, node) => {
+            if (!this.deleted[node]) live.push([id, this.vectors[node]]);
+        });
+        this.clear();
+        for (const [id, vector] of live) this.add(id, vector);
+    }
+
+    /**
+     * Returns the k most similar live vectors.
+     * @param {number[]|Float32Array} vector
+     * @param {number} [k=1]
+     * @returns {Array<{id: string, similarity: number}>}
+     */
+    search(vector, k = 1) {
+        if (this.liveCount === 0) return [];
+
+        const query = normalize(vector);
+        const entry = this.greedyDescend(query, this.maxLevel, 0);
+        const found = this.searchLayer(query, [entry], Math.max(this.efSearch, k), 0);
+
+        return found
+            .filter(({ node }) => !this.deleted[node])
+            .slice(0, k)
+            .map(({ node, score }) => ({ id: this.ids[node], similarity: score }));
+    }
+
+    /**
+     * Serializes the graph without vectors (those are persisted with their entries).
+     */
+    toJSON() {
+        return {
+            m: this.m,
+            efConstruction: this.efConstruction,
+            efSearch: this.efSearch,
+            maxTombstoneRatio: this.maxTombstoneRatio,
+            entryPoint: this.entryPoint,
+            maxLevel: this.maxLevel,
+            ids: this.ids,
+            deleted: this.deleted,
+            links: this.links
+        };
+    }
+
+    /**
+     * Restores a graph saved with toJSON(). Nodes whose vector is missing from
+     * `vectorsById` are tombstoned, and the graph is compacted if that leaves
+     * too many tombstones.
+     * @param {Object} snapshot
+     * @param {Map<string, number[]>} vectorsById
+     * @returns {HnswIndex}
+     */
+    static fromJSON(snapshot, vectorsById) {
+        const index = new HnswIndex(snapshot);
+        index.entryPoint = snapshot.entryPoint;
+        index.maxLevel = snapshot.maxLevel;
+        index.ids = snapshot.ids;
+        index.links = snapshot.links;
+
+        snapshot.ids.forEach((id, node) => {
+            const vector = vectorsById.get(id);
+            const deleted = snapshot.deleted[node] || !vector;
+            index.vectors.push(vector ? normalize(vector) : new Float32Array(0));
+            index.deleted.push(deleted);
+            index.nodeById.set(id, node);
+            if (!deleted) index.liveCount++;
+        });
+
+        // A graph whose entry point lost its vector cannot be traversed
+        if (index.entryPoint >= 0 && index.vectors[index.entryPoint].length === 0) {
+            return null;
+        }
+        if (index.needsCompaction()) index.compact();
+        return index;
+    }
+}
+
+module.exports = { HnswIndex };
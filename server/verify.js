@@ -0,0 +1,68 @@
+// ------------------------------------
+// Verdicts from the verify task's LLM
+// The response parsing and credibility weighting behind /verify-fact (the
+// prompt is "verify" in prompts.js).
+// The evaluation benchmark (eval/) calls the same function, so a score there
+// is a score for what the server does.
+// ------------------------------------
+
+const { complete, parseJsonResponse, normalizeVerdict } = require("./llm");
+const { getPrompt, buildRequest } = require("./prompts");
+const { resolveCitations } = require("./evidence");
+const { aggregateVerdict, verdictConfidence } = require("./credibility");
+const { classifyTimeSensitivity } = require("./freshness");
+
+/**
+ * Asks the verify task's LLM whether the evidence supports a claim, then weights
+ * the cited sources by credibility. Unparseable model output is an UNCERTAIN verdict.
+ * @param {string} claim
+ * @param {string} evidenceText - The EVIDENCE block: formatEvidence(evidence), or pre-built context
+ * @param {Array<{url: string, title: string, passages: Array<{text: string}>}>} evidence - What citations
+ *   may quote ([] for pre-built context)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {string} [options.priority] - The LLM scheduler's queue priority
+ * @param {typeof complete} [options.complete] - Replaces llm.complete (the benchmark replays recorded responses)
+ * @returns {Promise<{result: Object, parsed: boolean, timeSensitivity?: string,
+ *   producedBy: {prompt: string, promptVersion: number, provider: string, model: string}}>}
+ *   result is the verdict returned by /verify-fact; timeSensitivity is set when parsed
+ * @throws {Error} With `status` set when the LLM provider returns an error
+ */
+async function judgeClaim(claim, evidenceText, evidence, { signal, priority, complete: completeFn = complete } = {}) {
+    const { task, version } = getPrompt("verify");
+    const { text: content, provider, model } = await completeFn(task, buildRequest("verify", { claim, evidenceText }), signal, { priority });
+    console.log(`✅ ${provider} returned verification:`, content.substring(0, 100));
+
+    const producedBy = { prompt: "verify", promptVersion: version, provider, model };
+
+    try {
+        const parsed = parseJsonResponse(content);
+        const modelVerdict = normalizeVerdict(parsed.verdict);
+        const citations = resolveCitations(parsed.citations, evidence);
+        const aggregate = aggregateVerdict(modelVerdict, citations);
+        const { verdict, support, refute } = aggregate;
+        if (verdict !== modelVerdict) {
+            console.log(`⚖️ Credibility weighting changed verdict ${modelVerdict} → ${verdict} (support ${support}, refute ${refute})`);
+        }
+        return {
+            result: {
+                verdict,
+                reasoning: parsed.reasoning,
+                confidence: verdictConfidence(parsed.confidence, modelVerdict, aggregate),
+                citations,
+                credibility: { support, refute }
+            },
+            parsed: true,
+            producedBy,
+            timeSensitivity: classifyTimeSensitivity(claim, parsed.timeSensitivity)
+        };
+    } catch (e) {
+        return {
+            result: { verdict: "UNCERTAIN", reasoning: "Failed to parse API response", citations: [] },
+            parsed: false,
+            producedBy
+        };
+    }
+}
+
+module.exports = { judgeClaim };
@@ -0,0 +1,62 @@
+// PostPolice Server Pairing
+// The server only answers clients that paired with it: the options page trades
+// the one-time code from the server console for a token, kept in
+// chrome.storage.local (never synced; the pairing belongs to this machine's server).
+// Loaded by the background service worker (importScripts) and the options page.
+
+// Cache bridge server URL
+const CACHE_SERVER_URL = "http://localhost:3000";
+
+const SERVER_PAIRING_STORAGE_KEY = "serverPairing";
+
+/**
+ * Loads the stored pairing.
+ * @returns {Promise<{token: string, pairedAt: string}|null>}
+ */
+async function loadServerPairing() {
+    const stored = await chrome.storage.local.get(SERVER_PAIRING_STORAGE_KEY);
+    return stored[SERVER_PAIRING_STORAGE_KEY] || null;
+}
+
+/**
+ * Headers that authenticate a request to the server.
+ * @returns {Promise<Object<string, string>>} Empty when not paired
+ */
+async function serverAuthHeaders() {
+    const pairing = await loadServerPairing();
+    return pairing ? { Authorization: `Bearer ${pairing.token}` } : {};
+}
+
+/**
+ * Pairs with the server using the code it printed, and stores the token.
+ * @param {string} code - e.g. "K7QM-2XPD"
+ * @returns {Promise<{token: string, pairedAt: string}>}
+ * @throws {Error} With the server's reason when the code is wrong or expired
+ */
+async function pairWithServer(code) {
+    const response = await fetch(`${CACHE_SERVER_URL}/pair`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ code, label: "Chrome extension" })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+    }
+
+    const pairing = { token: data.token, pairedAt: new Date().toISOString() };
+    await chrome.storage.local.set({ [SERVER_PAIRING_STORAGE_KEY]: pairing });
+    return pairing;
+}
+
+/**
+ * Revokes the token on the server (when it is reachable) and forgets it.
+ */
+async function unpairFromServer() {
+    try {
+        await fetch(`${CACHE_SERVER_URL}/unpair`, { method: "POST", headers: await serverAuthHeaders() });
+    } catch (err) {
+        console.log("PostPolice: Could not reach the server to unpair:", err.message);
+    }
+    await chrome.storage.local.remove(SERVER_PAIRING_STORAGE_KEY);
+}
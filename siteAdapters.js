@@ -0,0 +1,96 @@
+// PostPolice Site Adapters
+// A social feed is a list of posts by different people, so claims there are
+// extracted and verified per post instead of from the page as one text. An
+// adapter finds a site's posts, the ID of each (stable while the feed re-renders
+// posts as it scrolls), the post's text and where its verdict badge goes.
+// Loaded as a content script before content.js.
+
+// Characters of post text sent for claim extraction
+const MAX_POST_TEXT = 4000;
+
+const SITE_ADAPTERS = [
+    {
+        id: "x",
+        label: "X",
+        matches: (location) => /(^|\.)(x|twitter)\.com$/.test(location.hostname),
+        postSelector: 'article[data-testid="tweet"]',
+        postId(post) {
+            // The timestamp links to the post itself; other status links are quoted posts
+            const link = post.querySelector("a[href*='/status/'] time")?.closest("a");
+            return link?.getAttribute("href").match(/\/status\/(\d+)/)?.[1] || null;
+        },
+        textElements: (post) => [post.querySelector('[data-testid="tweetText"]')],
+        badgeAnchor: (post) => post.querySelector('[data-testid="User-Name"]') || post
+    },
+    {
+        id: "reddit",
+        label: "Reddit",
+        matches: (location) => /(^|\.)reddit\.com$/.test(location.hostname),
+        // shreddit-post: the current site; .thing.link: old.reddit.com
+        postSelector: "shreddit-post, .thing.link[data-fullname]",
+        postId: (post) => post.getAttribute("id")?.match(/^t3_\w+$/)?.[0] || post.dataset.fullname || null,
+        textElements: (post) => post.matches("shreddit-post")
+            ? [post.querySelector('[slot="title"]'), post.querySelector('[slot="text-body"]')]
+            : [post.querySelector("a.title"), post.querySelector(".usertext-body .md")],
+        badgeAnchor: (post) => post.querySelector('[slot="title"], a.title')?.parentElement || post
+    },
+    {
+        id: "mastodon",
+        label: "Mastodon",
+        // Any instance: the web app mounts on #mastodon. Other pages can have an
+        // element with that id, so one of the app's own markers is also required:
+        // its initial state, the meta tag (many instances put their own name there)
+        // or a rendered post. Posts render after load, so content.js checks again as they appear
+        matches: (location, document) => document.getElementById("mastodon") !== null &&
+            document.querySelector('script#initial-state[type="application/json"], ' +
+                'meta[name="application-name"][content="Mastodon" i], .status[data-id]') !== null,
+        postSelector: ".status[data-id]",
+        postId: (post) => post.dataset.id || null,
+        textElements: (post) => [post.querySelector(".status__content__text, .status__content")],
+        badgeAnchor: (post) => post.querySelector(".status__info") || post
+    }
+];
+
+/**
+ * The adapter for the current site.
+ * @param {Location} location
+ * @param {Document} document
+ * @returns {Object|null} Null on sites that aren't feeds of posts
+ */
+function findSiteAdapter(location, document) {
+    return SITE_ADAPTERS.find(adapter => adapter.matches(location, document)) || null;
+}
+
+/**
+ * The posts currently on the page that have an ID and some text.
+ * @param {Object} adapter - Entry of SITE_ADAPTERS
+ * @param {ParentNode} [root]
+ * @returns {Array<{id: string, element: Element, text: string}>} In page order
+ */
+function findPosts(adapter, root = document) {
+    const posts = [];
+    for (const element of root.querySelectorAll(adapter.postSelector)) {
+        const id = adapter.postId(element);
+        if (!id) continue;
+
+        const text = adapter.textElements(element)
+            .filter(Boolean)
+            .map(el => el.innerText ?? el.textContent)
+            .map(text => text.trim())
+            .filter(Boolean)
+            .join("\n\n")
+            .substring(0, MAX_POST_TEXT);
+        if (text) posts.push({ id, element, text });
+    }
+    return posts;
+}
+
+/**
+ * The post with the given ID, if the feed currently shows it.
+ * @param {Object} adapter - Entry of SITE_ADAPTERS
+ * @param {string} id
+ * @returns {Element|null}
+ */
+function findPostElement(adapter, id) {
+    return Array.from(document.querySelectorAll(adapter.postSelector)).find(post => adapter.postId(post) === id) || null;
+}
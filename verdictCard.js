@@ -0,0 +1,582 @@
+// PostPolice Verdict Card
+// In-page card for a highlighted claim: verdict, confidence, reasoning, cited
+// sources with quotes and time of check. Rendered in a closed Shadow DOM so the
+// site's CSS can't restyle it. Also owns the page-level ::highlight() rules and
+// the verdict badges on social media posts (siteAdapters.js).
+// Loaded as a content script before content.js (uses formatDomainProfile from domains.js).
+
+const VERDICT_CARD_VARIANTS = {
+    VERIFIED: { label: "Verified", icon: "✓", className: "verified" },
+    FALSE: { label: "False claim", icon: "🚩", className: "false" },
+    UNCERTAIN: { label: "Uncertain", icon: "?", className: "uncertain" }
+};
+
+// CSS Custom Highlight names; the ranges are registered by content.js
+const VERDICT_HIGHLIGHT_NAMES = {
+    VERIFIED: "postpolice-verified",
+    FALSE: "postpolice-false",
+    UNCERTAIN: "postpolice-uncertain",
+    PENDING: "postpolice-pending",
+    FOCUS: "postpolice-focus"
+};
+
+// Highlights are styled by document stylesheets, so these are adopted by the page
+const PAGE_HIGHLIGHT_STYLES = `
+::highlight(postpolice-verified) {
+  text-decoration: underline 2px rgba(34, 197, 94, 0.8);
+}
+
+::highlight(postpolice-false) {
+  background-color: rgba(239, 68, 68, 0.25);
+  text-decoration: underline 2px rgba(239, 68, 68, 0.8);
+}
+
+::highlight(postpolice-uncertain) {
+  background-color: rgba(245, 158, 11, 0.25);
+  text-decoration: underline 2px rgba(245, 158, 11, 0.8);
+}
+
+/* Claim still being checked */
+::highlight(postpolice-pending) {
+  text-decoration: underline dotted 2px rgba(148, 163, 184, 0.9);
+}
+
+/* Claim selected from the toolbar popup or with the keyboard */
+::highlight(postpolice-focus) {
+  background-color: rgba(124, 77, 255, 0.35);
+}
+
+@media (prefers-color-scheme: dark) {
+  ::highlight(postpolice-false) {
+    background-color: rgba(239, 68, 68, 0.3);
+  }
+
+  ::highlight(postpolice-uncertain) {
+    background-color: rgba(245, 158, 11, 0.3);
+  }
+}
+`;
+
+const VERDICT_CARD_STYLES = `
+:host {
+  all: initial;
+  position: absolute;
+  z-index: 2147483647;
+}
+
+.card {
+  --accent: #f59e0b;
+  box-sizing: border-box;
+  width: 360px;
+  max-width: calc(100vw - 16px);
+  padding: 14px 16px;
+  border-radius: 10px;
+  border-top: 3px solid var(--accent);
+  background: linear-gradient(135deg, #1e293b 0%, #334155 100%);
+  color: #f8fafc;
+  box-shadow: 0 10px 25px rgba(0, 0, 0, 0.3);
+  font: 13px/1.45 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+  text-align: left;
+  animation: fade-in 0.15s ease-out;
+}
+
+.card.verified { --accent: #22c55e; }
+.card.false { --accent: #ef4444; }
+.card.uncertain { --accent: #f59e0b; }
+
+@keyframes fade-in {
+  from { opacity: 0; transform: translateY(-4px); }
+  to { opacity: 1; transform: translateY(0); }
+}
+
+header {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+}
+
+h2 {
+  flex: 1;
+  margin: 0;
+  font-size: 14px;
+  font-weight: 700;
+  color: var(--accent);
+}
+
+.confidence {
+  font-size: 12px;
+  color: #cbd5e1;
+}
+
+.meter {
+  height: 4px;
+  margin: 8px 0 10px;
+  border-radius: 2px;
+  background: rgba(255, 255, 255, 0.12);
+  overflow: hidden;
+}
+
+.meter > div {
+  height: 100%;
+  background: var(--accent);
+}
+
+button {
+  padding: 0 6px;
+  border: none;
+  border-radius: 4px;
+  background: none;
+  color: #cbd5e1;
+  font: inherit;
+  font-size: 16px;
+  cursor: pointer;
+}
+
+button:hover { color: #ffffff; }
+
+button:focus-visible,
+a:focus-visible {
+  outline: 2px solid #a78bfa;
+  outline-offset: 2px;
+}
+
+.claim {
+  margin: 8px 0;
+  color: #cbd5e1;
+  font-style: italic;
+}
+
+.reasoning {
+  margin: 0 0 8px;
+}
+
+ul {
+  margin: 0;
+  padding: 0;
+  list-style: none;
+}
+
+li {
+  padding: 6px 0;
+  border-top: 1px solid rgba(255, 255, 255, 0.08);
+}
+
+a {
+  color: #93c5fd;
+  text-decoration: none;
+}
+
+a:hover { text-decoration: underline; }
+
+.tier {
+  margin-left: 6px;
+  font-size: 11px;
+  color: #94a3b8;
+}
+
+.quote {
+  display: block;
+  margin-top: 4px;
+  font-size: 12px;
+  color: #e2e8f0;
+}
+
+.stance {
+  margin-right: 6px;
+  padding: 0 4px;
+  border-radius: 3px;
+  font-size: 10px;
+  font-weight: 700;
+  background: rgba(255, 255, 255, 0.12);
+}
+
+.stance.supports { color: #4ade80; }
+.stance.refutes { color: #f87171; }
+
+.feedback {
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  margin-top: 10px;
+  font-size: 12px;
+  color: #cbd5e1;
+}
+
+.feedback span {
+  flex: 1;
+}
+
+.feedback button {
+  padding: 2px 8px;
+  border: 1px solid rgba(255, 255, 255, 0.15);
+  font-size: 12px;
+}
+
+.feedback button:disabled {
+  opacity: 0.5;
+  cursor: default;
+}
+
+footer {
+  margin-top: 10px;
+  font-size: 11px;
+  color: #94a3b8;
+}
+`;
+
+// Worst first: a post's badge shows its most serious verdict
+const POST_BADGE_SEVERITY = ["FALSE", "UNCERTAIN", "VERIFIED"];
+
+const POST_BADGE_STYLES = `
+:host {
+  all: initial;
+  display: inline-block;
+  margin-left: 6px;
+  vertical-align: middle;
+}
+
+button {
+  --accent: #f59e0b;
+  padding: 1px 8px;
+  border: 1px solid var(--accent);
+  border-radius: 999px;
+  background: #1e293b;
+  color: var(--accent);
+  font: 600 11px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+  white-space: nowrap;
+  cursor: pointer;
+}
+
+button.verified { --accent: #22c55e; }
+button.false { --accent: #ef4444; }
+button.pending { --accent: #94a3b8; cursor: default; }
+
+button:focus-visible {
+  outline: 2px solid #a78bfa;
+  outline-offset: 2px;
+}
+`;
+
+// Badge host -> its closed shadow root
+const postBadgeRoots = new WeakMap();
+
+let verdictCardHost = null;
+let verdictCardRoot = null;
+let verdictCardPinned = false;
+let verdictCardEntry = null;
+let verdictCardReturnFocus = null;
+let verdictCardFeedbackHandler = null;
+
+const FEEDBACK_ACTIONS = [
+    { vote: "agree", label: "👍 Agree" },
+    { vote: "disagree", label: "👎 Disagree" },
+    { vote: "report", label: "⚑ Report" }
+];
+const FEEDBACK_THANKS = {
+    agree: "Thanks, you agreed with this verdict.",
+    disagree: "Thanks, you disputed this verdict.",
+    report: "Thanks, this verdict was reported."
+};
+
+/**
+ * Adds the ::highlight() rules to the page (once).
+ */
+function installVerdictHighlightStyles() {
+    if (document.documentElement.dataset.postpoliceHighlightStyles) return;
+    document.documentElement.dataset.postpoliceHighlightStyles = "true";
+
+    try {
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(PAGE_HIGHLIGHT_STYLES);
+        document.adoptedStyleSheets = [...document.adoptedStyleSheets, sheet];
+    } catch (e) {
+        const style = document.createElement("style");
+        style.textContent = PAGE_HIGHLIGHT_STYLES;
+        (document.head || document.documentElement).appendChild(style);
+    }
+}
+
+function createCardEl(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text) el.textContent = text;
+    return el;
+}
+
+function formatCheckedTime(entry) {
+    const checkedAt = entry.cached ? new Date(entry.cached.cachedAt) : new Date(entry.checkedAt || Date.now());
+    const time = checkedAt.toLocaleString([], { dateStyle: "medium", timeStyle: "short" });
+    return entry.cached ? `Checked ${time} (reused from cache)` : `Checked ${time}`;
+}
+
+function ensureVerdictCardHost() {
+    if (verdictCardHost && verdictCardHost.isConnected) return;
+
+    verdictCardHost = document.createElement("postpolice-verdict-card");
+    verdictCardRoot = verdictCardHost.attachShadow({ mode: "closed" });
+    verdictCardRoot.addEventListener("keydown", onVerdictCardKeydown);
+    document.documentElement.appendChild(verdictCardHost);
+}
+
+function renderVerdictCard(entry) {
+    const variant = VERDICT_CARD_VARIANTS[entry.verdict] || VERDICT_CARD_VARIANTS.UNCERTAIN;
+    const card = createCardEl("div", `card ${variant.className}`);
+    card.setAttribute("role", "dialog");
+    card.setAttribute("aria-labelledby", "postpolice-card-title");
+
+    const header = createCardEl("header");
+    const title = createCardEl("h2", "", `${variant.icon} ${variant.label}`);
+    title.id = "postpolice-card-title";
+    header.appendChild(title);
+    if (typeof entry.confidence === "number") {
+        header.appendChild(createCardEl("span", "confidence", `${Math.round(entry.confidence * 100)}% confidence`));
+    }
+    const closeBtn = createCardEl("button", "close", "×");
+    closeBtn.setAttribute("aria-label", "Close verdict card");
+    closeBtn.addEventListener("click", () => hideVerdictCard());
+    header.appendChild(closeBtn);
+    card.appendChild(header);
+
+    if (typeof entry.confidence === "number") {
+        const meter = createCardEl("div", "meter");
+        meter.setAttribute("role", "meter");
+        meter.setAttribute("aria-label", "Confidence");
+        meter.setAttribute("aria-valuemin", "0");
+        meter.setAttribute("aria-valuemax", "100");
+        meter.setAttribute("aria-valuenow", String(Math.round(entry.confidence * 100)));
+        const fill = createCardEl("div");
+        fill.style.width = `${Math.round(entry.confidence * 100)}%`;
+        meter.appendChild(fill);
+        card.appendChild(meter);
+    }
+
+    card.appendChild(createCardEl("p", "claim", `“${entry.claim}”`));
+    if (entry.reasoning) card.appendChild(createCardEl("p", "reasoning", entry.reasoning));
+
+    const citations = entry.citations || [];
+    if (citations.length > 0) {
+        const list = createCardEl("ul");
+        list.setAttribute("aria-label", "Sources");
+        for (const citation of citations) {
+            const item = createCardEl("li");
+            let host = citation.url;
+            try {
+                host = new URL(citation.url).hostname.replace(/^www\./, "");
+            } catch (e) { }
+
+            const link = createCardEl("a", "", citation.title || host);
+            link.href = citation.url;
+            link.target = "_blank";
+            link.rel = "noopener noreferrer";
+            item.appendChild(link);
+            if (citation.tier) item.appendChild(createCardEl("span", "tier", formatDomainProfile(citation)));
+
+            const quote = createCardEl("span", "quote");
+            quote.appendChild(createCardEl("span", `stance ${citation.stance.toLowerCase()}`, citation.stance));
+            quote.appendChild(document.createTextNode(`“${citation.quote}”`));
+            item.appendChild(quote);
+            list.appendChild(item);
+        }
+        card.appendChild(list);
+    }
+
+    card.appendChild(renderFeedbackRow(entry));
+    card.appendChild(createCardEl("footer", "", `${formatCheckedTime(entry)} · Alt+Shift+↓/↑ next/previous claim · Esc to close`));
+    return card;
+}
+
+function renderFeedbackRow(entry) {
+    const row = createCardEl("div", "feedback");
+    row.setAttribute("role", "group");
+    row.setAttribute("aria-label", "Feedback on this verdict");
+
+    if (entry.feedback) {
+        const thanks = createCardEl("span", "", FEEDBACK_THANKS[entry.feedback]);
+        thanks.setAttribute("role", "status");
+        row.appendChild(thanks);
+        return row;
+    }
+
+    row.appendChild(createCardEl("span", "", "Is this right?"));
+    for (const { vote, label } of FEEDBACK_ACTIONS) {
+        const button = createCardEl("button", "", label);
+        button.addEventListener("click", async () => {
+            if (!verdictCardFeedbackHandler) return;
+            row.querySelectorAll("button").forEach(b => { b.disabled = true; });
+            const sent = await verdictCardFeedbackHandler(entry, vote);
+            if (verdictCardEntry !== entry) return;
+            if (sent) {
+                const thanks = renderFeedbackRow(entry);
+                row.replaceWith(thanks);
+                verdictCardRoot.querySelector("button.close").focus();
+            } else {
+                row.querySelectorAll("button").forEach(b => { b.disabled = false; });
+                row.firstChild.textContent = "Couldn't send feedback, try again.";
+            }
+        });
+        row.appendChild(button);
+    }
+    return row;
+}
+
+/**
+ * Sets the function called when the user votes on a verdict in the card.
+ * @param {(entry: Object, vote: "agree"|"disagree"|"report") => Promise<boolean>} handler -
+ *   Resolves true once the vote was recorded
+ */
+function setVerdictCardFeedbackHandler(handler) {
+    verdictCardFeedbackHandler = handler;
+}
+
+function positionVerdictCard(anchorRect) {
+    const margin = 8;
+    const width = Math.min(360, window.innerWidth - 2 * margin);
+    const left = Math.min(Math.max(anchorRect.left, margin), window.innerWidth - width - margin);
+
+    verdictCardHost.style.left = `${left + window.scrollX}px`;
+    verdictCardHost.style.top = `${anchorRect.bottom + window.scrollY + margin}px`;
+
+    // Flip above the claim when there's no room below it
+    const height = verdictCardHost.getBoundingClientRect().height;
+    if (anchorRect.bottom + margin + height > window.innerHeight && anchorRect.top - margin - height > 0) {
+        verdictCardHost.style.top = `${anchorRect.top + window.scrollY - margin - height}px`;
+    }
+}
+
+/**
+ * Shows the card for a highlighted claim.
+ * @param {{claim: string, verdict: string, reasoning: string, citations: Array, confidence?: number|null, checkedAt?: number, cached?: Object}} entry
+ * @param {DOMRect} anchorRect - Where the claim is on screen
+ * @param {{pinned?: boolean, focus?: boolean}} [options] - Pinned cards stay open until closed;
+ *   `focus` moves keyboard focus into the card
+ */
+function showVerdictCard(entry, anchorRect, { pinned = false, focus = false } = {}) {
+    ensureVerdictCardHost();
+
+    if (entry !== verdictCardEntry) {
+        verdictCardRoot.replaceChildren(createCardEl("style", "", VERDICT_CARD_STYLES), renderVerdictCard(entry));
+        verdictCardEntry = entry;
+    }
+    verdictCardHost.style.display = "block";
+    positionVerdictCard(anchorRect);
+    verdictCardPinned = verdictCardPinned || pinned;
+
+    if (focus) {
+        if (!verdictCardHost.contains(document.activeElement)) verdictCardReturnFocus = document.activeElement;
+        verdictCardRoot.querySelector("button.close").focus();
+    }
+}
+
+/**
+ * Hides the card and returns focus to where it was before the card took it.
+ */
+function hideVerdictCard() {
+    if (!verdictCardHost) return;
+    const hadFocus = verdictCardRoot.activeElement !== null;
+
+    verdictCardHost.style.display = "none";
+    verdictCardPinned = false;
+    verdictCardEntry = null;
+
+    if (hadFocus && verdictCardReturnFocus && verdictCardReturnFocus.isConnected) {
+        verdictCardReturnFocus.focus();
+    }
+    verdictCardReturnFocus = null;
+}
+
+function isVerdictCardOpen() {
+    return verdictCardEntry !== null;
+}
+
+function isVerdictCardPinned() {
+    return verdictCardPinned;
+}
+
+/**
+ * Whether an event target is inside the card (events from a closed shadow root retarget to the host).
+ */
+function isInVerdictCard(target) {
+    return verdictCardHost !== null && target === verdictCardHost;
+}
+
+function onVerdictCardKeydown(event) {
+    if (event.key === "Escape") {
+        event.stopPropagation();
+        hideVerdictCard();
+        return;
+    }
+
+    // Keep Tab cycling inside the card while it has focus
+    if (event.key === "Tab") {
+        const focusable = Array.from(verdictCardRoot.querySelectorAll("button, a[href]"));
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (event.shiftKey && verdictCardRoot.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && verdictCardRoot.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+// ---- Post badges ----
+
+/**
+ * Shows a post's verdict next to it: the most serious verdict among the post's
+ * claims, or that they are still being checked. Clicking the badge opens the
+ * card of that claim. Renders into the anchor's existing badge if it has one.
+ * @param {Element} anchor - From the site adapter's badgeAnchor
+ * @param {Array<{claim: string, verdict?: string, pending?: boolean}>} claims - The post's claims
+ * @param {(claim: Object, badge: Element) => void} onOpen
+ */
+function renderPostBadge(anchor, claims, onOpen) {
+    // A badge copied along with a re-rendered post has lost its shadow root
+    let host = null;
+    for (const child of Array.from(anchor.children)) {
+        if (child.localName !== "postpolice-post-badge") continue;
+        if (postBadgeRoots.has(child)) host = child;
+        else child.remove();
+    }
+    const checked = POST_BADGE_SEVERITY
+        .map(verdict => claims.filter(claim => claim.verdict === verdict))
+        .find(matches => matches.length > 0)?.[0];
+    const pending = claims.some(claim => claim.pending);
+
+    if (!checked && !pending) {
+        host?.remove();
+        return;
+    }
+    if (!host) {
+        host = document.createElement("postpolice-post-badge");
+        postBadgeRoots.set(host, host.attachShadow({ mode: "closed" }));
+        anchor.appendChild(host);
+    }
+
+    const button = createCardEl("button");
+    if (checked) {
+        const variant = VERDICT_CARD_VARIANTS[checked.verdict];
+        button.className = variant.className;
+        button.textContent = claims.length > 1 ? `${variant.icon} ${variant.label} · ${claims.length} claims` : `${variant.icon} ${variant.label}`;
+        button.setAttribute("aria-label", `PostPolice: ${variant.label}. Show the verdict`);
+        button.addEventListener("click", (event) => {
+            // Clicking a post usually opens it
+            event.preventDefault();
+            event.stopPropagation();
+            onOpen(checked, host);
+        });
+    } else {
+        button.className = "pending";
+        button.textContent = "⋯ Checking";
+        button.disabled = true;
+    }
+    postBadgeRoots.get(host).replaceChildren(createCardEl("style", "", POST_BADGE_STYLES), button);
+}
+
+/**
+ * Removes every post badge from the page.
+ */
+function clearPostBadges() {
+    document.querySelectorAll("postpolice-post-badge").forEach(badge => badge.remove());
+}